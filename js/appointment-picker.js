@@ -0,0 +1,148 @@
+/**
+ * Appointment Picker Module
+ *
+ * Fills appointment selects with the arrival windows that can still be
+ * booked, grouped by day: one option group per open day and one option per
+ * window, labelled in the current locale. Enhances every
+ * `select[data-appointment-picker]`; the options already in the markup (such
+ * as "No preference") are kept first.
+ *
+ * Windows come from the business hours in js/business-hours.js and are
+ * refreshed whenever the select gets focus, so windows that have passed
+ * disappear from a page left open. Validation is done by the appointmentSlot
+ * rule in js/validation-rules.js.
+ *
+ * @module appointment-picker
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const isCommonJs = typeof module !== 'undefined' && module.exports;
+  const BusinessHours = isCommonJs ? require('./business-hours.js') : window.ThermoCoolBusinessHours;
+  const I18n = isCommonJs ? require('./i18n.js') : window.ThermoCoolI18n;
+
+  /**
+   * Creates the Date of a wall-clock time on a calendar day; formatted in UTC,
+   * it shows the business-hours time whatever the visitor's time zone
+   * @param {string} date - Date as YYYY-MM-DD
+   * @param {string} time - Time as HH:MM
+   * @returns {Date} Date whose UTC fields hold the date and time
+   */
+  function toDate(date, time) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes));
+  }
+
+  /**
+   * Labels the day of a window, e.g. "Tuesday, October 20"
+   * @param {Object} slot - Appointment window
+   * @returns {string} The day in the current locale
+   */
+  function formatDay(slot) {
+    return new Intl.DateTimeFormat(I18n.getLocale(), {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC'
+    }).format(toDate(slot.date, slot.start));
+  }
+
+  /**
+   * Labels the times of a window, e.g. "8:00 AM – 10:00 AM"
+   * @param {Object} slot - Appointment window
+   * @returns {string} The times in the current locale
+   */
+  function formatWindow(slot) {
+    const format = new Intl.DateTimeFormat(I18n.getLocale(), { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+
+    return `${format.format(toDate(slot.date, slot.start))} – ${format.format(toDate(slot.date, slot.end))}`;
+  }
+
+  /**
+   * Replaces the windows of an appointment select, keeping the selection
+   * @param {HTMLSelectElement} select - The appointment select
+   */
+  function renderSlots(select) {
+    const selected = select.value;
+    const slots = BusinessHours.getAppointmentSlots();
+
+    // A chosen window that has passed stays, so validation can say so
+    if (selected && !slots.some(slot => slot.value === selected)) {
+      const chosen = BusinessHours.parseSlot(selected);
+
+      if (chosen) {
+        slots.unshift(chosen);
+      }
+    }
+
+    select.querySelectorAll('optgroup').forEach(group => group.remove());
+
+    let group = null;
+
+    slots.forEach(function(slot) {
+      if (!group || group.dataset.date !== slot.date) {
+        group = document.createElement('optgroup');
+        group.dataset.date = slot.date;
+        group.label = formatDay(slot);
+        select.appendChild(group);
+      }
+
+      const option = document.createElement('option');
+      option.value = slot.value;
+      option.textContent = formatWindow(slot);
+      group.appendChild(option);
+    });
+
+    select.value = selected;
+  }
+
+  /**
+   * Offers the bookable appointment windows in a select
+   * @param {HTMLSelectElement} select - The appointment select
+   * @returns {Function} Function removing the listeners
+   */
+  function attach(select) {
+    const refresh = function() {
+      renderSlots(select);
+    };
+
+    select.addEventListener('focus', refresh);
+    document.addEventListener('thermocool:locale-change', refresh);
+    renderSlots(select);
+
+    return function detach() {
+      select.removeEventListener('focus', refresh);
+      document.removeEventListener('thermocool:locale-change', refresh);
+    };
+  }
+
+  /**
+   * Enhances every appointment select
+   */
+  function initAppointmentPickers() {
+    document.querySelectorAll('select[data-appointment-picker]').forEach(function(select) {
+      attach(select);
+    });
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAppointmentPickers);
+  } else {
+    initAppointmentPickers();
+  }
+
+  const api = {
+    attach
+  };
+
+  window.ThermoCoolAppointmentPicker = api;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
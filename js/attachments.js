@@ -0,0 +1,447 @@
+/**
+ * Attachments Module
+ *
+ * Lets visitors add photos and videos of their equipment to a request.
+ * Enhances every `input[type="file"][data-attachments]` inside a form that
+ * js/form-validation.js handles:
+ * - Files can be chosen with the input or dropped onto its
+ *   `.attachment-dropzone`, and are added to the ones already chosen
+ * - Files are checked against the shared attachment limits (type, size and
+ *   count, see ValidationRules.ATTACHMENT_LIMITS); rejected files and files
+ *   that can't be read are left out, and the reason is shown as the field's error
+ * - JPEG, PNG and WebP photos are scaled down and re-encoded before they are
+ *   sent, which also drops their metadata such as the camera's GPS position.
+ *   Where the browser can't decode a JPEG, its EXIF data is stripped instead
+ * - The chosen files are listed in the group's `.attachment-list` with a
+ *   thumbnail and a remove button each
+ *
+ * The files are submitted with the form as multipart form data, through
+ * ThermoCoolForms.setFiles().
+ *
+ * @module attachments
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const isCommonJs = typeof module !== 'undefined' && module.exports;
+  const ValidationRules = isCommonJs ? require('./validation-rules.js') : window.ThermoCoolValidationRules;
+  const Forms = isCommonJs ? require('./form-validation.js') : window.ThermoCoolForms;
+  const I18n = isCommonJs ? require('./i18n.js') : window.ThermoCoolI18n;
+
+  /**
+   * Attachments configuration
+   * @type {Object}
+   */
+  const ATTACHMENTS_CONFIG = {
+    // Longest side of photos after scaling down, in pixels
+    maxImageDimension: 2048,
+    imageQuality: 0.85,
+    // Photos the browser can decode and re-encode; HEIC photos and videos are sent as chosen
+    resizableTypes: ['image/jpeg', 'image/png', 'image/webp']
+  };
+
+  // Attachment list texts
+  const ATTACHMENT_MESSAGES = Object.freeze({
+    ATTACHMENT_REMOVE: 'Remove {name}',
+    ATTACHMENT_UNREADABLE: '{name} could not be read. Please choose it again.'
+  });
+
+  I18n.defineMessages(ATTACHMENT_MESSAGES);
+
+  /**
+   * Removes the EXIF, XMP and IPTC segments (APP1 and APP13) of a JPEG file.
+   * Orientation is part of EXIF, so some photos may show up rotated.
+   * @param {Uint8Array} bytes - Contents of the JPEG file
+   * @returns {Uint8Array} The file without those segments, or the bytes unchanged
+   *   if they are not a well-formed JPEG
+   */
+  function stripJpegMetadata(bytes) {
+    if (bytes.length < 4 || bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+      return bytes;
+    }
+
+    const kept = [bytes.subarray(0, 2)];
+    let position = 2;
+
+    while (position + 4 <= bytes.length) {
+      if (bytes[position] !== 0xFF) {
+        return bytes;
+      }
+
+      const marker = bytes[position + 1];
+
+      // Image data starts at the Start of Scan segment and runs to the end
+      if (marker === 0xDA) {
+        break;
+      }
+
+      const end = position + 2 + ((bytes[position + 2] << 8) | bytes[position + 3]);
+
+      if (end > bytes.length) {
+        return bytes;
+      }
+
+      if (marker !== 0xE1 && marker !== 0xED) {
+        kept.push(bytes.subarray(position, end));
+      }
+
+      position = end;
+    }
+
+    kept.push(bytes.subarray(position));
+
+    const stripped = new Uint8Array(kept.reduce((length, part) => length + part.length, 0));
+    kept.reduce(function(offset, part) {
+      stripped.set(part, offset);
+      return offset + part.length;
+    }, 0);
+
+    return stripped;
+  }
+
+  /**
+   * Scales a photo down to the maximum dimension and re-encodes it, upright and
+   * without metadata
+   * @param {File} file - JPEG, PNG or WebP photo
+   * @returns {Promise<File>} The re-encoded photo: PNG for PNG photos, JPEG otherwise
+   * @throws {Error} If the browser can't decode or encode the photo
+   */
+  async function resizeImage(file) {
+    if (typeof createImageBitmap !== 'function') {
+      throw new Error('Images cannot be decoded in this browser');
+    }
+
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const scale = Math.min(1, ATTACHMENTS_CONFIG.maxImageDimension / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+
+    if (!context) {
+      bitmap.close();
+      throw new Error('Images cannot be encoded in this browser');
+    }
+
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+
+    // JPEG has no transparency, which would otherwise turn black
+    if (type === 'image/jpeg') {
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await new Promise(function(resolve, reject) {
+      canvas.toBlob(function(result) {
+        if (result) {
+          resolve(result);
+        } else {
+          reject(new Error('The image could not be encoded'));
+        }
+      }, type, ATTACHMENTS_CONFIG.imageQuality);
+    });
+    const name = type === file.type ? file.name : `${file.name.replace(/\.[^.]*$/, '')}.jpg`;
+
+    return new File([blob], name, { type: type, lastModified: file.lastModified });
+  }
+
+  /**
+   * Prepares a chosen file for upload: photos are scaled down and stripped of
+   * metadata, other files are left as they are
+   * @param {File} file - The chosen file
+   * @returns {Promise<File>} The file to upload
+   */
+  async function prepareFile(file) {
+    if (!ATTACHMENTS_CONFIG.resizableTypes.includes(file.type)) {
+      return file;
+    }
+
+    try {
+      return await resizeImage(file);
+    } catch (error) {
+      if (file.type !== 'image/jpeg') {
+        return file;
+      }
+
+      const bytes = stripJpegMetadata(new Uint8Array(await file.arrayBuffer()));
+      return new File([bytes], file.name, { type: file.type, lastModified: file.lastModified });
+    }
+  }
+
+  /**
+   * Formats a file size for the attachment list
+   * @param {number} size - Size in bytes
+   * @returns {string} The size in kB or MB, in the current locale
+   */
+  function formatSize(size) {
+    const inMegabytes = size >= 1024 * 1024;
+
+    return new Intl.NumberFormat(I18n.getLocale(), {
+      style: 'unit',
+      unit: inMegabytes ? 'megabyte' : 'kilobyte',
+      maximumFractionDigits: inMegabytes ? 1 : 0
+    }).format(inMegabytes ? size / (1024 * 1024) : Math.max(1, size / 1024));
+  }
+
+  /**
+   * Creates the thumbnail of a file
+   * @param {File} file - The file
+   * @param {string|null} url - Object URL of the file, if one could be created
+   * @returns {HTMLElement} An image, a muted video, or a placeholder with the file type
+   */
+  function createPreview(file, url) {
+    let preview;
+
+    if (url && ATTACHMENTS_CONFIG.resizableTypes.includes(file.type)) {
+      preview = document.createElement('img');
+      preview.alt = '';
+      preview.src = url;
+    } else if (url && file.type.startsWith('video/')) {
+      preview = document.createElement('video');
+      preview.muted = true;
+      preview.preload = 'metadata';
+      preview.src = url;
+    } else {
+      preview = document.createElement('span');
+      preview.textContent = (file.name.split('.').pop() || '').toUpperCase();
+    }
+
+    preview.className = 'attachment-preview';
+    preview.setAttribute('aria-hidden', 'true');
+
+    return preview;
+  }
+
+  /**
+   * Enhances a file input with drag and drop, checks, photo processing and a
+   * list of the chosen files
+   * @param {HTMLInputElement} input - File input inside a `.form-group`
+   * @returns {Function} Function removing the listeners and the chosen files
+   */
+  function attach(input) {
+    const group = input.closest('.form-group') || input.parentElement;
+    const dropzone = group.querySelector('.attachment-dropzone') || group;
+    const list = group.querySelector('.attachment-list');
+    const supportsObjectUrls = typeof window.URL.createObjectURL === 'function';
+    // Chosen files, as { file, url }
+    let items = [];
+    // Files are added one batch at a time, in the order they were chosen
+    let adding = Promise.resolve();
+
+    /**
+     * Lists the chosen files
+     */
+    function render() {
+      list.textContent = '';
+
+      items.forEach(function(item, index) {
+        const entry = document.createElement('li');
+        const name = document.createElement('span');
+        const size = document.createElement('span');
+        const remove = document.createElement('button');
+
+        entry.className = 'attachment-item';
+        name.className = 'attachment-name';
+        name.textContent = item.file.name;
+        size.className = 'attachment-size';
+        size.textContent = formatSize(item.file.size);
+        remove.type = 'button';
+        remove.className = 'attachment-remove';
+        remove.innerHTML = '&times;';
+        remove.setAttribute('aria-label', I18n.getMessage('ATTACHMENT_REMOVE', { name: item.file.name }));
+        remove.addEventListener('click', function() {
+          removeFile(index);
+        });
+
+        entry.appendChild(createPreview(item.file, item.url));
+        entry.appendChild(name);
+        entry.appendChild(size);
+        entry.appendChild(remove);
+        list.appendChild(entry);
+      });
+
+      list.hidden = items.length === 0;
+    }
+
+    /**
+     * Hands the chosen files to the form and shows or clears the error
+     * @param {string|null} error - Why files were rejected, if any were
+     */
+    function update(error) {
+      Forms.setFiles(input, items.map(item => item.file));
+
+      if (error) {
+        Forms.showError(input, error);
+      } else {
+        Forms.clearError(input);
+      }
+
+      input.dispatchEvent(new window.CustomEvent('thermocool:attachments-change', {
+        bubbles: true,
+        detail: { files: items.map(item => item.file), error: error }
+      }));
+    }
+
+    /**
+     * Prepares files and adds those within the limits
+     * @param {FileList|File[]} files - Chosen or dropped files
+     * @returns {Promise<void>} Resolves once the files are listed
+     */
+    function addFiles(files) {
+      const chosen = Array.from(files);
+      const add = async function() {
+        let error = null;
+
+        for (const original of chosen) {
+          let file;
+
+          // A file that can't be read, e.g. one removed from the disk, is left out
+          try {
+            file = await prepareFile(original);
+          } catch (readError) {
+            error = error || ValidationRules.formatMessage(ATTACHMENT_MESSAGES.ATTACHMENT_UNREADABLE, { name: original.name });
+            continue;
+          }
+
+          const problem = ValidationRules.validateAttachments(items.map(item => item.file).concat(file));
+
+          if (problem) {
+            error = error || problem;
+          } else {
+            items.push({ file: file, url: supportsObjectUrls ? window.URL.createObjectURL(file) : null });
+          }
+        }
+
+        render();
+        update(error);
+      };
+
+      // A failed batch doesn't hold up the next one
+      adding = adding.then(add, add);
+
+      return adding;
+    }
+
+    /**
+     * Removes a chosen file and moves focus to the file now in its place
+     * @param {number} index - Position of the file in the list
+     */
+    function removeFile(index) {
+      const [removed] = items.splice(index, 1);
+
+      if (removed.url) {
+        window.URL.revokeObjectURL(removed.url);
+      }
+
+      render();
+      update(null);
+
+      const buttons = list.querySelectorAll('.attachment-remove');
+      (buttons[Math.min(index, buttons.length - 1)] || input).focus();
+    }
+
+    /**
+     * Removes every chosen file
+     */
+    function clearFiles() {
+      items.forEach(function(item) {
+        if (item.url) {
+          window.URL.revokeObjectURL(item.url);
+        }
+      });
+      items = [];
+      render();
+      Forms.setFiles(input, []);
+    }
+
+    const onChange = function() {
+      addFiles(input.files);
+      // The input only ever holds the latest choice, which is now in the list
+      input.value = '';
+    };
+
+    const hasFiles = function(event) {
+      return event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+    };
+
+    const onDragOver = function(event) {
+      if (hasFiles(event)) {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        dropzone.classList.add('is-dragover');
+      }
+    };
+
+    const onDragLeave = function(event) {
+      if (!dropzone.contains(event.relatedTarget)) {
+        dropzone.classList.remove('is-dragover');
+      }
+    };
+
+    const onDrop = function(event) {
+      dropzone.classList.remove('is-dragover');
+
+      if (event.dataTransfer && event.dataTransfer.files.length > 0) {
+        event.preventDefault();
+        addFiles(event.dataTransfer.files);
+      }
+    };
+
+    input.addEventListener('change', onChange);
+    dropzone.addEventListener('dragenter', onDragOver);
+    dropzone.addEventListener('dragover', onDragOver);
+    dropzone.addEventListener('dragleave', onDragLeave);
+    dropzone.addEventListener('drop', onDrop);
+    document.addEventListener('thermocool:locale-change', render);
+    if (input.form) {
+      input.form.addEventListener('reset', clearFiles);
+    }
+
+    render();
+
+    return function detach() {
+      input.removeEventListener('change', onChange);
+      dropzone.removeEventListener('dragenter', onDragOver);
+      dropzone.removeEventListener('dragover', onDragOver);
+      dropzone.removeEventListener('dragleave', onDragLeave);
+      dropzone.removeEventListener('drop', onDrop);
+      document.removeEventListener('thermocool:locale-change', render);
+      if (input.form) {
+        input.form.removeEventListener('reset', clearFiles);
+      }
+      clearFiles();
+    };
+  }
+
+  /**
+   * Enhances every attachments input of the page
+   */
+  function initAttachments() {
+    document.querySelectorAll('input[type="file"][data-attachments]').forEach(function(input) {
+      attach(input);
+    });
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAttachments);
+  } else {
+    initAttachments();
+  }
+
+  const api = {
+    attach,
+    stripJpegMetadata,
+    config: ATTACHMENTS_CONFIG
+  };
+
+  window.ThermoCoolAttachments = api;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
@@ -0,0 +1,328 @@
+/**
+ * Business Hours Module
+ *
+ * Opening hours shared by the contact form in the browser and by the local
+ * backend, read from the `openingHoursSpecification` of the page's JSON-LD so
+ * the structured data stays the single source of the hours:
+ * - Whether we are open right now, and when we close or open next
+ * - Appointment arrival windows on open days, within opening hours
+ * - A lead time before the earliest bookable window
+ * - Checking that a submitted window is one we actually offer
+ *
+ * Times are wall-clock times in the business's time zone, whatever the
+ * visitor's or the server's zone. Internally they are Dates whose UTC fields
+ * hold that wall-clock time. Appointment slots are written as
+ * `YYYY-MM-DDTHH:MM`, the start of the arrival window.
+ *
+ * @module business-hours
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Business hours and appointment configuration
+   * @type {Object}
+   */
+  const BUSINESS_HOURS_CONFIG = {
+    // IANA time zone the opening hours are given in
+    timeZone: 'America/New_York',
+    // Length of an arrival window
+    windowHours: 2,
+    // Time needed to plan a visit; earlier windows are not offered
+    leadTimeHours: 4,
+    // How far ahead appointments can be booked
+    daysAhead: 14
+  };
+
+  const DAY_NAMES = Object.freeze([
+    'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'
+  ]);
+
+  // Opening periods in minutes after midnight, indexed by day of the week (0 is Sunday)
+  let openingHours = DAY_NAMES.map(() => []);
+
+  /**
+   * Converts a time of day to minutes after midnight
+   * @param {string} time - Time as HH:MM, optionally with seconds
+   * @returns {number|null} Minutes after midnight, or null if the time is malformed
+   */
+  function parseTime(time) {
+    const match = /^(\d{2}):(\d{2})(?::\d{2})?$/.exec(String(time || ''));
+
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+      return null;
+    }
+
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  /**
+   * Converts minutes after midnight to a time of day
+   * @param {number} minutes - Minutes after midnight
+   * @returns {string} Time as HH:MM
+   */
+  function formatTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Formats the calendar date of a wall-clock Date
+   * @param {Date} date - Wall-clock date
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  function formatDate(date) {
+    return [
+      date.getUTCFullYear(),
+      String(date.getUTCMonth() + 1).padStart(2, '0'),
+      String(date.getUTCDate()).padStart(2, '0')
+    ].join('-');
+  }
+
+  /**
+   * Reads the business's wall-clock time at a moment
+   * @param {Date} now - Moment in time
+   * @returns {Date} Date whose UTC fields hold the wall-clock time in the business's time zone
+   */
+  function getWallClock(now) {
+    const parts = {};
+
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: BUSINESS_HOURS_CONFIG.timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }).formatToParts(now).forEach(function(part) {
+      parts[part.type] = Number(part.value);
+    });
+
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute));
+  }
+
+  /**
+   * Finds the opening hours specifications in parsed JSON-LD
+   * @param {*} data - Parsed JSON-LD: an object, an array or a `@graph`
+   * @returns {Object[]} Every OpeningHoursSpecification found
+   */
+  function findOpeningHours(data) {
+    if (Array.isArray(data)) {
+      return data.reduce((found, item) => found.concat(findOpeningHours(item)), []);
+    }
+
+    if (!data || typeof data !== 'object') {
+      return [];
+    }
+
+    const own = data.openingHoursSpecification;
+    const specifications = own ? [].concat(own) : [];
+
+    return Object.keys(data)
+      .filter(key => key !== 'openingHoursSpecification')
+      .reduce((found, key) => found.concat(findOpeningHours(data[key])), specifications);
+  }
+
+  /**
+   * Replaces the opening hours
+   * @param {Object[]} specifications - schema.org OpeningHoursSpecification objects;
+   *   `dayOfWeek` is a day name or a list of them, optionally as schema.org URLs
+   */
+  function setOpeningHours(specifications) {
+    const hours = DAY_NAMES.map(() => []);
+
+    specifications.forEach(function(specification) {
+      const opens = parseTime(specification.opens);
+      const closes = parseTime(specification.closes);
+
+      if (opens === null || closes === null || closes <= opens) {
+        return;
+      }
+
+      [].concat(specification.dayOfWeek || []).forEach(function(day) {
+        const index = DAY_NAMES.indexOf(String(day).replace(/^https?:\/\/schema\.org\//, ''));
+
+        if (index !== -1) {
+          hours[index].push({ opens: opens, closes: closes });
+        }
+      });
+    });
+
+    hours.forEach(periods => periods.sort((a, b) => a.opens - b.opens));
+    openingHours = hours;
+  }
+
+  /**
+   * Returns the opening periods of a day of the week
+   * @param {number} day - Day of the week, 0 for Sunday
+   * @returns {Object[]} `{ opens, closes }` in minutes after midnight; empty on closed days
+   */
+  function getOpeningHours(day) {
+    return openingHours[day].map(period => Object.assign({}, period));
+  }
+
+  /**
+   * Tells whether we are open at a moment, and when that changes
+   * @param {Date} [now] - Moment in time
+   * @returns {Object} `{ isOpen, closesAt, opensAt }`: `closesAt` is the closing time (HH:MM)
+   *   while open; `opensAt` is `{ dayOfWeek, daysAway, time }` of the next opening while
+   *   closed, or null if we never open
+   */
+  function getOpenStatus(now = new Date()) {
+    const wallClock = getWallClock(now);
+    const today = wallClock.getUTCDay();
+    const minutes = wallClock.getUTCHours() * 60 + wallClock.getUTCMinutes();
+    const current = openingHours[today].find(period => period.opens <= minutes && minutes < period.closes);
+
+    if (current) {
+      return { isOpen: true, closesAt: formatTime(current.closes), opensAt: null };
+    }
+
+    for (let daysAway = 0; daysAway <= 7; daysAway++) {
+      const dayOfWeek = (today + daysAway) % 7;
+      const next = openingHours[dayOfWeek].find(period => daysAway > 0 || period.opens > minutes);
+
+      if (next) {
+        return {
+          isOpen: false,
+          closesAt: null,
+          opensAt: { dayOfWeek: dayOfWeek, daysAway: daysAway, time: formatTime(next.opens) }
+        };
+      }
+    }
+
+    return { isOpen: false, closesAt: null, opensAt: null };
+  }
+
+  /**
+   * Lists the arrival windows of a calendar day, ignoring the lead time
+   * @param {Date} day - Any wall-clock time on the day
+   * @returns {Object[]} `{ date, start, end, value }` for each window
+   */
+  function getDayWindows(day) {
+    const windowMinutes = BUSINESS_HOURS_CONFIG.windowHours * 60;
+    const date = formatDate(day);
+    const windows = [];
+
+    openingHours[day.getUTCDay()].forEach(function(period) {
+      for (let start = period.opens; start + windowMinutes <= period.closes; start += windowMinutes) {
+        windows.push({
+          date: date,
+          start: formatTime(start),
+          end: formatTime(start + windowMinutes),
+          value: `${date}T${formatTime(start)}`
+        });
+      }
+    });
+
+    return windows;
+  }
+
+  /**
+   * Reads the start of an appointment slot
+   * @param {string} value - Slot as YYYY-MM-DDTHH:MM
+   * @returns {Date|null} The wall-clock start of the window, or null if the value is not a real date and time
+   */
+  function getSlotStart(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(String(value || ''));
+
+    if (!match) {
+      return null;
+    }
+
+    const start = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4]), Number(match[5])));
+
+    // Date rolls impossible days and times over, e.g. February 30 into March
+    return formatDate(start) === value.slice(0, 10) && formatTime(start.getUTCHours() * 60 + start.getUTCMinutes()) === value.slice(11) ?
+      start :
+      null;
+  }
+
+  /**
+   * Lists the appointment windows that can still be booked
+   * @param {Date} [now] - Current time
+   * @returns {Object[]} `{ date, start, end, value }` in chronological order
+   */
+  function getAppointmentSlots(now = new Date()) {
+    const wallClock = getWallClock(now);
+    const earliest = wallClock.getTime() + BUSINESS_HOURS_CONFIG.leadTimeHours * 60 * 60 * 1000;
+    const slots = [];
+
+    for (let offset = 0; offset <= BUSINESS_HOURS_CONFIG.daysAhead; offset++) {
+      const day = new Date(Date.UTC(wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate() + offset));
+
+      getDayWindows(day).forEach(function(slot) {
+        if (getSlotStart(slot.value).getTime() >= earliest) {
+          slots.push(slot);
+        }
+      });
+    }
+
+    return slots;
+  }
+
+  /**
+   * Describes a slot value as a window, whether or not it can still be booked
+   * @param {string} value - Slot as YYYY-MM-DDTHH:MM
+   * @returns {Object|null} `{ date, start, end, value }`, or null if the value is not a window we offer
+   */
+  function parseSlot(value) {
+    const start = getSlotStart(value);
+
+    return (start && getDayWindows(start).find(slot => slot.value === value)) || null;
+  }
+
+  /**
+   * Checks whether an appointment slot can be booked
+   * @param {string} value - Slot as YYYY-MM-DDTHH:MM
+   * @param {Date} [now] - Current time
+   * @returns {boolean} True if the slot is one of the windows still offered
+   */
+  function isAvailableSlot(value, now = new Date()) {
+    return getAppointmentSlots(now).some(slot => slot.value === value);
+  }
+
+  /**
+   * Reads the opening hours from the JSON-LD scripts of a document
+   * @param {Document} root - Document to read
+   * @returns {Object[]} The OpeningHoursSpecification objects found
+   */
+  function readOpeningHours(root) {
+    return Array.from(root.querySelectorAll('script[type="application/ld+json"]')).reduce(function(found, script) {
+      try {
+        return found.concat(findOpeningHours(JSON.parse(script.textContent)));
+      } catch (error) {
+        if (typeof console !== 'undefined' && console.warn) {
+          console.warn('Structured data could not be read:', error.message);
+        }
+        return found;
+      }
+    }, []);
+  }
+
+  if (typeof document !== 'undefined') {
+    setOpeningHours(readOpeningHours(document));
+  }
+
+  const api = {
+    DAY_NAMES,
+    findOpeningHours,
+    setOpeningHours,
+    getOpeningHours,
+    getOpenStatus,
+    getAppointmentSlots,
+    parseSlot,
+    isAvailableSlot,
+    config: BUSINESS_HOURS_CONFIG
+  };
+
+  if (typeof window !== 'undefined') {
+    window.ThermoCoolBusinessHours = api;
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
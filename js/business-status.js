@@ -0,0 +1,205 @@
+/**
+ * Business Status Module
+ *
+ * Tells visitors whether we are open right now, from the opening hours in
+ * js/business-hours.js (the page's JSON-LD) and in the business's time zone:
+ * - Fills every `[data-business-status]` element with "Open now — closes at
+ *   6 PM" or "Closed — opens Monday 8 AM", in its `.business-status-text`
+ * - While closed, reveals the 24/7 emergency line in its
+ *   `.business-status-emergency` link
+ * - While closed, makes the option named by `data-closed-default` the default
+ *   of its select, e.g. the emergency service; a choice the visitor already
+ *   made is kept
+ *
+ * The status is refreshed every minute and when the language changes.
+ *
+ * @module business-status
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const isCommonJs = typeof module !== 'undefined' && module.exports;
+  const BusinessHours = isCommonJs ? require('./business-hours.js') : window.ThermoCoolBusinessHours;
+  const I18n = isCommonJs ? require('./i18n.js') : window.ThermoCoolI18n;
+
+  /**
+   * Status configuration
+   * @type {Object}
+   */
+  const STATUS_CONFIG = {
+    refreshInterval: 60 * 1000
+  };
+
+  // Status texts
+  const STATUS_MESSAGES = Object.freeze({
+    BUSINESS_OPEN: 'Open now — closes at {time}',
+    BUSINESS_OPENS_TODAY: 'Closed — opens at {time}',
+    BUSINESS_OPENS: 'Closed — opens {day} {time}',
+    BUSINESS_CLOSED: 'Closed'
+  });
+
+  I18n.defineMessages(STATUS_MESSAGES);
+
+  /**
+   * Formats a business-hours time in the current locale, e.g. "6 PM" or "18:00"
+   * @param {string} time - Time as HH:MM
+   * @returns {string} The formatted time
+   */
+  function formatTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const options = { hour: 'numeric', timeZone: 'UTC' };
+    const hourCycle = new Intl.DateTimeFormat(I18n.getLocale(), options).resolvedOptions().hourCycle;
+
+    // Whole hours read best as "6 PM", but a bare "18" needs its minutes
+    if (minutes !== 0 || hourCycle === 'h23' || hourCycle === 'h24') {
+      options.minute = '2-digit';
+    }
+
+    return new Intl.DateTimeFormat(I18n.getLocale(), options).format(new Date(Date.UTC(2000, 0, 1, hours, minutes)));
+  }
+
+  /**
+   * Names a day of the week in the current locale
+   * @param {number} dayOfWeek - Day of the week, 0 for Sunday
+   * @returns {string} The day name
+   */
+  function formatDay(dayOfWeek) {
+    // January 2, 2000 was a Sunday
+    return new Intl.DateTimeFormat(I18n.getLocale(), { weekday: 'long', timeZone: 'UTC' })
+      .format(new Date(Date.UTC(2000, 0, 2 + dayOfWeek)));
+  }
+
+  /**
+   * Describes an open status in the current locale
+   * @param {Object} status - Status from BusinessHours.getOpenStatus()
+   * @returns {string} The status text
+   */
+  function describeStatus(status) {
+    if (status.isOpen) {
+      return I18n.getMessage('BUSINESS_OPEN', { time: formatTime(status.closesAt) });
+    }
+
+    if (!status.opensAt) {
+      return I18n.getMessage('BUSINESS_CLOSED');
+    }
+
+    if (status.opensAt.daysAway === 0) {
+      return I18n.getMessage('BUSINESS_OPENS_TODAY', { time: formatTime(status.opensAt.time) });
+    }
+
+    return I18n.getMessage('BUSINESS_OPENS', {
+      day: formatDay(status.opensAt.dayOfWeek),
+      time: formatTime(status.opensAt.time)
+    });
+  }
+
+  /**
+   * Shows an open status in a status element
+   * @param {HTMLElement} element - Element with data-business-status
+   * @param {Object} status - Status from BusinessHours.getOpenStatus()
+   */
+  function renderStatus(element, status) {
+    const text = element.querySelector('.business-status-text') || element;
+    const emergencyLink = element.querySelector('.business-status-emergency');
+
+    element.dataset.state = status.isOpen ? 'open' : 'closed';
+    text.textContent = describeStatus(status);
+
+    if (emergencyLink) {
+      emergencyLink.hidden = status.isOpen;
+    }
+
+    element.hidden = false;
+  }
+
+  /**
+   * Makes the select's closed-hours option its default while closed, and
+   * selects it unless the visitor already chose something else
+   * @param {HTMLSelectElement} select - Select with data-closed-default
+   * @param {boolean} isClosed - Whether we are closed
+   */
+  function applyClosedDefault(select, isClosed) {
+    const options = Array.from(select.options);
+    const closedOption = options.find(option => option.value === select.dataset.closedDefault);
+
+    if (!closedOption || closedOption.defaultSelected === isClosed) {
+      return;
+    }
+
+    const currentDefault = options.find(option => option.defaultSelected) || options[0];
+    const value = select.value;
+    const untouched = value === currentDefault.value;
+
+    // Changing the default can change the selection too
+    closedOption.defaultSelected = isClosed;
+
+    if (!untouched) {
+      select.value = value;
+      return;
+    }
+
+    select.value = (options.find(option => option.defaultSelected) || options[0]).value;
+
+    // Let validation re-evaluate the rules that depend on this field
+    select.dispatchEvent(new window.Event('change', { bubbles: true }));
+  }
+
+  /**
+   * Shows the open status and applies the closed-hours defaults in a subtree
+   * @param {ParentNode} [root=document] - Subtree with status elements and selects
+   * @returns {Function} Function stopping the updates
+   */
+  function attach(root = document) {
+    const update = function() {
+      const status = BusinessHours.getOpenStatus();
+
+      root.querySelectorAll('[data-business-status]').forEach(function(element) {
+        renderStatus(element, status);
+      });
+
+      root.querySelectorAll('select[data-closed-default]').forEach(function(select) {
+        applyClosedDefault(select, !status.isOpen);
+      });
+    };
+
+    const timer = setInterval(update, STATUS_CONFIG.refreshInterval);
+
+    document.addEventListener('thermocool:locale-change', update);
+    update();
+
+    return function detach() {
+      clearInterval(timer);
+      document.removeEventListener('thermocool:locale-change', update);
+    };
+  }
+
+  /**
+   * Shows the open status on the page, if it has anything to show it in
+   */
+  function initBusinessStatus() {
+    if (document.querySelector('[data-business-status], select[data-closed-default]')) {
+      attach(document);
+    }
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initBusinessStatus);
+  } else {
+    initBusinessStatus();
+  }
+
+  const api = {
+    attach,
+    describeStatus,
+    config: STATUS_CONFIG
+  };
+
+  window.ThermoCoolBusinessStatus = api;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
@@ -0,0 +1,299 @@
+/**
+ * Character Counter Module
+ *
+ * Shows how much room is left in the text fields of a form, so visitors learn
+ * about length limits while they type instead of from an error afterwards:
+ * - Every text field whose rules have a `maxLength` gets a counter, the limits
+ *   being read from the same rules the validation uses (FIELD_RULES, the
+ *   markup and the conditional rules)
+ * - Counters of textareas are always shown; those of single-line fields only
+ *   once the value gets close to the limit
+ * - The counter changes color near, at and over the limit, and below a
+ *   `minLength`
+ * - Screen readers hear about it politely when the value crosses one of those
+ *   thresholds, not on every keystroke
+ * - Textareas grow to fit their text
+ *
+ * @module character-counter
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const isCommonJs = typeof module !== 'undefined' && module.exports;
+  const Forms = isCommonJs ? require('./form-validation.js') : window.ThermoCoolForms;
+  const I18n = isCommonJs ? require('./i18n.js') : window.ThermoCoolI18n;
+
+  /**
+   * Counter configuration
+   * @type {Object}
+   */
+  const COUNTER_CONFIG = {
+    // Share of the limit from which the counter warns
+    warningRatio: 0.9,
+    // Input types that hold free text
+    textTypes: ['text', 'email', 'search', 'url', 'tel']
+  };
+
+  // Counter texts
+  const COUNTER_MESSAGES = Object.freeze({
+    CHARACTER_COUNT: '{count} of {max} characters',
+    CHARACTER_COUNT_SHORT: '{count} of {max} characters, at least {min} needed',
+    CHARACTER_COUNT_WARNING: 'Characters left: {remaining}',
+    CHARACTER_COUNT_LIMIT: 'Character limit reached',
+    CHARACTER_COUNT_OVER: 'Characters over the limit: {over}'
+  });
+
+  I18n.defineMessages(COUNTER_MESSAGES);
+
+  /**
+   * Works out the state of a counter
+   * @param {number} count - Characters entered
+   * @param {Object} rules - Rules of the field, with `maxLength` and maybe `minLength`
+   * @returns {string} `'short'`, `'ok'`, `'warning'`, `'limit'` or `'over'`
+   */
+  function getCounterState(count, rules) {
+    if (count > rules.maxLength) {
+      return 'over';
+    }
+    if (count === rules.maxLength) {
+      return 'limit';
+    }
+    if (count >= Math.ceil(rules.maxLength * COUNTER_CONFIG.warningRatio)) {
+      return 'warning';
+    }
+    return count > 0 && count < (rules.minLength || 0) ? 'short' : 'ok';
+  }
+
+  /**
+   * Counts the characters of a field the way the validation does
+   * @param {HTMLElement} field - The form field
+   * @param {Object} rules - Rules of the field
+   * @returns {number} Characters of the trimmed value; digits for phone numbers
+   */
+  function countCharacters(field, rules) {
+    const value = field.value.trim();
+
+    return (field.type || rules.type) === 'tel' ? value.replace(/\D/g, '').length : value.length;
+  }
+
+  /**
+   * Describes a state for screen readers
+   * @param {string} state - Counter state
+   * @param {number} count - Characters entered
+   * @param {Object} rules - Rules of the field
+   * @returns {string|null} Announcement, or null for states not worth interrupting for
+   */
+  function getAnnouncement(state, count, rules) {
+    switch (state) {
+      case 'warning':
+        return I18n.getMessage('CHARACTER_COUNT_WARNING', { remaining: rules.maxLength - count });
+      case 'limit':
+        return I18n.getMessage('CHARACTER_COUNT_LIMIT');
+      case 'over':
+        return I18n.getMessage('CHARACTER_COUNT_OVER', { over: count - rules.maxLength });
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Adds an element to the description of a field, or removes it
+   * @param {HTMLElement} field - The form field
+   * @param {string} id - Id of the describing element
+   * @param {boolean} isDescribing - Whether the element should describe the field
+   */
+  function setDescribedBy(field, id, isDescribing) {
+    const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(existing => existing && existing !== id);
+
+    if (isDescribing) {
+      ids.push(id);
+    }
+
+    if (ids.length > 0) {
+      field.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+      field.removeAttribute('aria-describedby');
+    }
+  }
+
+  /**
+   * Grows a textarea to fit its text, never below its CSS height
+   * @param {HTMLTextAreaElement} textarea - The textarea
+   */
+  function fitToContent(textarea) {
+    const borders = textarea.offsetHeight - textarea.clientHeight;
+
+    textarea.style.height = 'auto';
+    textarea.style.height = `${textarea.scrollHeight + borders}px`;
+  }
+
+  /**
+   * Adds character counters to the text fields of a form
+   * @param {HTMLFormElement} form - The form
+   * @param {Object} [options] - Rules the form is validated with
+   * @param {Object} [options.rules] - JS rules keyed by field name, FIELD_RULES by default
+   * @param {Object[]} [options.conditions] - Conditional rules, CONDITIONAL_RULES by default
+   * @returns {Function} Function removing the counters and listeners
+   */
+  function attach(form, options = {}) {
+    // Counter element and last state, keyed by field
+    const counters = new Map();
+    const status = document.createElement('p');
+    let resetTimer = null;
+
+    status.className = 'visually-hidden';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+    form.appendChild(status);
+
+    /**
+     * Checks whether a field holds free text
+     * @param {HTMLElement} field - The form field
+     * @returns {boolean} True for textareas and text-like inputs
+     */
+    function isTextField(field) {
+      return field.tagName === 'TEXTAREA' ||
+        (field.tagName === 'INPUT' && COUNTER_CONFIG.textTypes.includes(field.type));
+    }
+
+    /**
+     * Creates the counter of a field
+     * @param {HTMLElement} field - The form field
+     * @returns {Object} `{ element, state }`
+     */
+    function createCounter(field) {
+      const element = document.createElement('p');
+
+      element.className = 'character-counter';
+      element.id = `${field.id || field.name}-counter`;
+      field.insertAdjacentElement('afterend', element);
+
+      return { element: element, state: null };
+    }
+
+    /**
+     * Shows or hides a counter; only shown counters describe their field
+     * @param {HTMLElement} field - The form field
+     * @param {Object} counter - The field's counter
+     * @param {boolean} isShown - Whether the counter should be shown
+     */
+    function showCounter(field, counter, isShown) {
+      counter.element.hidden = !isShown;
+      setDescribedBy(field, counter.element.id, isShown);
+    }
+
+    /**
+     * Updates the counter of a field
+     * @param {HTMLElement} field - The form field
+     * @param {boolean} [announce=true] - Whether to announce a change of state
+     */
+    function update(field, announce = true) {
+      if (!isTextField(field)) {
+        return;
+      }
+
+      if (field.tagName === 'TEXTAREA') {
+        fitToContent(field);
+      }
+
+      const rules = Forms.getFieldRules(field, options.rules, options.conditions);
+      let counter = counters.get(field);
+
+      if (!rules || rules.maxLength === undefined) {
+        if (counter) {
+          showCounter(field, counter, false);
+        }
+        return;
+      }
+
+      if (!counter) {
+        counter = createCounter(field);
+        counters.set(field, counter);
+      }
+
+      const count = countCharacters(field, rules);
+      const state = getCounterState(count, rules);
+      const message = state === 'short' ? 'CHARACTER_COUNT_SHORT' : 'CHARACTER_COUNT';
+
+      counter.element.textContent = I18n.getMessage(message, { count: count, max: rules.maxLength, min: rules.minLength });
+      counter.element.dataset.state = state;
+      showCounter(field, counter, field.tagName === 'TEXTAREA' || !['ok', 'short'].includes(state));
+
+      if (announce && counter.state !== null && state !== counter.state) {
+        status.textContent = getAnnouncement(state, count, rules) || '';
+      }
+      counter.state = state;
+    }
+
+    /**
+     * Updates every counter, without announcing
+     */
+    function updateAll() {
+      Array.from(form.elements).forEach(field => update(field, false));
+    }
+
+    const onInput = function(event) {
+      update(event.target);
+    };
+
+    // Reset fires before the fields are cleared
+    const onReset = function() {
+      clearTimeout(resetTimer);
+      resetTimer = setTimeout(updateAll, 0);
+    };
+
+    form.addEventListener('input', onInput);
+    form.addEventListener('change', onInput);
+    form.addEventListener('reset', onReset);
+    form.addEventListener('thermocool:draft-restore', updateAll);
+    document.addEventListener('thermocool:locale-change', updateAll);
+
+    updateAll();
+
+    return function detach() {
+      clearTimeout(resetTimer);
+      form.removeEventListener('input', onInput);
+      form.removeEventListener('change', onInput);
+      form.removeEventListener('reset', onReset);
+      form.removeEventListener('thermocool:draft-restore', updateAll);
+      document.removeEventListener('thermocool:locale-change', updateAll);
+
+      counters.forEach(function(counter, field) {
+        setDescribedBy(field, counter.element.id, false);
+        counter.element.remove();
+      });
+      status.remove();
+    };
+  }
+
+  /**
+   * Adds counters to the contact form
+   */
+  function initCharacterCounters() {
+    const form = document.getElementById('contact-form');
+
+    if (form) {
+      attach(form);
+    }
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initCharacterCounters);
+  } else {
+    initCharacterCounters();
+  }
+
+  const api = {
+    attach,
+    config: COUNTER_CONFIG
+  };
+
+  window.ThermoCoolCharacterCounter = api;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
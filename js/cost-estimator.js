@@ -0,0 +1,350 @@
+/**
+ * Cost Estimator Module
+ *
+ * Gives visitors a price range for a new heating or cooling system while they
+ * fill in a short form, and turns it into a quote request:
+ * - Enhances every `form[data-cost-estimator]`, with fields named squareFeet,
+ *   systemType, systemAge, seer and urgency
+ * - Prices come from a JSON pricing table (`data-pricing-url`, by default
+ *   data/pricing.json), so they can change without a code change
+ * - The estimate and its breakdown are shown in the `.cost-estimate` element
+ *   of the estimator's container (`.cost-estimator`)
+ * - "Get this quote" fills in the quote form named by `data-quote-form`:
+ *   service, message, and the home size and system age when it has them
+ *
+ * @module cost-estimator
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const isCommonJs = typeof module !== 'undefined' && module.exports;
+  const Forms = isCommonJs ? require('./form-validation.js') : window.ThermoCoolForms;
+  const I18n = isCommonJs ? require('./i18n.js') : window.ThermoCoolI18n;
+
+  /**
+   * Estimator configuration
+   * @type {Object}
+   */
+  const ESTIMATOR_CONFIG = {
+    pricingUrl: 'data/pricing.json',
+    // Totals are rounded to this many dollars, the range ends to a multiple of roundRangeTo
+    roundTotalTo: 10,
+    roundRangeTo: 50,
+    // Service of the quote form an estimate is requested as, by urgency
+    services: { standard: 'installation', emergency: 'emergency' }
+  };
+
+  // Estimate texts
+  const ESTIMATOR_MESSAGES = Object.freeze({
+    ESTIMATE_RANGE: 'Estimated cost: {low} – {high}',
+    ESTIMATE_EQUIPMENT: 'Equipment and installation, {tons}-ton system',
+    ESTIMATE_EFFICIENCY: 'SEER {seer} high-efficiency equipment',
+    ESTIMATE_REMOVAL: 'Removing the old system and updating connections',
+    ESTIMATE_PRIORITY: 'Priority scheduling',
+    ESTIMATE_EMERGENCY: 'Emergency service',
+    ESTIMATE_QUOTE_MESSAGE: 'I would like a quote for: {system}, {tons} tons, {squareFeet} sq ft. Online estimate: {low} – {high}.'
+  });
+
+  I18n.defineMessages(ESTIMATOR_MESSAGES);
+
+  // Pricing tables by URL, fetched once per page
+  const pricingRequests = new Map();
+
+  /**
+   * Rounds an amount to a multiple of a step
+   * @param {number} amount - Amount
+   * @param {number} step - Rounding step
+   * @returns {number} The rounded amount
+   */
+  function roundTo(amount, step) {
+    return Math.round(amount / step) * step;
+  }
+
+  /**
+   * Computes the estimate of a job from a pricing table
+   * @param {Object} inputs - `{ squareFeet, systemType, systemAge, seer, urgency }`
+   * @param {Object} pricing - Pricing table, as in data/pricing.json
+   * @returns {Object|null} `{ squareFeet, tons, items, total, low, high, service }`, where
+   *   squareFeet is the home size rounded to whole square feet and each item is
+   *   `{ key, amount }`; null if the home size or system type is missing or out of range
+   */
+  function calculateEstimate(inputs, pricing) {
+    const system = pricing.systems[inputs.systemType];
+    // Whole square feet, as the quote form's home size field accepts
+    const squareFeet = Math.round(Number(inputs.squareFeet));
+
+    if (!system || !inputs.squareFeet || !Number.isFinite(squareFeet) ||
+        squareFeet < pricing.squareFeet.min || squareFeet > pricing.squareFeet.max) {
+      return null;
+    }
+
+    // Capacity in half-ton steps
+    const tonnage = pricing.tonnage;
+    const tons = Math.min(Math.max(Math.ceil(squareFeet / tonnage.squareFeetPerTon * 2) / 2, tonnage.minTons), tonnage.maxTons);
+    const equipment = system.basePrice + system.pricePerTon * tons;
+    const items = [{ key: 'equipment', amount: Math.round(equipment) }];
+
+    const seerFactor = system.seerRated ? pricing.seer[inputs.seer] || 1 : 1;
+    if (seerFactor !== 1) {
+      items.push({ key: 'efficiency', amount: Math.round(equipment * (seerFactor - 1)) });
+    }
+
+    const removal = pricing.systemAge[inputs.systemAge] || 0;
+    if (removal) {
+      items.push({ key: 'removal', amount: removal });
+    }
+
+    const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+    const urgencyFactor = pricing.urgency[inputs.urgency] || 1;
+    if (urgencyFactor !== 1) {
+      items.push({ key: inputs.urgency, amount: Math.round(subtotal * (urgencyFactor - 1)) });
+    }
+
+    const total = roundTo(items.reduce((sum, item) => sum + item.amount, 0), ESTIMATOR_CONFIG.roundTotalTo);
+
+    return {
+      squareFeet: squareFeet,
+      tons: tons,
+      items: items,
+      total: total,
+      low: roundTo(total * (1 - pricing.rangeSpread), ESTIMATOR_CONFIG.roundRangeTo),
+      high: roundTo(total * (1 + pricing.rangeSpread), ESTIMATOR_CONFIG.roundRangeTo),
+      service: inputs.urgency === 'emergency' ? ESTIMATOR_CONFIG.services.emergency : ESTIMATOR_CONFIG.services.standard
+    };
+  }
+
+  /**
+   * Fetches a pricing table, once per URL
+   * @param {string} url - URL of the pricing JSON
+   * @returns {Promise<Object>} The pricing table
+   */
+  function loadPricing(url) {
+    if (!pricingRequests.has(url)) {
+      pricingRequests.set(url, fetch(url).then(function(response) {
+        if (!response.ok) {
+          throw new Error(`Pricing could not be loaded (${response.status})`);
+        }
+        return response.json();
+      }).catch(function(error) {
+        pricingRequests.delete(url);
+        throw error;
+      }));
+    }
+
+    return pricingRequests.get(url);
+  }
+
+  /**
+   * Reads the estimator inputs of a form
+   * @param {HTMLFormElement} form - The estimator form
+   * @returns {Object} `{ squareFeet, systemType, systemAge, seer, urgency }`
+   */
+  function readInputs(form) {
+    const inputs = {};
+
+    ['squareFeet', 'systemType', 'systemAge', 'seer', 'urgency'].forEach(function(name) {
+      const field = form.elements.namedItem(name);
+      inputs[name] = field ? field.value.trim() : '';
+    });
+
+    return inputs;
+  }
+
+  /**
+   * Describes an item of the breakdown in the current locale
+   * @param {Object} item - Breakdown item
+   * @param {Object} estimate - The estimate
+   * @param {Object} inputs - The estimator inputs
+   * @returns {string} The item label
+   */
+  function describeItem(item, estimate, inputs) {
+    const keys = {
+      equipment: 'ESTIMATE_EQUIPMENT',
+      efficiency: 'ESTIMATE_EFFICIENCY',
+      removal: 'ESTIMATE_REMOVAL',
+      priority: 'ESTIMATE_PRIORITY',
+      emergency: 'ESTIMATE_EMERGENCY'
+    };
+
+    return I18n.getMessage(keys[item.key] || item.key, { tons: estimate.tons, seer: inputs.seer });
+  }
+
+  /**
+   * Attaches a cost estimator to its form
+   * @param {HTMLFormElement} form - The estimator form
+   * @param {Object} [pricing] - Pricing table; fetched from `data-pricing-url` when left out
+   * @returns {Function} Function removing the listeners
+   */
+  function attach(form, pricing) {
+    const container = form.closest('.cost-estimator') || form.parentElement;
+    const result = container.querySelector('.cost-estimate');
+    const range = result.querySelector('.cost-estimate-range');
+    const breakdown = result.querySelector('.cost-estimate-breakdown');
+    const quoteButton = result.querySelector('.cost-estimate-quote');
+    let table = pricing || null;
+    let estimate = null;
+
+    const formatAmount = function(amount) {
+      return new Intl.NumberFormat(I18n.getLocale(), {
+        style: 'currency',
+        currency: table.currency,
+        maximumFractionDigits: 0
+      }).format(amount);
+    };
+
+    const update = function() {
+      const inputs = readInputs(form);
+      const systemType = table && table.systems[inputs.systemType];
+      const seerField = form.elements.namedItem('seer');
+
+      // Efficiency ratings only apply to cooling equipment
+      if (seerField) {
+        seerField.disabled = Boolean(systemType && !systemType.seerRated);
+      }
+
+      estimate = table ? calculateEstimate(inputs, table) : null;
+
+      if (!estimate) {
+        result.hidden = true;
+        return;
+      }
+
+      range.textContent = I18n.getMessage('ESTIMATE_RANGE', {
+        low: formatAmount(estimate.low),
+        high: formatAmount(estimate.high)
+      });
+
+      breakdown.textContent = '';
+      estimate.items.forEach(function(item) {
+        const entry = document.createElement('li');
+        const label = document.createElement('span');
+        const amount = document.createElement('span');
+
+        label.textContent = describeItem(item, estimate, inputs);
+        amount.className = 'cost-estimate-amount';
+        amount.textContent = formatAmount(item.amount);
+        entry.appendChild(label);
+        entry.appendChild(amount);
+        breakdown.appendChild(entry);
+      });
+
+      result.hidden = false;
+    };
+
+    const onSubmit = function(event) {
+      event.preventDefault();
+      update();
+    };
+
+    const onQuote = function() {
+      const quoteForm = document.getElementById(form.dataset.quoteForm);
+
+      if (estimate && quoteForm) {
+        fillQuoteForm(quoteForm, form, estimate, formatAmount);
+      }
+    };
+
+    form.addEventListener('input', update);
+    form.addEventListener('change', update);
+    form.addEventListener('submit', onSubmit);
+    quoteButton.addEventListener('click', onQuote);
+    document.addEventListener('thermocool:locale-change', update);
+
+    if (!table) {
+      loadPricing(form.dataset.pricingUrl || ESTIMATOR_CONFIG.pricingUrl).then(function(loaded) {
+        table = loaded;
+        update();
+      }).catch(function(error) {
+        container.hidden = true;
+        if (typeof console !== 'undefined' && console.warn) {
+          console.warn('Cost estimator disabled:', error.message);
+        }
+      });
+    }
+
+    container.hidden = false;
+    update();
+
+    return function detach() {
+      form.removeEventListener('input', update);
+      form.removeEventListener('change', update);
+      form.removeEventListener('submit', onSubmit);
+      quoteButton.removeEventListener('click', onQuote);
+      document.removeEventListener('thermocool:locale-change', update);
+    };
+  }
+
+  /**
+   * Fills the quote form with an estimate and takes the visitor there
+   * @param {HTMLFormElement} quoteForm - The quote form
+   * @param {HTMLFormElement} form - The estimator form
+   * @param {Object} estimate - The estimate
+   * @param {Function} formatAmount - Formats an amount in the estimate's currency
+   */
+  function fillQuoteForm(quoteForm, form, estimate, formatAmount) {
+    const inputs = readInputs(form);
+    const systemField = form.elements.namedItem('systemType');
+    const serviceField = quoteForm.elements.namedItem('service');
+    const values = {};
+
+    // The estimate's service must be one the quote form offers
+    if (serviceField && Array.from(serviceField.options || []).some(option => option.value === estimate.service)) {
+      values.service = estimate.service;
+    } else if (typeof console !== 'undefined' && console.warn) {
+      console.warn(`Cost estimator: the quote form has no "${estimate.service}" service`);
+    }
+
+    const [firstField] = Forms.prefill(quoteForm, Object.assign(values, {
+      homeSize: String(estimate.squareFeet),
+      systemAge: inputs.systemAge,
+      message: I18n.getMessage('ESTIMATE_QUOTE_MESSAGE', {
+        system: systemField.options[systemField.selectedIndex].textContent.trim(),
+        tons: estimate.tons,
+        squareFeet: estimate.squareFeet,
+        low: formatAmount(estimate.low),
+        high: formatAmount(estimate.high)
+      })
+    }));
+
+    const navigation = window.ThermoCoolNavigation;
+    if (navigation) {
+      navigation.smoothScrollTo(quoteForm);
+    } else if (quoteForm.scrollIntoView) {
+      quoteForm.scrollIntoView();
+    }
+
+    if (firstField) {
+      firstField.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Enhances every cost estimator form
+   */
+  function initCostEstimators() {
+    document.querySelectorAll('form[data-cost-estimator]').forEach(function(form) {
+      attach(form);
+    });
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initCostEstimators);
+  } else {
+    initCostEstimators();
+  }
+
+  const api = {
+    attach,
+    calculateEstimate,
+    config: ESTIMATOR_CONFIG
+  };
+
+  window.ThermoCoolCostEstimator = api;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
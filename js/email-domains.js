@@ -0,0 +1,240 @@
+/**
+ * Email Domains Module
+ *
+ * Bundled email domain data shared by the contact form in the browser and by
+ * the local backend:
+ * - "Did you mean…?" suggestions for mistyped domains and TLDs, using the
+ *   edit distance to a list of common domains; short names allow fewer edits,
+ *   and a TLD that exists is never corrected
+ * - An optional blocklist of disposable (throwaway) email domains
+ *
+ * @module email-domains
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Email domain configuration
+   * @type {Object}
+   */
+  const EMAIL_DOMAIN_CONFIG = {
+    blockDisposable: true,
+    // Edits allowed in a domain by the length of its name (first label):
+    // none below shortNameLength, 1 below longNameLength, maxDomainDistance from there
+    shortNameLength: 4,
+    longNameLength: 5,
+    maxDomainDistance: 2,
+    maxTldDistance: 1
+  };
+
+  // Common email domains of our customers, most used first
+  const COMMON_DOMAINS = Object.freeze([
+    'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'icloud.com', 'aol.com',
+    'comcast.net', 'live.com', 'msn.com', 'att.net', 'verizon.net', 'sbcglobal.net',
+    'cox.net', 'charter.net', 'me.com', 'mac.com', 'mail.com', 'ymail.com',
+    'protonmail.com', 'proton.me', 'gmx.com', 'yahoo.ca', 'hotmail.ca', 'shaw.ca',
+    'rogers.com', 'sympatico.ca', 'bell.net', 'videotron.ca', 'yahoo.com.mx',
+    'hotmail.es', 'outlook.es', 'live.com.mx', 'prodigy.net.mx'
+  ]);
+
+  // Common top-level domains, most used first
+  const COMMON_TLDS = Object.freeze([
+    'com', 'net', 'org', 'edu', 'gov', 'us', 'ca', 'mx', 'co', 'io', 'info',
+    'biz', 'me', 'uk', 'de', 'fr', 'es'
+  ]);
+
+  // Every country-code TLD plus the generic TLDs in common use; these are
+  // never corrected, so real domains such as "example.dev" or "example.ch" pass
+  const VALID_TLDS = Object.freeze(COMMON_TLDS.concat((
+    'ac ad ae af ag ai al am ao aq ar as at au aw ax az ba bb bd be bf bg bh bi bj bm bn bo bq br bs bt bw ' +
+    'by bz cc cd cf cg ch ci ck cl cm cn cr cu cv cw cx cy cz dj dk dm do dz ec ee eg er et eu fi fj fk fm ' +
+    'fo ga gb gd ge gf gg gh gi gl gm gn gp gq gr gs gt gu gw gy hk hm hn hr ht hu id ie il im in iq ir is ' +
+    'it je jm jo jp ke kg kh ki km kn kp kr kw ky kz la lb lc li lk lr ls lt lu lv ly ma mc md mg mh mk ml ' +
+    'mm mn mo mp mq mr ms mt mu mv mw my mz na nc ne nf ng ni nl no np nr nu nz om pa pe pf pg ph pk pl pm ' +
+    'pn pr ps pt pw py qa re ro rs ru rw sa sb sc sd se sg sh si sk sl sm sn so sr ss st su sv sx sy sz tc ' +
+    'td tf tg th tj tk tl tm tn to tr tt tv tw tz ua ug uy uz va vc ve vg vi vn vu wf ws ye yt za zm zw ' +
+    'mil int aero asia cat coop jobs mobi museum name pro tel travel app dev page blog shop store online ' +
+    'site tech xyz club cloud email live news top vip work agency company services solutions'
+  ).split(' ')));
+
+  // Disposable email providers; subdomains are blocked too
+  const DISPOSABLE_DOMAINS = Object.freeze([
+    '10minutemail.com', '33mail.com', 'burnermail.io', 'discard.email', 'dispostable.com',
+    'emailfake.com', 'emailondeck.com', 'fakeinbox.com', 'getnada.com', 'grr.la',
+    'guerrillamail.com', 'guerrillamail.net', 'inboxkitten.com', 'mailcatch.com',
+    'maildrop.cc', 'mailinator.com', 'mailnesia.com', 'mintemail.com', 'moakt.com',
+    'mohmal.com', 'mytemp.email', 'sharklasers.com', 'spamgourmet.com', 'tempail.com',
+    'temp-mail.org', 'tempmail.com', 'tempr.email', 'throwawaymail.com', 'trashmail.com',
+    'yopmail.com'
+  ]);
+
+  /**
+   * Computes the edit distance between two strings, counting insertions,
+   * deletions, substitutions and transpositions of adjacent characters
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Number of edits needed to turn a into b
+   */
+  function editDistance(a, b) {
+    const distances = [];
+
+    for (let i = 0; i <= a.length; i++) {
+      distances[i] = [i];
+    }
+    for (let j = 1; j <= b.length; j++) {
+      distances[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+        distances[i][j] = Math.min(
+          distances[i - 1][j] + 1,
+          distances[i][j - 1] + 1,
+          distances[i - 1][j - 1] + cost
+        );
+
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return distances[a.length][b.length];
+  }
+
+  /**
+   * Finds the closest candidate within a maximum distance
+   * @param {string} value - Value to match
+   * @param {string[]} candidates - Candidates, preferred first on ties
+   * @param {number} maxDistance - Largest accepted distance
+   * @returns {string|null} The closest candidate, or null if none is close enough
+   */
+  function findClosest(value, candidates, maxDistance) {
+    let closest = null;
+    let closestDistance = maxDistance + 1;
+
+    candidates.forEach(function(candidate) {
+      const distance = editDistance(value, candidate);
+
+      if (distance < closestDistance) {
+        closest = candidate;
+        closestDistance = distance;
+      }
+    });
+
+    return closest;
+  }
+
+  /**
+   * Gets the number of edits a mistyped domain may be away from a suggestion
+   * @param {string} domain - Lower-cased domain
+   * @returns {number} Largest accepted distance
+   */
+  function getMaxDomainDistance(domain) {
+    const nameLength = domain.split('.')[0].length;
+
+    if (nameLength >= EMAIL_DOMAIN_CONFIG.longNameLength) {
+      return EMAIL_DOMAIN_CONFIG.maxDomainDistance;
+    }
+    return nameLength >= EMAIL_DOMAIN_CONFIG.shortNameLength ? 1 : 0;
+  }
+
+  /**
+   * Gets the top-level domain of a domain
+   * @param {string} domain - Domain
+   * @returns {string} Its last label
+   */
+  function getTld(domain) {
+    return domain.slice(domain.lastIndexOf('.') + 1);
+  }
+
+  /**
+   * Splits an email address into its local part and lower-cased domain
+   * @param {string} email - Email address
+   * @returns {Object|null} `{ local, domain }`, or null if there is no @
+   */
+  function splitEmail(email) {
+    const text = String(email || '').trim();
+    const at = text.lastIndexOf('@');
+
+    if (at < 1 || at === text.length - 1) {
+      return null;
+    }
+
+    return { local: text.slice(0, at), domain: text.slice(at + 1).toLowerCase() };
+  }
+
+  /**
+   * Suggests a correction for a mistyped email domain
+   * @param {string} email - Email address
+   * @returns {string|null} The corrected address, or null if there is nothing to suggest
+   */
+  function suggestEmail(email) {
+    const parts = splitEmail(email);
+
+    if (!parts || COMMON_DOMAINS.includes(parts.domain)) {
+      return null;
+    }
+
+    const labels = parts.domain.split('.');
+    const tld = labels[labels.length - 1];
+    const validTld = VALID_TLDS.includes(tld);
+
+    // A TLD that exists is kept, so only domains sharing it are suggested
+    const candidates = validTld
+      ? COMMON_DOMAINS.filter(candidate => getTld(candidate) === tld)
+      : COMMON_DOMAINS;
+    const domain = findClosest(parts.domain, candidates, getMaxDomainDistance(parts.domain));
+
+    if (domain) {
+      return `${parts.local}@${domain}`;
+    }
+
+    // Otherwise only correct the top-level domain, e.g. "company.con"
+    if (labels.length < 2 || validTld) {
+      return null;
+    }
+
+    const closestTld = findClosest(tld, COMMON_TLDS, EMAIL_DOMAIN_CONFIG.maxTldDistance);
+
+    return closestTld ? `${parts.local}@${labels.slice(0, -1).concat(closestTld).join('.')}` : null;
+  }
+
+  /**
+   * Checks whether an email address belongs to a disposable email provider
+   * @param {string} email - Email address
+   * @returns {boolean} True if the domain or one of its parents is a disposable provider
+   */
+  function isDisposableEmail(email) {
+    const parts = splitEmail(email);
+
+    if (!parts) {
+      return false;
+    }
+
+    return DISPOSABLE_DOMAINS.some(blocked => parts.domain === blocked || parts.domain.endsWith(`.${blocked}`));
+  }
+
+  const api = {
+    COMMON_DOMAINS,
+    COMMON_TLDS,
+    VALID_TLDS,
+    DISPOSABLE_DOMAINS,
+    editDistance,
+    suggestEmail,
+    isDisposableEmail,
+    config: EMAIL_DOMAIN_CONFIG
+  };
+
+  if (typeof window !== 'undefined') {
+    window.ThermoCoolEmailDomains = api;
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
@@ -0,0 +1,146 @@
+/**
+ * Email Suggestion Module
+ *
+ * Offers a "Did you mean john@gmail.com?" correction below email inputs whose
+ * domain looks mistyped, accepted with one click. Enhances every
+ * `input[type="email"][data-suggest-email]`. Suggestions come from
+ * js/email-domains.js and never block submission.
+ *
+ * @module email-suggestion
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const isCommonJs = typeof module !== 'undefined' && module.exports;
+  const EmailDomains = isCommonJs ? require('./email-domains.js') : window.ThermoCoolEmailDomains;
+  const I18n = isCommonJs ? require('./i18n.js') : window.ThermoCoolI18n;
+
+  // Suggestion texts; {email} in the suggestion is replaced by the accept button
+  const SUGGESTION_MESSAGES = Object.freeze({
+    EMAIL_SUGGESTION: 'Did you mean {email}?',
+    EMAIL_SUGGESTION_ACCEPT: 'Use {email}'
+  });
+
+  I18n.defineMessages(SUGGESTION_MESSAGES);
+
+  /**
+   * Finds or creates the suggestion element of an input
+   * @param {HTMLInputElement} input - The email input
+   * @returns {HTMLElement} The suggestion element
+   */
+  function getSuggestionElement(input) {
+    const fieldContainer = input.closest('.form-group') || input.parentElement;
+    let suggestionElement = fieldContainer.querySelector('.email-suggestion');
+
+    if (!suggestionElement) {
+      suggestionElement = document.createElement('p');
+      suggestionElement.className = 'email-suggestion';
+      suggestionElement.setAttribute('role', 'status');
+      suggestionElement.setAttribute('aria-live', 'polite');
+      suggestionElement.hidden = true;
+      input.insertAdjacentElement('afterend', suggestionElement);
+    }
+
+    return suggestionElement;
+  }
+
+  /**
+   * Hides the suggestion of an input
+   * @param {HTMLInputElement} input - The email input
+   */
+  function hideSuggestion(input) {
+    const suggestionElement = getSuggestionElement(input);
+
+    suggestionElement.hidden = true;
+    suggestionElement.textContent = '';
+  }
+
+  /**
+   * Shows a suggestion for the input's current value, if there is one
+   * @param {HTMLInputElement} input - The email input
+   */
+  function showSuggestion(input) {
+    const suggestion = EmailDomains.suggestEmail(input.value);
+
+    if (!suggestion) {
+      hideSuggestion(input);
+      return;
+    }
+
+    const suggestionElement = getSuggestionElement(input);
+    const messageParts = I18n.getMessage('EMAIL_SUGGESTION').split('{email}');
+    const acceptButton = document.createElement('button');
+
+    acceptButton.type = 'button';
+    acceptButton.className = 'email-suggestion-accept';
+    acceptButton.textContent = suggestion;
+    acceptButton.setAttribute('aria-label', I18n.getMessage('EMAIL_SUGGESTION_ACCEPT', { email: suggestion }));
+
+    acceptButton.addEventListener('click', function() {
+      input.value = suggestion;
+      hideSuggestion(input);
+      input.focus();
+
+      // Let validation and anything else watching the field see the new value
+      input.dispatchEvent(new window.Event('input', { bubbles: true }));
+      input.dispatchEvent(new window.Event('change', { bubbles: true }));
+    });
+
+    suggestionElement.textContent = messageParts[0];
+    suggestionElement.appendChild(acceptButton);
+    suggestionElement.appendChild(document.createTextNode(messageParts[1] || ''));
+    suggestionElement.hidden = false;
+  }
+
+  /**
+   * Offers domain corrections for an email input
+   * @param {HTMLInputElement} input - The email input
+   * @returns {Function} Function removing the listeners
+   */
+  function attach(input) {
+    const onBlur = function() {
+      showSuggestion(input);
+    };
+
+    const onInput = function() {
+      hideSuggestion(input);
+    };
+
+    input.addEventListener('blur', onBlur);
+    input.addEventListener('input', onInput);
+
+    return function detach() {
+      input.removeEventListener('blur', onBlur);
+      input.removeEventListener('input', onInput);
+      hideSuggestion(input);
+    };
+  }
+
+  /**
+   * Enhances every email input that asks for suggestions
+   */
+  function initEmailSuggestions() {
+    document.querySelectorAll('input[type="email"][data-suggest-email]').forEach(function(input) {
+      attach(input);
+    });
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initEmailSuggestions);
+  } else {
+    initEmailSuggestions();
+  }
+
+  const api = {
+    attach
+  };
+
+  window.ThermoCoolEmailSuggestion = api;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
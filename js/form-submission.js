@@ -0,0 +1,457 @@
+/**
+ * Form Submission Module
+ *
+ * Sends validated form data to the server with:
+ * - JSON POST to the form's action via fetch, or a multipart POST when files
+ *   such as photo attachments are sent along
+ * - Request timeouts and retry with exponential backoff for transient failures
+ * - An offline queue persisted to IndexedDB (localStorage fallback, which
+ *   cannot hold files)
+ * - Replay of queued submissions once the browser is back online
+ *
+ * @module form-submission
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Submission configuration
+   * @type {Object}
+   */
+  const SUBMISSION_CONFIG = {
+    maxRetries: 3,
+    baseRetryDelay: 1000,
+    maxRetryDelay: 8000,
+    requestTimeout: 15000,
+    retryableStatuses: [408, 425, 429, 500, 502, 503, 504],
+    queueDatabaseName: 'thermocool-submissions',
+    queueStoreName: 'pending',
+    queueStorageKey: 'thermocool:pending-submissions',
+    queueMaxAge: 7 * 24 * 60 * 60 * 1000
+  };
+
+  /**
+   * Offline queue state
+   * @type {Object}
+   */
+  const queueState = {
+    storagePromise: null,
+    flushPromise: null
+  };
+
+  /**
+   * Error raised when a submission fails
+   */
+  class SubmissionError extends Error {
+    /**
+     * @param {string} message - Human readable error message
+     * @param {Object} [details] - Failure details
+     * @param {number} [details.status] - HTTP status code (0 for network failures)
+     * @param {Object|null} [details.body] - Parsed response body, if any
+     * @param {boolean} [details.retryable] - Whether the request may succeed if repeated
+     * @param {boolean} [details.offline] - Whether the failure was caused by a lost connection
+     * @param {number|null} [details.retryAfter] - Server supplied retry delay in milliseconds
+     */
+    constructor(message, details = {}) {
+      super(message);
+      this.name = 'SubmissionError';
+      this.status = details.status || 0;
+      this.body = details.body || null;
+      this.retryable = Boolean(details.retryable);
+      this.offline = Boolean(details.offline);
+      this.retryAfter = details.retryAfter || null;
+    }
+  }
+
+  /**
+   * Check whether the browser reports being offline
+   * @returns {boolean} True if the browser is known to be offline
+   */
+  function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  /**
+   * Wait for a number of milliseconds
+   * @param {number} delay - Delay in milliseconds
+   * @returns {Promise<void>} Resolves after the delay
+   */
+  function wait(delay) {
+    return new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  /**
+   * Calculate the backoff delay before the next attempt
+   * @param {number} attempt - Zero-based attempt number that just failed
+   * @param {number|null} retryAfter - Server supplied delay in milliseconds
+   * @returns {number} Delay in milliseconds
+   */
+  function getRetryDelay(attempt, retryAfter) {
+    if (retryAfter) {
+      return Math.min(retryAfter, SUBMISSION_CONFIG.maxRetryDelay);
+    }
+
+    const exponential = SUBMISSION_CONFIG.baseRetryDelay * Math.pow(2, attempt);
+    const jitter = Math.random() * SUBMISSION_CONFIG.baseRetryDelay * 0.5;
+
+    return Math.min(exponential + jitter, SUBMISSION_CONFIG.maxRetryDelay);
+  }
+
+  /**
+   * Parse a Retry-After header into milliseconds
+   * @param {string|null} header - Header value (seconds or HTTP date)
+   * @returns {number|null} Delay in milliseconds or null
+   */
+  function parseRetryAfter(header) {
+    if (!header) {
+      return null;
+    }
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(seconds, 0) * 1000;
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+
+  /**
+   * Read the response body as JSON when the server sends JSON
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Object|null>} Parsed body or null
+   */
+  async function readResponseBody(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+
+    if (!contentType.includes('application/json')) {
+      return null;
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the request body: JSON, or multipart form data when there are files
+   * @param {Object} payload - Form data
+   * @param {Object[]} [files] - Files to send along, as `{ field, file }`
+   * @returns {Object} `{ body, headers }` for fetch
+   */
+  function createRequestBody(payload, files) {
+    if (!files || files.length === 0) {
+      return {
+        body: JSON.stringify(payload),
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' }
+      };
+    }
+
+    const formData = new FormData();
+
+    Object.keys(payload).forEach(name => {
+      if (payload[name] !== undefined && payload[name] !== null) {
+        formData.append(name, String(payload[name]));
+      }
+    });
+    files.forEach(entry => formData.append(entry.field, entry.file, entry.file.name));
+
+    // fetch sets the multipart Content-Type with its boundary
+    return { body: formData, headers: { 'Accept': 'application/json' } };
+  }
+
+  /**
+   * Send a single request without retrying
+   * @param {string} url - Target URL
+   * @param {Object} payload - Form data
+   * @param {Object[]} [files] - Files to send along, as `{ field, file }`
+   * @returns {Promise<Object|null>} Parsed response body
+   * @throws {SubmissionError} When the request fails
+   */
+  async function sendRequest(url, payload, files) {
+    if (isOffline()) {
+      throw new SubmissionError('You appear to be offline', { retryable: true, offline: true });
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeoutId = controller
+      ? setTimeout(() => controller.abort(), SUBMISSION_CONFIG.requestTimeout)
+      : null;
+
+    const request = createRequestBody(payload, files);
+    let response;
+
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: request.headers,
+        body: request.body,
+        credentials: 'same-origin',
+        signal: controller ? controller.signal : undefined
+      });
+    } catch (error) {
+      const timedOut = error && error.name === 'AbortError';
+
+      // Only a browser reporting itself offline counts as offline; a server that
+      // is down or refuses the connection fails the same way while online
+      throw new SubmissionError(
+        timedOut ? 'The server took too long to respond' : 'Unable to reach the server',
+        { retryable: true, offline: !timedOut && isOffline() }
+      );
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    const body = await readResponseBody(response);
+
+    if (!response.ok) {
+      throw new SubmissionError(
+        (body && body.message) || `Submission failed with status ${response.status}`,
+        {
+          status: response.status,
+          body,
+          retryable: SUBMISSION_CONFIG.retryableStatuses.includes(response.status),
+          retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+        }
+      );
+    }
+
+    return body;
+  }
+
+  /**
+   * Submit data to the server, retrying transient failures with backoff
+   * @param {string} url - Target URL
+   * @param {Object} payload - Form data
+   * @param {Object} [options] - Submission options
+   * @param {number} [options.maxRetries] - Override for the number of retries
+   * @param {Object[]} [options.files] - Files to send along, as `{ field, file }`
+   * @returns {Promise<Object|null>} Parsed response body
+   * @throws {SubmissionError} When all attempts fail or the failure is permanent
+   */
+  async function submit(url, payload, options = {}) {
+    const maxRetries = options.maxRetries !== undefined
+      ? options.maxRetries
+      : SUBMISSION_CONFIG.maxRetries;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await sendRequest(url, payload, options.files);
+      } catch (error) {
+        if (!error.retryable || (error.offline && isOffline()) || attempt >= maxRetries) {
+          throw error;
+        }
+
+        await wait(getRetryDelay(attempt, error.retryAfter));
+      }
+    }
+  }
+
+  /**
+   * Create a unique identifier for a queued submission
+   * @returns {string} Identifier
+   */
+  function createId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
+    }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Create queue storage backed by IndexedDB
+   * @returns {Promise<Object>} Storage adapter
+   */
+  function createIndexedDbStorage() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(SUBMISSION_CONFIG.queueDatabaseName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(SUBMISSION_CONFIG.queueStoreName, { keyPath: 'id' });
+      };
+
+      request.onerror = () => reject(request.error);
+
+      request.onsuccess = () => {
+        const database = request.result;
+
+        function run(mode, operation) {
+          return new Promise((resolveOperation, rejectOperation) => {
+            const transaction = database.transaction(SUBMISSION_CONFIG.queueStoreName, mode);
+            const storeRequest = operation(transaction.objectStore(SUBMISSION_CONFIG.queueStoreName));
+
+            transaction.oncomplete = () => resolveOperation(storeRequest.result);
+            transaction.onerror = () => rejectOperation(transaction.error);
+          });
+        }
+
+        resolve({
+          getAll: () => run('readonly', store => store.getAll()),
+          put: entry => run('readwrite', store => store.put(entry)),
+          remove: id => run('readwrite', store => store.delete(id))
+        });
+      };
+    });
+  }
+
+  /**
+   * Create queue storage backed by localStorage
+   * @returns {Object} Storage adapter
+   */
+  function createLocalStorage() {
+    const key = SUBMISSION_CONFIG.queueStorageKey;
+
+    function read() {
+      try {
+        return JSON.parse(window.localStorage.getItem(key)) || [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    function write(entries) {
+      window.localStorage.setItem(key, JSON.stringify(entries));
+    }
+
+    return {
+      getAll: () => Promise.resolve(read()),
+      put: entry => {
+        // File contents can't be serialized to JSON
+        if (entry.files && entry.files.length > 0) {
+          return Promise.reject(new Error('Submissions with files can only be queued in IndexedDB'));
+        }
+
+        write(read().filter(existing => existing.id !== entry.id).concat(entry));
+        return Promise.resolve();
+      },
+      remove: id => {
+        write(read().filter(existing => existing.id !== id));
+        return Promise.resolve();
+      }
+    };
+  }
+
+  /**
+   * Get the queue storage, preferring IndexedDB
+   * @returns {Promise<Object>} Storage adapter
+   */
+  function getQueueStorage() {
+    if (!queueState.storagePromise) {
+      queueState.storagePromise = createIndexedDbStorage().catch(error => {
+        if (typeof console !== 'undefined' && console.warn) {
+          console.warn('Form submission: IndexedDB unavailable, using localStorage', error);
+        }
+        return createLocalStorage();
+      });
+    }
+
+    return queueState.storagePromise;
+  }
+
+  /**
+   * Queue a submission to be sent once the browser is back online
+   * @param {string} url - Target URL
+   * @param {Object} payload - Form data
+   * @param {Object[]} [files] - Files to send along, as `{ field, file }`
+   * @returns {Promise<Object>} The queued entry
+   */
+  async function enqueue(url, payload, files) {
+    const entry = {
+      id: createId(),
+      url,
+      payload,
+      queuedAt: Date.now()
+    };
+
+    if (files && files.length > 0) {
+      entry.files = files;
+    }
+
+    const storage = await getQueueStorage();
+    await storage.put(entry);
+
+    return entry;
+  }
+
+  /**
+   * Get all queued submissions
+   * @returns {Promise<Object[]>} Queued entries, oldest first
+   */
+  async function getQueuedSubmissions() {
+    const storage = await getQueueStorage();
+    const entries = await storage.getAll();
+
+    return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+  }
+
+  /**
+   * Send every queued submission, removing those the server accepts or rejects permanently
+   * @returns {Promise<Object>} Entries that were sent, dropped and kept
+   */
+  function flushQueue() {
+    if (queueState.flushPromise) {
+      return queueState.flushPromise;
+    }
+
+    queueState.flushPromise = (async () => {
+      const result = { sent: [], dropped: [], pending: [] };
+      const storage = await getQueueStorage();
+      const entries = await getQueuedSubmissions();
+
+      for (const entry of entries) {
+        if (Date.now() - entry.queuedAt > SUBMISSION_CONFIG.queueMaxAge) {
+          await storage.remove(entry.id);
+          result.dropped.push(entry);
+          continue;
+        }
+
+        try {
+          entry.response = await submit(entry.url, entry.payload, { maxRetries: 0, files: entry.files });
+          await storage.remove(entry.id);
+          result.sent.push(entry);
+        } catch (error) {
+          entry.error = error;
+
+          if (error.retryable) {
+            result.pending.push(entry);
+          } else {
+            await storage.remove(entry.id);
+            result.dropped.push(entry);
+          }
+        }
+      }
+
+      return result;
+    })().finally(() => {
+      queueState.flushPromise = null;
+    });
+
+    return queueState.flushPromise;
+  }
+
+  const api = {
+    submit,
+    enqueue,
+    flushQueue,
+    getQueuedSubmissions,
+    isOffline,
+    SubmissionError,
+    config: SUBMISSION_CONFIG
+  };
+
+  window.ThermoCoolSubmission = api;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
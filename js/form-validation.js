@@ -1,149 +1,156 @@
 /**
  * Form Validation Module
  * 
- * Provides comprehensive client-side validation for the contact form with:
+ * Provides comprehensive client-side validation for the contact form, and for
+ * any other form on the page through `ThermoCoolForms.attach()`, with:
  * - Real-time field validation
  * - Accessible error messaging with ARIA attributes
+ * - An error summary listing every invalid field after a failed submit
  * - Progressive enhancement (works without JavaScript)
  * - Email and phone format validation
  * - Required field validation
- * - Form submission handling
+ * - Rules declared in the markup (required, minlength, maxlength, pattern, type, data-error-*)
+ * - Async validators (e.g. backend lookups) with a "checking…" state and cancellation
+ * - Conditional rules and fields that depend on other fields' values
+ * - Country-aware phone validation, normalized to E.164 before submission
+ * - Rejection of disposable email domains (suggestions live in js/email-suggestion.js)
+ * - Messages shown in the visitor's language through js/i18n.js
+ * - Form submission handling with retry and offline queueing, sending file
+ *   attachments as multipart form data
+ * - A configurable confirmation: a message, a thank-you panel with the reference
+ *   number and next steps, or a redirect to a thank-you page
+ * - Draft autosave, with an offer to restore an unfinished request on return
+ * - Multi-step wizards for forms split into `.form-step` fieldsets
+ * - Spam protection (honeypot, timing trap, rate limit, challenge hook)
+ * - Any number of forms per page, each with its own rules, messages and submit handler
+ * - `thermocool:*` events on the form and beforeSubmit/afterSubmit hooks for other scripts
  * 
  * @generated-from: task-id:TASK-004
  * @modifies: index.html contact form
- * @dependencies: []
+ * @dependencies: [js/phone-numbers.js, js/email-domains.js, js/business-hours.js, js/validation-rules.js, js/i18n.js, js/form-submission.js, js/spam-protection.js]
  */
 
 (function() {
   'use strict';
 
-  // Validation patterns
-  const VALIDATION_PATTERNS = Object.freeze({
-    EMAIL: /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/,
-    PHONE: /^[\d\s\-\(\)\+\.]+$/,
-    NAME: /^[a-zA-Z\s\-'\.]+$/
-  });
+  const isCommonJs = typeof module !== 'undefined' && module.exports;
+  const ValidationRules = isCommonJs ? require('./validation-rules.js') : window.ThermoCoolValidationRules;
+  const Submission = isCommonJs ? require('./form-submission.js') : window.ThermoCoolSubmission;
+  const SpamProtection = isCommonJs ? require('./spam-protection.js') : window.ThermoCoolSpamProtection;
+  const I18n = isCommonJs ? require('./i18n.js') : window.ThermoCoolI18n;
+
+  const {
+    VALIDATION_PATTERNS,
+    FIELD_RULES,
+    CONDITIONAL_RULES,
+    validateField,
+    getAttributeRules,
+    mergeRules,
+    normalizeData,
+    formatMessage,
+    resolveFieldRules,
+    getHiddenFields
+  } = ValidationRules;
+
+  // Validation and submission error messages
+  const ERROR_MESSAGES = Object.freeze(Object.assign({}, ValidationRules.ERROR_MESSAGES, {
+    SUBMISSION_FAILED: 'We could not send your message. Please try again or call us at 1-555-COOL-NOW.',
+    SUBMISSION_QUEUED: 'You appear to be offline. Your message has been saved and will be sent automatically when your connection returns.',
+    QUEUED_SUBMISSION_REJECTED: 'The request you saved while offline could not be sent. Please check it and send it again.',
+    RATE_LIMITED: 'You have sent several requests recently. Please wait a while before sending another, or call us at 1-555-COOL-NOW.',
+    SUBMISSION_SUCCESS: 'Thank you for your message! We will contact you soon.',
+    SUBMISSION_REFERENCE: 'Your reference number: {reference}',
+    SUBMISSION_SEND_ANOTHER: 'Send another request',
+    CONFIRMATION_TITLE: 'Request sent',
+    CONFIRMATION_NEXT_STEPS: 'What happens next',
+    CONFIRMATION_STEP_REVIEW: 'We review your request, usually within one business day.',
+    CONFIRMATION_STEP_CONTACT: 'A specialist contacts you the way you prefer to confirm the details.',
+    CONFIRMATION_STEP_VISIT: 'We schedule a visit at a time that suits you.',
+    SUBMISSION_SENDING: 'Sending…',
+    VALUE_REJECTED: 'Please check this value',
+    DRAFT_FOUND: 'You have an unfinished request from your last visit. Would you like to restore it?',
+    DRAFT_RESTORE: 'Restore it',
+    DRAFT_DISCARD: 'Start over',
+    WIZARD_PROGRESS: 'Progress',
+    WIZARD_STEP_COUNT: 'Step {current} of {total}',
+    WIZARD_STEP_COMPLETE: 'Completed:',
+    WIZARD_BACK: 'Back',
+    WIZARD_NEXT: 'Next',
+    FIELD_CHECKING: 'Checking…',
+    ERROR_SUMMARY_TITLE: 'Please correct the following ({count})'
+  }));
+
+  I18n.defineMessages(ERROR_MESSAGES);
 
-  // Validation error messages
-  const ERROR_MESSAGES = Object.freeze({
-    REQUIRED: 'This field is required',
-    EMAIL_INVALID: 'Please enter a valid email address',
-    PHONE_INVALID: 'Please enter a valid phone number',
-    NAME_INVALID: 'Please enter a valid name (letters, spaces, hyphens, and apostrophes only)',
-    MESSAGE_TOO_SHORT: 'Message must be at least 10 characters long',
-    PHONE_TOO_SHORT: 'Phone number must be at least 10 digits',
-    PHONE_TOO_LONG: 'Phone number must not exceed 20 digits'
+  // Default options for attached forms: validated from their markup only
+  const DEFAULT_OPTIONS = Object.freeze({
+    rules: Object.freeze({}),
+    conditions: Object.freeze([]),
+    messages: {},
+    url: null,
+    onSubmit: null,
+    beforeSubmit: null,
+    afterSubmit: null,
+    confirmation: null,
+    thankYouUrl: null,
+    nextSteps: Object.freeze([
+      ERROR_MESSAGES.CONFIRMATION_STEP_REVIEW,
+      ERROR_MESSAGES.CONFIRMATION_STEP_CONTACT,
+      ERROR_MESSAGES.CONFIRMATION_STEP_VISIT
+    ]),
+    spamProtection: true,
+    offlineQueue: true,
+    validationDelay: 500,
+    autosave: false,
+    draftExpiry: 24 * 60 * 60 * 1000,
+    draftStorage: 'local',
+    steps: '.form-step'
   });
 
-  // Field validation rules
-  const FIELD_RULES = Object.freeze({
-    name: {
-      required: true,
-      pattern: VALIDATION_PATTERNS.NAME,
-      minLength: 2,
-      maxLength: 100,
-      errorMessages: {
-        required: ERROR_MESSAGES.REQUIRED,
-        pattern: ERROR_MESSAGES.NAME_INVALID,
-        minLength: 'Name must be at least 2 characters long',
-        maxLength: 'Name must not exceed 100 characters'
-      }
-    },
-    email: {
-      required: true,
-      pattern: VALIDATION_PATTERNS.EMAIL,
-      maxLength: 254,
-      errorMessages: {
-        required: ERROR_MESSAGES.REQUIRED,
-        pattern: ERROR_MESSAGES.EMAIL_INVALID,
-        maxLength: 'Email must not exceed 254 characters'
-      }
-    },
-    phone: {
-      required: true,
-      pattern: VALIDATION_PATTERNS.PHONE,
-      minLength: 10,
-      maxLength: 20,
-      errorMessages: {
-        required: ERROR_MESSAGES.REQUIRED,
-        pattern: ERROR_MESSAGES.PHONE_INVALID,
-        minLength: ERROR_MESSAGES.PHONE_TOO_SHORT,
-        maxLength: ERROR_MESSAGES.PHONE_TOO_LONG
-      }
-    },
-    service: {
-      required: true,
-      errorMessages: {
-        required: ERROR_MESSAGES.REQUIRED
-      }
-    },
-    message: {
-      required: true,
-      minLength: 10,
-      maxLength: 1000,
-      errorMessages: {
-        required: ERROR_MESSAGES.REQUIRED,
-        minLength: ERROR_MESSAGES.MESSAGE_TOO_SHORT,
-        maxLength: 'Message must not exceed 1000 characters'
-      }
-    }
+  // Options of the contact form, which the shared rules are written for
+  const CONTACT_FORM_OPTIONS = Object.freeze({
+    rules: FIELD_RULES,
+    conditions: CONDITIONAL_RULES,
+    autosave: true
   });
 
-  /**
-   * Validates a single field based on its rules
-   * @param {HTMLElement} field - The form field to validate
-   * @param {Object} rules - Validation rules for the field
-   * @returns {Object} Validation result with isValid and error message
-   */
-  function validateField(field, rules) {
-    const value = field.value.trim();
-    const fieldType = field.type;
+  // Prefix of the storage keys of saved drafts
+  const DRAFT_STORAGE_PREFIX = 'thermocool:draft:';
 
-    // Required field validation
-    if (rules.required && !value) {
-      return {
-        isValid: false,
-        error: rules.errorMessages.required
-      };
-    }
+  // Field types never saved in a draft
+  const DRAFT_EXCLUDED_TYPES = ['hidden', 'password', 'file', 'submit', 'button', 'reset', 'image'];
 
-    // Skip further validation if field is empty and not required
-    if (!value && !rules.required) {
-      return { isValid: true, error: null };
-    }
+  // Time after which an unanswered async check is treated as passed
+  const ASYNC_CHECK_TIMEOUT = 8000;
 
-    // Pattern validation
-    if (rules.pattern && !rules.pattern.test(value)) {
-      return {
-        isValid: false,
-        error: rules.errorMessages.pattern
-      };
-    }
+  // Controllers of attached forms, keyed by form element
+  const controllers = new Map();
 
-    // Min length validation
-    if (rules.minLength !== undefined) {
-      const length = fieldType === 'tel' ? value.replace(/\D/g, '').length : value.length;
-      if (length < rules.minLength) {
-        return {
-          isValid: false,
-          error: rules.errorMessages.minLength
-        };
-      }
-    }
+  // In-flight async checks and the last settled result, keyed by field
+  const pendingChecks = new WeakMap();
+  const checkResults = new WeakMap();
 
-    // Max length validation
-    if (rules.maxLength !== undefined) {
-      const length = fieldType === 'tel' ? value.replace(/\D/g, '').length : value.length;
-      if (length > rules.maxLength) {
-        return {
-          isValid: false,
-          error: rules.errorMessages.maxLength
-        };
-      }
-    }
+  // Debounced draft saves, keyed by form
+  const draftSavers = new WeakMap();
 
-    return { isValid: true, error: null };
-  }
+  // Wizards of attached multi-step forms, keyed by form
+  const wizards = new WeakMap();
+
+  // Files chosen for file inputs by scripts (see setFiles), keyed by input
+  const fieldFiles = new WeakMap();
+
+  // Last validation outcome reported for a field (its error, or null when valid), keyed by field
+  const fieldStates = new WeakMap();
+
+  // Error summaries shown after a failed submit, keyed by form
+  const errorSummaries = new WeakMap();
+  let errorSummaryCount = 0;
+
+  // Thank-you panels shown in place of forms, keyed by form
+  const confirmationPanels = new WeakMap();
+
+  // Set while focus is moved to an invalid field, so its error isn't cleared on focus
+  let isFocusingInvalidField = false;
 
   /**
    * Displays error message for a field with ARIA attributes
@@ -163,19 +170,20 @@
       fieldContainer.appendChild(errorElement);
     }
 
-    errorElement.textContent = errorMessage;
+    errorElement.textContent = I18n.translate(errorMessage);
     errorElement.style.display = 'block';
 
-    // Update field ARIA attributes
-    field.setAttribute('aria-invalid', 'true');
-    field.setAttribute('aria-describedby', errorElement.id || `${field.id}-error`);
+    // Update field ARIA attributes, keeping descriptions such as hints
     if (!errorElement.id) {
       errorElement.id = `${field.id}-error`;
     }
+    field.setAttribute('aria-invalid', 'true');
+    setDescriptions(field, getDescriptions(field).filter(id => id !== errorElement.id).concat(errorElement.id));
 
     // Add error styling to field
     field.classList.add('field-error');
     fieldContainer.classList.add('has-error');
+    renderErrorSummary(field.form);
 
     // Log validation error for debugging
     if (typeof console !== 'undefined' && console.debug) {
@@ -183,6 +191,28 @@
     }
   }
 
+  /**
+   * Reads the ids of the elements describing a field
+   * @param {HTMLElement} field - The form field
+   * @returns {string[]} Ids listed in aria-describedby
+   */
+  function getDescriptions(field) {
+    return (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Sets the elements describing a field
+   * @param {HTMLElement} field - The form field
+   * @param {string[]} ids - Ids of the describing elements
+   */
+  function setDescriptions(field, ids) {
+    if (ids.length > 0) {
+      field.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+      field.removeAttribute('aria-describedby');
+    }
+  }
+
   /**
    * Clears error message for a field
    * @param {HTMLElement} field - The form field
@@ -198,227 +228,2287 @@
 
     // Update field ARIA attributes
     field.setAttribute('aria-invalid', 'false');
-    field.removeAttribute('aria-describedby');
+    setDescriptions(field, getDescriptions(field).filter(id => !errorElement || id !== errorElement.id));
 
     // Remove error styling
     field.classList.remove('field-error');
     fieldContainer.classList.remove('has-error');
+
+    // Forget any server-side rejection
+    delete field.dataset.serverError;
+    delete field.dataset.serverErrorValue;
+
+    renderErrorSummary(field.form);
+  }
+
+  /**
+   * Reads the current values of a form, as they would be submitted
+   * @param {HTMLFormElement|null} form - The form element
+   * @returns {Object} Values keyed by field name
+   */
+  function getFormValues(form) {
+    if (!form) {
+      return {};
+    }
+
+    // Files are sent separately, see getFormFiles()
+    return Object.fromEntries(Array.from(new FormData(form).entries()).filter(function(entry) {
+      return typeof entry[1] === 'string';
+    }));
+  }
+
+  /**
+   * Reads the files a form would submit: those set with setFiles(), or else
+   * those chosen in its enabled file inputs
+   * @param {HTMLFormElement} form - The form element
+   * @returns {Object[]} Files as `{ field, file }`, field being the input name
+   */
+  function getFormFiles(form) {
+    const files = [];
+
+    form.querySelectorAll('input[type="file"][name]').forEach(function(input) {
+      if (input.disabled) {
+        return;
+      }
+
+      (fieldFiles.get(input) || Array.from(input.files || [])).forEach(function(file) {
+        files.push({ field: input.name, file: file });
+      });
+    });
+
+    return files;
+  }
+
+  /**
+   * Sets the files a file input submits, for scripts that process or collect
+   * files themselves, e.g. resized photos added by drag and drop
+   * @param {HTMLInputElement} input - The file input
+   * @param {File[]} files - The files; an empty list leaves nothing to submit
+   */
+  function setFiles(input, files) {
+    fieldFiles.set(input, Array.from(files));
+  }
+
+  /**
+   * Resolves the rules for a field: rules declared in the markup, overridden by the JS
+   * rules and the conditional rules that currently hold for its form.
+   * Read on every validation so attribute and value changes take effect immediately.
+   * @param {HTMLElement} field - The form field
+   * @param {Object} [fieldRules] - JS rules keyed by field name, FIELD_RULES by default
+   * @param {Object[]} [conditionalRules] - Conditional rules, CONDITIONAL_RULES by default
+   * @returns {Object|null} Rules for the field, or null if it has none
+   */
+  function getFieldRules(field, fieldRules = FIELD_RULES, conditionalRules = CONDITIONAL_RULES) {
+    if (!field.name) {
+      return null;
+    }
+
+    const resolvedRules = resolveFieldRules(getFormValues(field.form), fieldRules, conditionalRules);
+
+    return mergeRules(getAttributeRules(field), resolvedRules[field.name]);
   }
 
   /**
    * Validates a form field and displays/clears errors
    * @param {HTMLElement} field - The form field to validate
+   * @param {Object} [fieldRules] - JS rules keyed by field name, FIELD_RULES by default
+   * @param {Object[]} [conditionalRules] - Conditional rules, CONDITIONAL_RULES by default
    * @returns {boolean} True if field is valid
    */
-  function validateAndDisplayError(field) {
-    const fieldName = field.name;
-    const rules = FIELD_RULES[fieldName];
+  function validateAndDisplayError(field, fieldRules, conditionalRules) {
+    const rules = getFieldRules(field, fieldRules, conditionalRules);
 
     if (!rules) {
       return true;
     }
 
-    const result = validateField(field, rules);
+    const result = validateField(field, rules, getFormValues(field.form));
 
     if (!result.isValid) {
+      cancelAsyncCheck(field);
       showError(field, result.error);
+      reportFieldState(field, result.error, 'client');
+      return false;
+    }
+
+    // Keep a server-side rejection until the user changes the value
+    const serverError = getServerError(field);
+    if (serverError) {
+      showError(field, serverError);
+      reportFieldState(field, serverError, 'server');
       return false;
     }
 
+    // Async validators run once the sync rules pass; a pending check counts as valid
+    // here, and submission waits for it to settle
+    if (rules.asyncValidator && field.value.trim()) {
+      const checked = checkResults.get(field);
+
+      if (!checked || checked.value !== field.value.trim()) {
+        clearError(field);
+        runAsyncCheck(field, rules);
+        return true;
+      }
+
+      if (checked.error) {
+        showError(field, checked.error);
+        reportFieldState(field, checked.error, 'async');
+        return false;
+      }
+    }
+
     clearError(field);
+    reportFieldState(field, null);
     return true;
   }
 
   /**
-   * Validates entire form
-   * @param {HTMLFormElement} form - The form to validate
-   * @returns {boolean} True if all fields are valid
+   * Dispatches a `thermocool:<type>` event on a form, for other scripts on the page
+   * @param {HTMLFormElement} form - The form element
+   * @param {string} type - Event type without the prefix, e.g. `'submit-success'`
+   * @param {Object} detail - Event detail
    */
-  function validateForm(form) {
-    let isValid = true;
-    const fields = form.querySelectorAll('input, select, textarea');
-
-    fields.forEach(function(field) {
-      if (field.name && FIELD_RULES[field.name]) {
-        const fieldValid = validateAndDisplayError(field);
-        if (!fieldValid) {
-          isValid = false;
-          
-          // Focus first invalid field
-          if (isValid === false && field === fields[0]) {
-            field.focus();
-          }
-        }
-      }
-    });
+  function dispatchFormEvent(form, type, detail) {
+    form.dispatchEvent(new window.CustomEvent(`thermocool:${type}`, { bubbles: true, detail: detail }));
+  }
 
-    return isValid;
+  /**
+   * Tells other scripts when a field becomes valid or invalid, or its error changes,
+   * with `thermocool:field-valid` and `thermocool:field-invalid` events on its form
+   * @param {HTMLElement} field - The form field
+   * @param {string|null} error - The error shown, or null if the field is valid
+   * @param {string} [source='client'] - What rejected the value: `'client'`, `'async'` or `'server'`
+   */
+  function reportFieldState(field, error, source = 'client') {
+    const message = error ? I18n.translate(error) : null;
+
+    if (!field.form || (fieldStates.has(field) && fieldStates.get(field) === message)) {
+      return;
+    }
+
+    fieldStates.set(field, message);
+
+    if (message) {
+      dispatchFormEvent(field.form, 'field-invalid', { field: field, name: field.name, message: message, source: source });
+    } else {
+      dispatchFormEvent(field.form, 'field-valid', { field: field, name: field.name });
+    }
   }
 
   /**
-   * Handles form submission
-   * @param {Event} event - The submit event
+   * Shows or hides the "checking…" state of a field
+   * @param {HTMLElement} field - The form field
+   * @param {boolean} isChecking - Whether an async check is in flight
    */
-  function handleFormSubmit(event) {
-    event.preventDefault();
+  function setCheckingState(field, isChecking) {
+    const fieldContainer = field.closest('.form-group') || field.parentElement;
+    let statusElement = fieldContainer.querySelector('.field-status');
 
-    const form = event.target;
-    const isValid = validateForm(form);
+    if (!statusElement && isChecking) {
+      statusElement = document.createElement('span');
+      statusElement.className = 'field-status';
+      statusElement.setAttribute('role', 'status');
+      statusElement.setAttribute('aria-live', 'polite');
+      fieldContainer.appendChild(statusElement);
+    }
 
-    if (!isValid) {
-      // Find first error and focus it
-      const firstError = form.querySelector('.field-error');
-      if (firstError) {
-        firstError.focus();
-      }
+    if (statusElement) {
+      statusElement.textContent = isChecking ? I18n.translate(ERROR_MESSAGES.FIELD_CHECKING) : '';
+    }
 
-      // Log validation failure
-      if (typeof console !== 'undefined' && console.info) {
-        console.info('Form validation failed');
-      }
+    field.setAttribute('aria-busy', String(isChecking));
+    fieldContainer.classList.toggle('is-checking', isChecking);
+  }
 
-      return false;
+  /**
+   * Cancels the in-flight async check of a field
+   * @param {HTMLElement} field - The form field
+   */
+  function cancelAsyncCheck(field) {
+    const check = pendingChecks.get(field);
+
+    if (check) {
+      check.abortController.abort();
+      pendingChecks.delete(field);
+      setCheckingState(field, false);
     }
+  }
 
-    // Form is valid - prepare for submission
-    const formData = new FormData(form);
-    const data = Object.fromEntries(formData.entries());
+  /**
+   * Runs the async validator of a field, replacing any stale check.
+   *
+   * The validator receives the trimmed value and `{ field, signal }`, and resolves to
+   * an error message, false (rejected with the generic message) or a falsy/true value
+   * when the value is accepted. Validators that fail or time out are treated as passed,
+   * since the server validates the submission again.
+   *
+   * @param {HTMLElement} field - The form field
+   * @param {Object} rules - Rules of the field, including `asyncValidator`
+   * @returns {Promise<string|null>} Error message, or null if the value was accepted
+   */
+  function runAsyncCheck(field, rules) {
+    const value = field.value.trim();
+    const pending = pendingChecks.get(field);
 
-    // Log successful validation
-    if (typeof console !== 'undefined' && console.info) {
-      console.info('Form validation successful', data);
+    if (pending && pending.value === value) {
+      return pending.promise;
     }
 
-    // Display success message
-    displaySuccessMessage(form);
+    cancelAsyncCheck(field);
 
-    // Here you would typically send data to server
-    // Example: submitToServer(data);
+    const abortController = new AbortController();
+    let timeoutId;
 
-    return false;
+    const timeout = new Promise(function(resolve) {
+      timeoutId = setTimeout(function() {
+        abortController.abort();
+        resolve(null);
+      }, ASYNC_CHECK_TIMEOUT);
+    });
+
+    const check = Promise.resolve()
+      .then(function() {
+        return rules.asyncValidator(value, { field: field, signal: abortController.signal });
+      })
+      .then(function(result) {
+        if (result === false) {
+          return (rules.errorMessages && rules.errorMessages.async) || ERROR_MESSAGES.VALUE_REJECTED;
+        }
+
+        return typeof result === 'string' && result ? result : null;
+      }, function(error) {
+        if (!abortController.signal.aborted && typeof console !== 'undefined' && console.warn) {
+          console.warn(`Async validation failed for ${field.name}`, error);
+        }
+        return null;
+      });
+
+    const entry = { value: value, abortController: abortController, promise: null };
+
+    entry.promise = Promise.race([check, timeout]).then(function(error) {
+      clearTimeout(timeoutId);
+
+      // A newer check replaced this one
+      if (pendingChecks.get(field) !== entry) {
+        return null;
+      }
+
+      pendingChecks.delete(field);
+      setCheckingState(field, false);
+      checkResults.set(field, { value: value, error: error });
+
+      if (error) {
+        showError(field, error);
+      }
+      reportFieldState(field, error, 'async');
+
+      return error;
+    });
+
+    pendingChecks.set(field, entry);
+    setCheckingState(field, true);
+
+    return entry.promise;
   }
 
   /**
-   * Displays success message after form submission
+   * Lists the async checks still in flight for a form
    * @param {HTMLFormElement} form - The form element
+   * @returns {Promise[]} Pending check promises
    */
-  function displaySuccessMessage(form) {
-    const formContainer = form.parentElement;
-    let successMessage = formContainer.querySelector('.success-message');
+  function getPendingChecks(form) {
+    return Array.prototype.reduce.call(form.querySelectorAll('input, select, textarea'), function(promises, field) {
+      const check = pendingChecks.get(field);
+      return check ? promises.concat(check.promise) : promises;
+    }, []);
+  }
 
-    if (!successMessage) {
-      successMessage = document.createElement('div');
-      successMessage.className = 'success-message';
-      successMessage.setAttribute('role', 'status');
-      successMessage.setAttribute('aria-live', 'polite');
-      formContainer.insertBefore(successMessage, form);
+  /**
+   * Returns the server error recorded for a field while its value is unchanged
+   * @param {HTMLElement} field - The form field
+   * @returns {string|null} The server error message, if still applicable
+   */
+  function getServerError(field) {
+    if (field.dataset.serverError === undefined) {
+      return null;
     }
 
-    successMessage.textContent = 'Thank you for your message! We will contact you soon.';
-    successMessage.style.display = 'block';
+    if (field.value !== field.dataset.serverErrorValue) {
+      delete field.dataset.serverError;
+      delete field.dataset.serverErrorValue;
+      return null;
+    }
 
-    // Reset form after short delay
-    setTimeout(function() {
-      form.reset();
-      successMessage.style.display = 'none';
-      
-      // Clear all error states
-      const fields = form.querySelectorAll('input, select, textarea');
-      fields.forEach(clearError);
-    }, 5000);
+    return field.dataset.serverError;
   }
 
   /**
-   * Debounces a function call
-   * @param {Function} func - Function to debounce
-   * @param {number} wait - Wait time in milliseconds
-   * @returns {Function} Debounced function
+   * Validates the fields inside part of a form and displays their errors,
+   * leaving focus where it is
+   * @param {HTMLElement} container - The form, or a part of it such as a wizard step
+   * @param {Object} [fieldRules] - JS rules keyed by field name, FIELD_RULES by default
+   * @param {Object[]} [conditionalRules] - Conditional rules, CONDITIONAL_RULES by default
+   * @returns {boolean} True if all fields are valid, not counting pending async checks
    */
-  function debounce(func, wait) {
-    let timeout;
-    return function executedFunction() {
-      const context = this;
-      const args = arguments;
-      
-      const later = function() {
-        timeout = null;
-        func.apply(context, args);
-      };
-      
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
+  function validateFields(container, fieldRules, conditionalRules) {
+    let isValid = true;
+
+    container.querySelectorAll('input, select, textarea').forEach(function(field) {
+      if (!field.disabled && getFieldRules(field, fieldRules, conditionalRules) &&
+          !validateAndDisplayError(field, fieldRules, conditionalRules)) {
+        isValid = false;
+      }
+    });
+
+    return isValid;
   }
 
   /**
-   * Initializes form validation
+   * Moves focus to an invalid field without the focus handler clearing its error
+   * @param {HTMLElement} field - The invalid field
    */
-  function initFormValidation() {
-    const form = document.querySelector('#contact-form');
+  function focusInvalidField(field) {
+    isFocusingInvalidField = true;
+    try {
+      field.focus();
+    } finally {
+      isFocusingInvalidField = false;
+    }
+  }
 
-    if (!form) {
-      if (typeof console !== 'undefined' && console.warn) {
-        console.warn('Contact form not found');
-      }
+  /**
+   * Moves focus to the first invalid field of a form, showing its wizard step
+   * @param {HTMLFormElement} form - The form element
+   */
+  function focusFirstInvalidField(form) {
+    const field = form.querySelector('.field-error');
+
+    if (!field) {
       return;
     }
 
-    // Add novalidate to disable browser validation
-    form.setAttribute('novalidate', 'novalidate');
+    // The error may be on another step of a wizard
+    if (wizards.has(form)) {
+      wizards.get(form).showStepOf(field);
+    }
+    focusInvalidField(field);
+  }
 
-    // Add submit event listener
-    form.addEventListener('submit', handleFormSubmit);
-
-    // Add real-time validation to fields
-    const fields = form.querySelectorAll('input, select, textarea');
-    
-    fields.forEach(function(field) {
-      if (field.name && FIELD_RULES[field.name]) {
-        // Validate on blur
-        field.addEventListener('blur', function() {
-          validateAndDisplayError(field);
-        });
+  /**
+   * Reads the name a visitor knows a field by: its label without the required
+   * marker, or the legend of its group for radio buttons and checkboxes
+   * @param {HTMLElement} field - The form field
+   * @returns {string} The field label
+   */
+  function getFieldLabel(field) {
+    const group = ['radio', 'checkbox'].includes(field.type) ? field.closest('fieldset') : null;
+    const label = (group && group.querySelector('legend')) || (field.labels && field.labels[0]);
 
-        // Validate on input with debounce
-        const debouncedValidation = debounce(function() {
-          // Only validate if field has been touched (has value or had error)
-          if (field.value || field.classList.contains('field-error')) {
-            validateAndDisplayError(field);
-          }
-        }, 500);
+    if (!label) {
+      return field.getAttribute('aria-label') || field.name;
+    }
 
-        field.addEventListener('input', debouncedValidation);
+    const text = label.cloneNode(true);
+    text.querySelectorAll('.required').forEach(marker => marker.remove());
 
-        // Clear error on focus if field is empty
-        field.addEventListener('focus', function() {
-          if (!field.value) {
-            clearError(field);
-          }
-        });
+    return text.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Lists the fields of a form showing an error, in document order
+   * @param {HTMLFormElement} form - The form element
+   * @returns {HTMLElement[]} The invalid fields, one per radio button group
+   */
+  function getInvalidFields(form) {
+    const seenNames = new Set();
+
+    return Array.from(form.querySelectorAll('.field-error')).filter(function(field) {
+      if (field.type === 'radio') {
+        if (seenNames.has(field.name)) {
+          return false;
+        }
+        seenNames.add(field.name);
       }
+      return !field.disabled;
     });
+  }
 
-    // Log initialization
-    if (typeof console !== 'undefined' && console.info) {
-      console.info('Form validation initialized');
+  /**
+   * Reads the error shown for a field
+   * @param {HTMLElement} field - The form field
+   * @returns {string} The error text, empty if there is none
+   */
+  function getErrorText(field) {
+    const fieldContainer = field.closest('.form-group') || field.parentElement;
+    const errorElement = fieldContainer.querySelector('.error-message');
+
+    return errorElement ? errorElement.textContent : '';
+  }
+
+  /**
+   * Shows the error summary of a form, listing every invalid field with a link
+   * to it. Once shown, the summary follows the errors as they are fixed and
+   * goes away when none are left.
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object} [messages] - Messages of the attached form
+   * @returns {HTMLElement|null} The summary, or null if the form has no errors
+   */
+  function showErrorSummary(form, messages = ERROR_MESSAGES) {
+    if (!errorSummaries.has(form)) {
+      const element = document.createElement('div');
+      const title = document.createElement('h3');
+      const list = document.createElement('ul');
+
+      errorSummaryCount += 1;
+      title.id = `error-summary-title-${errorSummaryCount}`;
+      title.className = 'error-summary-title';
+      list.className = 'error-summary-list';
+      element.className = 'error-summary';
+      element.tabIndex = -1;
+      element.setAttribute('aria-labelledby', title.id);
+      element.appendChild(title);
+      element.appendChild(list);
+      form.insertBefore(element, form.firstChild);
+
+      errorSummaries.set(form, { element, title, list, messages });
     }
+
+    renderErrorSummary(form);
+
+    return errorSummaries.has(form) ? errorSummaries.get(form).element : null;
   }
 
-  // Initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initFormValidation);
-  } else {
-    initFormValidation();
+  /**
+   * Brings the error summary of a form, if it has one, in line with its errors
+   * @param {HTMLFormElement|null} form - The form element
+   */
+  function renderErrorSummary(form) {
+    const summary = form ? errorSummaries.get(form) : null;
+
+    if (!summary) {
+      return;
+    }
+
+    const invalidFields = getInvalidFields(form);
+
+    if (invalidFields.length === 0) {
+      hideErrorSummary(form);
+      return;
+    }
+
+    summary.title.textContent = I18n.translate(
+      formatMessage(summary.messages.ERROR_SUMMARY_TITLE, { count: invalidFields.length })
+    );
+
+    summary.list.textContent = '';
+    invalidFields.forEach(function(field) {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+
+      link.href = field.id ? `#${field.id}` : '#';
+      link.textContent = `${getFieldLabel(field)}: ${getErrorText(field)}`;
+      link.addEventListener('click', function(event) {
+        event.preventDefault();
+        if (wizards.has(form)) {
+          wizards.get(form).showStepOf(field);
+        }
+        focusInvalidField(field);
+      });
+
+      item.appendChild(link);
+      summary.list.appendChild(item);
+    });
   }
 
-  // Export for testing purposes
-  if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-      validateField: validateField,
-      validateForm: validateForm,
-      VALIDATION_PATTERNS: VALIDATION_PATTERNS,
-      ERROR_MESSAGES: ERROR_MESSAGES,
-      FIELD_RULES: FIELD_RULES
-    };
+  /**
+   * Removes the error summary of a form
+   * @param {HTMLFormElement} form - The form element
+   */
+  function hideErrorSummary(form) {
+    const summary = errorSummaries.get(form);
+
+    if (summary) {
+      summary.element.remove();
+      errorSummaries.delete(form);
+    }
+  }
+
+  /**
+   * Validates entire form
+   * @param {HTMLFormElement} form - The form to validate
+   * @param {Object} [fieldRules] - JS rules keyed by field name, FIELD_RULES by default
+   * @param {Object[]} [conditionalRules] - Conditional rules, CONDITIONAL_RULES by default
+   * @returns {boolean} True if all fields are valid
+   */
+  function validateForm(form, fieldRules, conditionalRules) {
+    const isValid = validateFields(form, fieldRules, conditionalRules);
+
+    if (!isValid) {
+      focusFirstInvalidField(form);
+    }
+
+    return isValid;
+  }
+
+  /**
+   * Validates entire form, waiting for async checks to settle
+   * @param {HTMLFormElement} form - The form to validate
+   * @param {Object} [fieldRules] - JS rules keyed by field name, FIELD_RULES by default
+   * @param {Object[]} [conditionalRules] - Conditional rules, CONDITIONAL_RULES by default
+   * @returns {Promise<boolean>} True if all fields are valid
+   */
+  async function validateFormAsync(form, fieldRules, conditionalRules) {
+    const isValid = await validateFieldsAsync(form, fieldRules, conditionalRules);
+
+    if (!isValid) {
+      focusFirstInvalidField(form);
+    }
+
+    return isValid;
+  }
+
+  /**
+   * Validates the fields of a container, waiting for async checks to settle
+   * @param {HTMLElement} container - Form or part of a form
+   * @param {Object} [fieldRules] - JS rules keyed by field name, FIELD_RULES by default
+   * @param {Object[]} [conditionalRules] - Conditional rules, CONDITIONAL_RULES by default
+   * @returns {Promise<boolean>} True if all fields are valid
+   */
+  async function validateFieldsAsync(container, fieldRules, conditionalRules) {
+    let isValid = validateFields(container, fieldRules, conditionalRules);
+
+    // Values may change while checks run, so validate again until nothing is pending
+    while (isValid && getPendingChecks(container).length > 0) {
+      await Promise.all(getPendingChecks(container));
+      isValid = validateFields(container, fieldRules, conditionalRules);
+    }
+
+    return isValid;
+  }
+
+  /**
+   * Shows or hides a conditional field; hidden fields are disabled so they are
+   * neither validated nor submitted
+   * @param {HTMLElement} field - The form field
+   * @param {boolean} isHidden - Whether the field should be hidden
+   */
+  function setFieldHidden(field, isHidden) {
+    const fieldContainer = field.closest('.form-group') || field.parentElement;
+
+    fieldContainer.hidden = isHidden;
+    field.disabled = isHidden;
+
+    if (isHidden) {
+      cancelAsyncCheck(field);
+      clearError(field);
+      fieldStates.delete(field);
+    }
+  }
+
+  /**
+   * Reflects whether a field is required in its attributes and label
+   * @param {HTMLElement} field - The form field
+   * @param {boolean} isRequired - Whether the field is required
+   */
+  function setFieldRequired(field, isRequired) {
+    const indicator = field.id && field.form ?
+      field.form.querySelector(`label[for="${field.id}"] .required`) :
+      null;
+
+    field.required = isRequired;
+    field.setAttribute('aria-required', String(isRequired));
+
+    if (indicator) {
+      indicator.hidden = !isRequired;
+    }
+  }
+
+  /**
+   * Applies the conditional rules that hold for the form's current values:
+   * reveals or hides conditional fields and updates which fields are required
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object} fieldRules - JS rules keyed by field name
+   * @param {Object[]} conditionalRules - Conditional rules
+   */
+  function applyConditions(form, fieldRules, conditionalRules) {
+    const data = getFormValues(form);
+    const hiddenFields = getHiddenFields(data, conditionalRules);
+    const resolvedRules = resolveFieldRules(data, fieldRules, conditionalRules);
+
+    conditionalRules.forEach(function(condition) {
+      (condition.reveals || []).forEach(function(name) {
+        const field = getFormField(form, name);
+        if (field) {
+          setFieldHidden(field, hiddenFields.includes(name));
+        }
+      });
+
+      Object.keys(condition.rules || {}).forEach(function(name) {
+        const field = getFormField(form, name);
+        const rules = resolvedRules[name];
+        if (field && rules && typeof rules.required === 'boolean') {
+          setFieldRequired(field, rules.required);
+        }
+      });
+    });
+  }
+
+  /**
+   * Lists the fields whose rules or visibility depend on a field
+   * @param {string} name - Name of the controlling field
+   * @param {Object} fieldRules - JS rules keyed by field name
+   * @param {Object[]} conditionalRules - Conditional rules
+   * @returns {string[]} Names of the dependent fields
+   */
+  function getDependentFieldNames(name, fieldRules, conditionalRules) {
+    const ruleDependents = Object.keys(fieldRules).filter(function(fieldName) {
+      return (fieldRules[fieldName].dependsOn || []).includes(name);
+    });
+
+    return conditionalRules
+      .filter(condition => (condition.dependsOn || []).includes(name))
+      .reduce(function(names, condition) {
+        return names.concat(Object.keys(condition.rules || {}), condition.reveals || []);
+      }, ruleDependents)
+      .filter((dependentName, index, names) => names.indexOf(dependentName) === index);
+  }
+
+  /**
+   * Resolves the URL the form submits to
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object} [settings] - Options of the attached form
+   * @returns {string} Absolute submission URL
+   */
+  function getSubmitUrl(form, settings = DEFAULT_OPTIONS) {
+    return settings.url || form.action || window.location.href;
+  }
+
+  /**
+   * Toggles the pending state of the form while a submission is in flight
+   * @param {HTMLFormElement} form - The form element
+   * @param {boolean} isPending - Whether a submission is in flight
+   * @param {string} [label] - Submit button text while pending
+   */
+  function setPendingState(form, isPending, label) {
+    const submitButton = form.querySelector('[type="submit"]');
+
+    form.setAttribute('aria-busy', String(isPending));
+
+    if (!submitButton) {
+      return;
+    }
+
+    if (isPending) {
+      if (submitButton.dataset.originalText === undefined) {
+        submitButton.dataset.originalText = submitButton.textContent;
+      }
+      submitButton.textContent = I18n.translate(label || ERROR_MESSAGES.SUBMISSION_SENDING);
+      submitButton.disabled = true;
+    } else {
+      if (submitButton.dataset.originalText !== undefined) {
+        submitButton.textContent = submitButton.dataset.originalText;
+        delete submitButton.dataset.originalText;
+      }
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * Handles form submission
+   * @param {HTMLFormElement} form - The submitted form
+   * @param {Object} settings - Options of the attached form
+   * @returns {Promise<boolean>} Always false to prevent native submission
+   */
+  async function handleFormSubmit(form, settings) {
+    const messages = settings.messages;
+
+    // Ignore repeated submits while a request is in flight
+    if (form.getAttribute('aria-busy') === 'true') {
+      return false;
+    }
+
+    // Block submission until pending async checks settle
+    let isValid = validateFields(form, settings.rules, settings.conditions);
+
+    if (isValid && getPendingChecks(form).length > 0) {
+      setPendingState(form, true, ERROR_MESSAGES.FIELD_CHECKING);
+      try {
+        isValid = await validateFieldsAsync(form, settings.rules, settings.conditions);
+      } finally {
+        setPendingState(form, false);
+      }
+    }
+
+    dispatchFormEvent(form, 'submit-attempt', {
+      valid: isValid,
+      errors: Object.fromEntries(getInvalidFields(form).map(field => [field.name, getErrorText(field)]))
+    });
+
+    if (!isValid) {
+      // The first error may be on an earlier step of a wizard
+      const firstError = form.querySelector('.field-error');
+      if (firstError && wizards.has(form)) {
+        wizards.get(form).showStepOf(firstError);
+      }
+
+      // List every error at the top of the form, where focus goes so it is announced
+      const summary = showErrorSummary(form, messages);
+      if (summary) {
+        summary.focus();
+      }
+
+      // Log validation failure
+      if (typeof console !== 'undefined' && console.info) {
+        console.info('Form validation failed');
+      }
+
+      return false;
+    }
+
+    // Suspected bots get a silent fake success so they have nothing to adapt to
+    const verdict = settings.spamProtection ? SpamProtection.inspect(form) : {};
+
+    if (verdict.isBot) {
+      if (typeof console !== 'undefined' && console.info) {
+        console.info('Form submission discarded', verdict.reason);
+      }
+      displayConfirmation(form, settings);
+      return false;
+    }
+
+    // Form is valid - prepare for submission, e.g. phone numbers as E.164
+    let data = normalizeData(getFormValues(form), settings.rules, settings.conditions);
+    const files = getFormFiles(form);
+    const url = getSubmitUrl(form, settings);
+
+    // Nothing is sent, but the outcome is reported like a server rejection
+    if (verdict.isRateLimited) {
+      displaySubmissionError(form, messages.RATE_LIMITED).focus();
+
+      const error = new Submission.SubmissionError(messages.RATE_LIMITED, {
+        body: { success: false, code: 'rate_limited', errors: {} }
+      });
+
+      await reportSubmission(form, settings, { success: false, queued: false, data: data, response: null, error: error }, { form, url, files });
+      return false;
+    }
+
+    // Log successful validation
+    if (typeof console !== 'undefined' && console.info) {
+      console.info('Form validation successful', data);
+    }
+
+    hideStatusMessages(form);
+    setPendingState(form, true);
+
+    let result = null;
+    let cancelled = false;
+
+    try {
+      // The hook may replace the data, or return false to cancel the submission
+      if (settings.beforeSubmit) {
+        const replacement = await settings.beforeSubmit(data, { form, url, files });
+
+        if (replacement === false) {
+          cancelled = true;
+          return false;
+        }
+        if (replacement && typeof replacement === 'object') {
+          data = replacement;
+        }
+      }
+
+      if (settings.spamProtection) {
+        const challengeToken = await SpamProtection.runChallenge(form, data);
+        if (challengeToken) {
+          data.challengeToken = challengeToken;
+        }
+      }
+
+      let response;
+      if (settings.onSubmit) {
+        response = await settings.onSubmit(data, { form, url, files });
+      } else {
+        response = await Submission.submit(url, data, { files });
+      }
+
+      if (settings.spamProtection) {
+        SpamProtection.recordSubmission(form);
+      }
+
+      result = { success: true, queued: false, data: data, response: response === undefined ? null : response, error: null };
+    } catch (error) {
+      // Only the built-in submission can be replayed from the queue
+      if (error.offline && settings.offlineQueue && !settings.onSubmit) {
+        const queued = await queueSubmission(form, url, data, files, settings);
+        result = { success: queued, queued: queued, data: data, response: null, error: queued ? null : error };
+      } else {
+        applyServerErrors(form, error, messages);
+        result = { success: false, queued: false, data: data, response: null, error: error };
+      }
+    } finally {
+      setPendingState(form, false);
+
+      if (cancelled) {
+        dispatchFormEvent(form, 'submit-cancel', { data: data });
+      }
+    }
+
+    // Confirm only once the server has accepted the submission. The lead is stored
+    // by now, so a failure here is logged rather than reported as a failed submission.
+    if (result.success && !result.queued) {
+      try {
+        clearDraft(form);
+        displayConfirmation(form, settings, result.response);
+      } catch (error) {
+        if (typeof console !== 'undefined' && console.error) {
+          console.error('Failed to confirm form submission', error);
+        }
+      }
+    }
+
+    await reportSubmission(form, settings, result, { form, url, files });
+
+    return false;
+  }
+
+  /**
+   * Tells other scripts how a submission ended, with a `thermocool:submit-success`
+   * or `thermocool:submit-error` event on the form, then runs the afterSubmit hook
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object} settings - Options of the attached form
+   * @param {Object} result - `{ success, queued, data, response, error }`
+   * @param {Object} context - `{ form, url, files }`, as given to the hooks
+   */
+  async function reportSubmission(form, settings, result, context) {
+    if (result.success) {
+      dispatchFormEvent(form, 'submit-success', { data: result.data, response: result.response, queued: result.queued });
+    } else {
+      dispatchSubmitError(form, result.data, result.error);
+    }
+
+    if (settings.afterSubmit) {
+      try {
+        await settings.afterSubmit(result, context);
+      } catch (error) {
+        if (typeof console !== 'undefined' && console.error) {
+          console.error('afterSubmit hook failed', error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Dispatches a `thermocool:submit-error` event for a failed submission
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object|null} data - The data that was submitted
+   * @param {Object|null} error - The submission error, with the server's answer as `body`
+   */
+  function dispatchSubmitError(form, data, error) {
+    const body = (error && error.body) || {};
+
+    dispatchFormEvent(form, 'submit-error', {
+      data: data,
+      error: error,
+      code: body.code || null,
+      errors: body.errors && typeof body.errors === 'object' ? body.errors : {}
+    });
+  }
+
+  /**
+   * Queues a submission for replay when the browser is back online
+   * @param {HTMLFormElement} form - The form element
+   * @param {string} url - Submission URL
+   * @param {Object} data - Form data
+   * @param {Object[]} files - Files to send along, as `{ field, file }`
+   * @param {Object} settings - Options of the attached form
+   */
+  async function queueSubmission(form, url, data, files, settings) {
+    try {
+      await Submission.enqueue(url, data, files);
+      if (settings.spamProtection) {
+        SpamProtection.recordSubmission(form);
+      }
+      displayQueuedMessage(form, settings.messages.SUBMISSION_QUEUED);
+      return true;
+    } catch (error) {
+      if (typeof console !== 'undefined' && console.error) {
+        console.error('Failed to queue form submission', error);
+      }
+      displaySubmissionError(form, settings.messages.SUBMISSION_FAILED);
+      return false;
+    }
+  }
+
+  /**
+   * Sends queued submissions and confirms them on the attached forms they came from
+   */
+  async function replayQueuedSubmissions() {
+    if (Submission.isOffline()) {
+      return;
+    }
+
+    try {
+      const result = await Submission.flushQueue();
+
+      controllers.forEach(function(controller, form) {
+        const settings = controller.options;
+        const url = getSubmitUrl(form, settings);
+        const sent = result.sent.filter(function(entry) {
+          return entry.url === url;
+        });
+        const dropped = result.dropped.filter(function(entry) {
+          return entry.url === url;
+        });
+
+        if (dropped.length > 0 && settings.offlineQueue && !settings.onSubmit) {
+          restoreRejectedSubmission(form, settings, dropped);
+        }
+
+        if (sent.length > 0 && settings.offlineQueue && !settings.onSubmit) {
+          // The visitor may be busy elsewhere on the page, so never redirect here
+          clearDraft(form);
+          displayConfirmation(form, settings, sent[0].response, false);
+          sent.forEach(function(entry) {
+            dispatchFormEvent(form, 'submit-success', { data: entry.payload, response: entry.response || null, queued: false });
+          });
+        }
+      });
+
+      if (result.dropped.length > 0 && typeof console !== 'undefined' && console.warn) {
+        console.warn('Queued form submissions were rejected by the server', result.dropped);
+      }
+    } catch (error) {
+      if (typeof console !== 'undefined' && console.error) {
+        console.error('Failed to replay queued form submissions', error);
+      }
+    }
+  }
+
+  /**
+   * Gives queued submissions the server rejected, or that expired, back to the
+   * visitor, who was told they would be sent: the last one is restored into the
+   * form with its errors, and each one gets a `thermocool:submit-error` event
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object} settings - Options of the attached form
+   * @param {Object[]} entries - Dropped queue entries, oldest first, with the `error` that dropped them
+   */
+  function restoreRejectedSubmission(form, settings, entries) {
+    const entry = entries[entries.length - 1];
+
+    hideConfirmationPanel(form);
+    hideStatusMessages(form);
+    restoreDraft(form, entry.payload, settings);
+
+    // Lead with what happened to the saved request; expired entries were never answered
+    const body = (entry.error && entry.error.body) || {};
+    const message = [settings.messages.QUEUED_SUBMISSION_REJECTED, body.message]
+      .filter(Boolean)
+      .map(text => I18n.translate(text))
+      .join(' ');
+
+    applyServerErrors(form, { body: Object.assign({}, body, { message: message }) }, settings.messages);
+
+    entries.forEach(function(dropped) {
+      dispatchSubmitError(form, dropped.payload, dropped.error || null);
+    });
+  }
+
+  /**
+   * Returns the storage key of a form's draft, unique to the page and form
+   * @param {HTMLFormElement} form - The form element
+   * @returns {string|null} The key, or null if the form has no id or name to key it by
+   */
+  function getDraftKey(form) {
+    const formName = form.id || form.getAttribute('name');
+
+    return formName ? `${DRAFT_STORAGE_PREFIX}${window.location.pathname}#${formName}` : null;
+  }
+
+  /**
+   * Returns the storage drafts are kept in
+   * @param {Object} settings - Options of the attached form
+   * @returns {Storage|null} localStorage or sessionStorage, or null if unavailable
+   */
+  function getDraftStorage(settings) {
+    try {
+      return settings.draftStorage === 'session' ? window.sessionStorage : window.localStorage;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Collects the values the visitor has changed, leaving out hidden, file and
+   * honeypot fields
+   * @param {HTMLFormElement} form - The form element
+   * @returns {Object} Changed values keyed by field name
+   */
+  function getDraftValues(form) {
+    const values = {};
+
+    Array.from(form.elements).forEach(function(field) {
+      if (!field.name || field.disabled || DRAFT_EXCLUDED_TYPES.includes(field.type) ||
+          field.name === SpamProtection.config.honeypotFieldName) {
+        return;
+      }
+
+      if (field.type === 'radio' || field.type === 'checkbox') {
+        if (field.checked && !field.defaultChecked) {
+          values[field.name] = field.value;
+        }
+      } else if (field.tagName === 'SELECT') {
+        // Without a selected attribute, the first option is the default
+        const options = Array.from(field.options);
+        const defaultOption = options.find(option => option.defaultSelected) || options[0];
+        if (defaultOption && field.value !== defaultOption.value) {
+          values[field.name] = field.value;
+        }
+      } else if (field.value !== field.defaultValue) {
+        values[field.name] = field.value;
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Saves the visitor's changes to a form, or removes the draft if there are none
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object} settings - Options of the attached form
+   */
+  function saveDraft(form, settings) {
+    const storage = getDraftStorage(settings);
+    const key = getDraftKey(form);
+    const values = getDraftValues(form);
+
+    if (!storage || !key) {
+      return;
+    }
+
+    try {
+      if (Object.keys(values).length === 0) {
+        storage.removeItem(key);
+      } else {
+        storage.setItem(key, JSON.stringify({ savedAt: Date.now(), values: values }));
+      }
+    } catch (error) {
+      // Storage is full or blocked; the form still works without drafts
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn('Form draft could not be saved', error);
+      }
+    }
+  }
+
+  /**
+   * Reads a form's saved draft, removing it if it has expired
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object} settings - Options of the attached form
+   * @returns {Object|null} Saved values keyed by field name, or null if there is no draft
+   */
+  function readDraft(form, settings) {
+    const storage = getDraftStorage(settings);
+    const key = getDraftKey(form);
+
+    if (!storage || !key) {
+      return null;
+    }
+
+    try {
+      const draft = JSON.parse(storage.getItem(key));
+
+      if (!draft || !draft.values || Date.now() - draft.savedAt > settings.draftExpiry) {
+        storage.removeItem(key);
+        return null;
+      }
+
+      return draft.values;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Removes a form's draft and any pending save of it
+   * @param {HTMLFormElement} form - The form element
+   */
+  function clearDraft(form) {
+    const controller = controllers.get(form);
+    const saver = draftSavers.get(form);
+
+    if (saver) {
+      saver.cancel();
+    }
+
+    hideDraftPrompt(form);
+
+    const storage = getDraftStorage(controller ? controller.options : DEFAULT_OPTIONS);
+    const key = getDraftKey(form);
+
+    if (storage && key) {
+      try {
+        storage.removeItem(key);
+      } catch (error) {
+        // Nothing to remove from a blocked storage
+      }
+    }
+  }
+
+  /**
+   * Fills a form with saved values and re-applies its conditional rules
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object} values - Saved values keyed by field name
+   * @param {Object} settings - Options of the attached form
+   */
+  function restoreDraft(form, values, settings) {
+    Object.keys(values).forEach(function(name) {
+      const control = form.elements.namedItem(name);
+
+      if (!control) {
+        return;
+      }
+
+      if (control.type === 'checkbox') {
+        control.checked = control.value === values[name];
+      } else {
+        // Also selects the matching radio button of a RadioNodeList
+        control.value = values[name];
+      }
+    });
+
+    applyConditions(form, settings.rules, settings.conditions);
+
+    // Values set by a script fire no input events, so tell enhancements such as counters
+    form.dispatchEvent(new window.CustomEvent('thermocool:draft-restore', { detail: { values: values } }));
+  }
+
+  /**
+   * Offers to restore a saved draft above the form
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object} values - Saved values keyed by field name
+   * @param {Object} settings - Options of the attached form
+   */
+  function showDraftPrompt(form, values, settings) {
+    const prompt = getStatusElement(form, 'draft-prompt', 'status');
+    const text = document.createElement('p');
+    const restoreButton = document.createElement('button');
+    const discardButton = document.createElement('button');
+
+    /**
+     * Closes the prompt and returns focus to the form
+     */
+    function close() {
+      hideDraftPrompt(form);
+
+      const firstField = form.querySelector('input:not([type="hidden"]):not([disabled]), select:not([disabled]), textarea:not([disabled])');
+      if (firstField) {
+        firstField.focus();
+      }
+    }
+
+    text.textContent = I18n.translate(settings.messages.DRAFT_FOUND);
+
+    restoreButton.type = 'button';
+    restoreButton.className = 'draft-prompt-restore';
+    restoreButton.textContent = I18n.translate(settings.messages.DRAFT_RESTORE);
+    restoreButton.addEventListener('click', function() {
+      restoreDraft(form, values, settings);
+      close();
+    });
+
+    discardButton.type = 'button';
+    discardButton.className = 'draft-prompt-discard';
+    discardButton.textContent = I18n.translate(settings.messages.DRAFT_DISCARD);
+    discardButton.addEventListener('click', function() {
+      clearDraft(form);
+      close();
+    });
+
+    prompt.replaceChildren(text, restoreButton, discardButton);
+    prompt.hidden = false;
+  }
+
+  /**
+   * Removes the restore prompt of a form, if shown
+   * @param {HTMLFormElement} form - The form element
+   */
+  function hideDraftPrompt(form) {
+    const prompt = form.parentElement && form.parentElement.querySelector('.draft-prompt');
+
+    if (prompt) {
+      prompt.hidden = true;
+      prompt.replaceChildren();
+    }
+  }
+
+  /**
+   * Checks whether the restore prompt of a form is waiting for an answer
+   * @param {HTMLFormElement} form - The form element
+   * @returns {boolean} True while the prompt is shown
+   */
+  function isDraftPromptShown(form) {
+    const prompt = form.parentElement && form.parentElement.querySelector('.draft-prompt');
+
+    return Boolean(prompt && !prompt.hidden);
+  }
+
+  /**
+   * Finds or creates a status message element above the form
+   * @param {HTMLFormElement} form - The form element
+   * @param {string} className - Class name of the status element
+   * @param {string} role - ARIA role of the status element
+   * @returns {HTMLElement} The status element
+   */
+  function getStatusElement(form, className, role) {
+    const formContainer = form.parentElement;
+    let statusElement = formContainer.querySelector(`.${className}`);
+
+    if (!statusElement) {
+      statusElement = document.createElement('div');
+      statusElement.className = className;
+      statusElement.setAttribute('role', role);
+      statusElement.setAttribute('aria-live', role === 'alert' ? 'assertive' : 'polite');
+      formContainer.insertBefore(statusElement, form);
+    }
+
+    return statusElement;
+  }
+
+  /**
+   * Hides any success, queued or error message shown for the form
+   * @param {HTMLFormElement} form - The form element
+   */
+  function hideStatusMessages(form) {
+    const statusElements = form.parentElement.querySelectorAll(
+      '.success-message, .success-send-another, .queued-message, .form-error-message'
+    );
+
+    statusElements.forEach(function(element) {
+      element.style.display = 'none';
+    });
+  }
+
+  /**
+   * Finds the form control for a field name
+   * @param {HTMLFormElement} form - The form element
+   * @param {string} name - Field name
+   * @returns {HTMLElement|null} The control, or the first control of a radio group
+   */
+  function getFormField(form, name) {
+    const item = form.elements.namedItem(name);
+
+    if (item && !item.tagName && item.length) {
+      return item[0];
+    }
+
+    return item;
+  }
+
+  /**
+   * Maps a rejected submission back onto the form.
+   *
+   * The server answers rejected submissions with (see README, "Submission Error Contract"):
+   *   { success: false, code: string, message: string, errors: { [fieldName]: string } }
+   * Errors for fields present in the form are shown on those fields and kept until the
+   * value changes; errors for unknown fields and the message go into the form-level banner.
+   * Focus moves to the first failing field, or to the banner if no field failed.
+   *
+   * @param {HTMLFormElement} form - The form element
+   * @param {Error} error - The submission error, with the parsed response in `body`
+   * @param {Object} [messages] - Form-level messages, ERROR_MESSAGES by default
+   */
+  function applyServerErrors(form, error, messages = ERROR_MESSAGES) {
+    const body = error.body || {};
+    const fieldErrors = body.errors && typeof body.errors === 'object' ? body.errors : {};
+    const unmatchedErrors = [];
+    const failedFields = [];
+
+    Object.keys(fieldErrors).forEach(function(name) {
+      const field = getFormField(form, name);
+
+      if (!field) {
+        unmatchedErrors.push(fieldErrors[name]);
+        return;
+      }
+
+      showError(field, fieldErrors[name]);
+      reportFieldState(field, fieldErrors[name], 'server');
+      field.dataset.serverError = fieldErrors[name];
+      field.dataset.serverErrorValue = field.value;
+      failedFields.push(field);
+    });
+
+    // Messages of failed requests without a server answer are meant for logs, not visitors
+    const banner = displaySubmissionError(
+      form,
+      body.message || (error instanceof Submission.SubmissionError ? null : error.message) || messages.SUBMISSION_FAILED,
+      unmatchedErrors
+    );
+
+    // Focus the first failing field in document order
+    const firstInvalidField = Array.prototype.find.call(
+      form.querySelectorAll('input, select, textarea'),
+      function(field) {
+        return failedFields.includes(field);
+      }
+    );
+
+    if (firstInvalidField) {
+      firstInvalidField.focus();
+    } else {
+      banner.focus();
+    }
+
+    if (typeof console !== 'undefined' && console.info) {
+      console.info('Form submission rejected', body.code || error.status);
+    }
+  }
+
+  /**
+   * Displays a form-level error when the submission fails
+   * @param {HTMLFormElement} form - The form element
+   * @param {string} message - The error message
+   * @param {string[]} [details] - Additional errors not tied to a form field
+   * @returns {HTMLElement} The error banner
+   */
+  function displaySubmissionError(form, message, details) {
+    const errorMessage = getStatusElement(form, 'form-error-message', 'alert');
+
+    errorMessage.textContent = I18n.translate(message || ERROR_MESSAGES.SUBMISSION_FAILED);
+    errorMessage.setAttribute('tabindex', '-1');
+    errorMessage.style.display = 'block';
+
+    if (details && details.length > 0) {
+      const list = document.createElement('ul');
+
+      details.forEach(function(detail) {
+        const item = document.createElement('li');
+        item.textContent = I18n.translate(detail);
+        list.appendChild(item);
+      });
+
+      errorMessage.appendChild(list);
+    }
+
+    return errorMessage;
+  }
+
+  /**
+   * Displays a notice that the submission was saved for later delivery
+   * @param {HTMLFormElement} form - The form element
+   * @param {string} [message] - The notice to display
+   */
+  function displayQueuedMessage(form, message) {
+    const queuedMessage = getStatusElement(form, 'queued-message', 'status');
+
+    queuedMessage.textContent = I18n.translate(message || ERROR_MESSAGES.SUBMISSION_QUEUED);
+    queuedMessage.style.display = 'block';
+  }
+
+  /**
+   * Confirms an accepted submission the way the form is set up to: with a message
+   * above the form, a thank-you panel in its place or a redirect to a thank-you
+   * page. The form is only cleared once the visitor chooses to send another.
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object} settings - Options of the attached form
+   * @param {Object|null} [response] - Parsed server response, whose `reference` is shown
+   * @param {boolean} [canRedirect=true] - Whether the confirmation may leave the page
+   */
+  function displayConfirmation(form, settings, response = null, canRedirect = true) {
+    const reference = response && response.reference ? String(response.reference) : null;
+    const confirmation = settings.confirmation || form.dataset.confirmation || 'message';
+    const thankYouUrl = settings.thankYouUrl || form.dataset.thankYouUrl;
+
+    hideStatusMessages(form);
+
+    if (confirmation === 'redirect' && thankYouUrl && canRedirect) {
+      const target = new URL(thankYouUrl, window.location.href);
+
+      if (reference) {
+        target.searchParams.set('ref', reference);
+      }
+      window.location.assign(target.href);
+    } else if (confirmation === 'panel') {
+      displayConfirmationPanel(form, settings, reference);
+    } else {
+      displaySuccessMessage(form, settings, reference);
+    }
+  }
+
+  /**
+   * Displays the success message above a form, which keeps its values, with a
+   * button to start over
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object} settings - Options of the attached form
+   * @param {string|null} reference - Reference number of the submission
+   */
+  function displaySuccessMessage(form, settings, reference) {
+    const messages = settings.messages;
+    const successMessage = getStatusElement(form, 'success-message', 'status');
+    let sendAnotherButton = form.parentElement.querySelector('.success-send-another');
+
+    successMessage.textContent = I18n.translate(messages.SUBMISSION_SUCCESS);
+    if (reference) {
+      const referenceLine = document.createElement('p');
+      referenceLine.className = 'success-reference';
+      referenceLine.textContent = I18n.translate(formatMessage(messages.SUBMISSION_REFERENCE, { reference: reference }));
+      successMessage.appendChild(referenceLine);
+    }
+    successMessage.setAttribute('tabindex', '-1');
+    successMessage.style.display = 'block';
+
+    if (!sendAnotherButton) {
+      sendAnotherButton = document.createElement('button');
+      sendAnotherButton.type = 'button';
+      sendAnotherButton.className = 'success-send-another';
+      sendAnotherButton.addEventListener('click', function() {
+        startOver(form);
+      });
+      successMessage.after(sendAnotherButton);
+    }
+    sendAnotherButton.textContent = I18n.translate(messages.SUBMISSION_SEND_ANOTHER);
+    sendAnotherButton.style.display = '';
+
+    successMessage.focus();
+  }
+
+  /**
+   * Replaces a form with a thank-you panel: a heading, the success message, the
+   * reference number, what happens next and a button to send another request
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object} settings - Options of the attached form
+   * @param {string|null} reference - Reference number of the submission
+   */
+  function displayConfirmationPanel(form, settings, reference) {
+    const messages = settings.messages;
+    const panel = document.createElement('div');
+    const title = document.createElement('h3');
+    const text = document.createElement('p');
+    const referenceLine = document.createElement('p');
+    const stepsTitle = document.createElement('h4');
+    const stepList = document.createElement('ol');
+    const sendAnotherButton = document.createElement('button');
+
+    hideConfirmationPanel(form);
+
+    title.id = `${form.id || form.name || 'form'}-confirmation-title`;
+    title.className = 'form-confirmation-title';
+    referenceLine.className = 'form-confirmation-reference';
+    stepsTitle.className = 'form-confirmation-steps-title';
+    stepList.className = 'form-confirmation-steps';
+    sendAnotherButton.type = 'button';
+    sendAnotherButton.className = 'form-confirmation-send-another';
+    sendAnotherButton.addEventListener('click', function() {
+      startOver(form);
+    });
+
+    panel.className = 'form-confirmation';
+    panel.tabIndex = -1;
+    panel.setAttribute('aria-labelledby', title.id);
+    panel.append(title, text);
+    if (reference) {
+      panel.appendChild(referenceLine);
+    }
+    if (settings.nextSteps && settings.nextSteps.length > 0) {
+      panel.append(stepsTitle, stepList);
+    }
+    panel.appendChild(sendAnotherButton);
+
+    // Texts are rendered again when the language changes
+    const render = function() {
+      title.textContent = I18n.translate(messages.CONFIRMATION_TITLE);
+      text.textContent = I18n.translate(messages.SUBMISSION_SUCCESS);
+      referenceLine.textContent = reference ?
+        I18n.translate(formatMessage(messages.SUBMISSION_REFERENCE, { reference: reference })) :
+        '';
+      stepsTitle.textContent = I18n.translate(messages.CONFIRMATION_NEXT_STEPS);
+      stepList.textContent = '';
+      (settings.nextSteps || []).forEach(function(step) {
+        const item = document.createElement('li');
+        item.textContent = I18n.translate(step);
+        stepList.appendChild(item);
+      });
+      sendAnotherButton.textContent = I18n.translate(messages.SUBMISSION_SEND_ANOTHER);
+    };
+
+    render();
+    form.before(panel);
+    form.hidden = true;
+    confirmationPanels.set(form, { element: panel, render: render });
+
+    panel.focus();
+  }
+
+  /**
+   * Removes the thank-you panel of a form and shows the form again
+   * @param {HTMLFormElement} form - The form element
+   */
+  function hideConfirmationPanel(form) {
+    const panel = confirmationPanels.get(form);
+
+    if (panel) {
+      panel.element.remove();
+      confirmationPanels.delete(form);
+      form.hidden = false;
+    }
+  }
+
+  /**
+   * Clears a confirmed form for another request, and moves focus to its start
+   * @param {HTMLFormElement} form - The form element
+   */
+  function startOver(form) {
+    hideConfirmationPanel(form);
+    hideStatusMessages(form);
+    form.reset();
+    form.querySelectorAll('input, select, textarea').forEach(clearError);
+
+    // Wizards go back to the first step, whose legend is announced
+    if (wizards.has(form)) {
+      wizards.get(form).goTo(0);
+      return;
+    }
+
+    const firstField = Array.prototype.find.call(form.elements, function(field) {
+      return field.matches('input, select, textarea') && !field.disabled &&
+        field.type !== 'hidden' && !field.closest('[hidden], .form-honeypot');
+    });
+
+    if (firstField) {
+      firstField.focus();
+    }
+  }
+
+  /**
+   * Shows the errors and wizard controls of every attached form again in the new language
+   */
+  function relocalizeErrors() {
+    controllers.forEach(function(controller) {
+      const settings = controller.options;
+
+      if (wizards.has(controller.form)) {
+        wizards.get(controller.form).render();
+      }
+      if (confirmationPanels.has(controller.form)) {
+        confirmationPanels.get(controller.form).render();
+      }
+
+      controller.form.querySelectorAll('[aria-invalid="true"]').forEach(function(field) {
+        validateAndDisplayError(field, settings.rules, settings.conditions);
+      });
+    });
+  }
+
+  /**
+   * Turns a form whose fields are grouped in steps into a wizard showing one step
+   * at a time. Each step needs a `data-step` name and a legend; the current step
+   * is kept in the URL hash as `#<form id>/<step name>` so browser back works.
+   * Without JavaScript every step stays visible as one long form.
+   * @param {HTMLFormElement} form - The form element
+   * @param {Object} settings - Options of the attached form
+   * @returns {Object|null} The wizard, or null if the form has fewer than two steps
+   */
+  function createWizard(form, settings) {
+    const steps = settings.steps ? Array.from(form.querySelectorAll(settings.steps)) : [];
+
+    if (steps.length < 2) {
+      return null;
+    }
+
+    const messages = settings.messages;
+    const submitButton = form.querySelector('[type="submit"]');
+    const progress = document.createElement('ol');
+    const nav = document.createElement('div');
+    const backButton = document.createElement('button');
+    const nextButton = document.createElement('button');
+    const stepCounts = [];
+    let current = 0;
+
+    /**
+     * Returns the URL hash of a step
+     * @param {number} index - Step index
+     * @returns {string|null} The hash, or null if the form has no id to build it from
+     */
+    function getStepHash(index) {
+      return form.id ? `#${form.id}/${steps[index].dataset.step}` : null;
+    }
+
+    /**
+     * Reads the step named in the URL hash
+     * @returns {number} Step index, or -1 if the hash names no step of this form
+     */
+    function getStepFromHash() {
+      return steps.findIndex(function(step, index) {
+        return getStepHash(index) === window.location.hash;
+      });
+    }
+
+    /**
+     * Checks a step's fields without showing errors
+     * @param {number} index - Step index
+     * @returns {boolean} True if every field of the step passes its sync rules
+     */
+    function isStepValid(index) {
+      const data = getFormValues(form);
+
+      return Array.from(steps[index].querySelectorAll('input, select, textarea')).every(function(field) {
+        const rules = !field.disabled && getFieldRules(field, settings.rules, settings.conditions);
+        return !rules || validateField(field, rules, data).isValid;
+      });
+    }
+
+    /**
+     * Reads the name of a step from its legend, without the step count
+     * @param {number} index - Step index
+     * @returns {string} The step name
+     */
+    function getStepLabel(index) {
+      const legend = steps[index].querySelector('legend');
+
+      if (!legend) {
+        return steps[index].dataset.step;
+      }
+
+      return Array.from(legend.childNodes)
+        .filter(node => node !== stepCounts[index])
+        .map(node => node.textContent)
+        .join('')
+        .trim();
+    }
+
+    /**
+     * Updates the visible step, progress indicator and buttons
+     */
+    function render() {
+      const labels = steps.map((step, index) => getStepLabel(index));
+
+      steps.forEach(function(step, index) {
+        step.hidden = index !== current;
+        stepCounts[index].textContent = I18n.translate(
+          formatMessage(messages.WIZARD_STEP_COUNT, { current: index + 1, total: steps.length })
+        );
+      });
+
+      progress.setAttribute('aria-label', I18n.translate(messages.WIZARD_PROGRESS));
+      progress.replaceChildren(...labels.map(function(label, index) {
+        const item = document.createElement('li');
+
+        item.className = 'wizard-progress-step';
+        if (index < current) {
+          const status = document.createElement('span');
+          status.className = 'visually-hidden';
+          status.textContent = `${I18n.translate(messages.WIZARD_STEP_COMPLETE)} `;
+          item.classList.add('is-complete');
+          item.appendChild(status);
+        }
+        if (index === current) {
+          item.setAttribute('aria-current', 'step');
+        }
+        item.appendChild(document.createTextNode(label));
+
+        return item;
+      }));
+
+      backButton.textContent = I18n.translate(messages.WIZARD_BACK);
+      nextButton.textContent = I18n.translate(messages.WIZARD_NEXT);
+      backButton.hidden = current === 0;
+      nextButton.hidden = current === steps.length - 1;
+      if (submitButton) {
+        submitButton.hidden = current !== steps.length - 1;
+      }
+    }
+
+    /**
+     * Shows a step
+     * @param {number} index - Step index
+     * @param {Object} [options] - `focus` moves focus to the step; `history` is
+     *   `'push'` or `'replace'` to record the step in the URL
+     */
+    function show(index, options = {}) {
+      const hash = getStepHash(index);
+
+      if (hash && options.history && window.location.hash !== hash) {
+        // Let browser back return to the step the visitor is leaving
+        if (options.history === 'push' && getStepFromHash() === -1) {
+          window.history.replaceState(window.history.state, '', getStepHash(current));
+        }
+        window.history[options.history === 'push' ? 'pushState' : 'replaceState'](window.history.state, '', hash);
+      }
+
+      current = index;
+      render();
+
+      if (options.focus) {
+        steps[index].focus();
+      }
+    }
+
+    /**
+     * Shows a step, or the first earlier step that is not complete yet
+     * @param {number} index - Requested step index
+     * @param {Object} [options] - Options of show()
+     */
+    function goTo(index, options = {}) {
+      let allowed = 0;
+
+      while (allowed < index && isStepValid(allowed)) {
+        allowed += 1;
+      }
+
+      show(allowed, Object.assign({}, options, { history: allowed === index ? options.history : 'replace' }));
+    }
+
+    /**
+     * Validates the current step and moves to the next one
+     * @returns {Promise<boolean>} True if the wizard moved on
+     */
+    async function next() {
+      const step = steps[current];
+
+      nextButton.disabled = true;
+      try {
+        const isValid = await validateFieldsAsync(step, settings.rules, settings.conditions);
+
+        if (!isValid) {
+          const firstError = step.querySelector('.field-error');
+          if (firstError) {
+            focusInvalidField(firstError);
+          }
+          return false;
+        }
+
+        show(Math.min(current + 1, steps.length - 1), { focus: true, history: 'push' });
+        return true;
+      } finally {
+        nextButton.disabled = false;
+      }
+    }
+
+    /**
+     * Returns to the previous step
+     */
+    function back() {
+      show(Math.max(current - 1, 0), { focus: true, history: 'push' });
+    }
+
+    // Browser back and forward, and hashes typed or linked to
+    const onHashChange = function() {
+      const index = getStepFromHash();
+
+      if (index !== -1 && index !== current) {
+        goTo(index, { focus: true });
+      }
+    };
+
+    progress.className = 'wizard-progress';
+    nav.className = 'wizard-nav';
+    backButton.type = 'button';
+    backButton.className = 'wizard-back';
+    nextButton.type = 'button';
+    nextButton.className = 'wizard-next';
+    backButton.addEventListener('click', back);
+    nextButton.addEventListener('click', next);
+    nav.append(backButton, nextButton);
+
+    steps.forEach(function(step) {
+      const legend = step.querySelector('legend');
+      const count = document.createElement('span');
+
+      count.className = 'form-step-count';
+      if (legend) {
+        legend.prepend(count);
+      }
+      stepCounts.push(count);
+
+      // Steps receive focus when shown, so screen readers announce their legend
+      step.setAttribute('tabindex', '-1');
+    });
+
+    steps[0].before(progress);
+    if (submitButton) {
+      submitButton.before(nav);
+    } else {
+      form.appendChild(nav);
+    }
+
+    window.addEventListener('hashchange', onHashChange);
+
+    const initialStep = getStepFromHash();
+    if (initialStep > 0) {
+      goTo(initialStep, { history: 'replace' });
+    } else {
+      render();
+    }
+
+    return {
+      steps: steps,
+      render: render,
+      next: next,
+      back: back,
+
+      /**
+       * Shows a step by index, if the steps before it are complete
+       * @param {number} index - Step index
+       */
+      goTo: function(index) {
+        goTo(index, { focus: true, history: 'push' });
+      },
+
+      /**
+       * Returns the index of the current step
+       * @returns {number} Step index
+       */
+      getCurrentStep: function() {
+        return current;
+      },
+
+      /**
+       * Checks whether the current step is the last one
+       * @returns {boolean} True on the last step
+       */
+      isLastStep: function() {
+        return current === steps.length - 1;
+      },
+
+      /**
+       * Shows the step containing a field
+       * @param {HTMLElement} field - A field of the form
+       */
+      showStepOf: function(field) {
+        const index = steps.findIndex(step => step.contains(field));
+
+        if (index !== -1 && index !== current) {
+          show(index, { history: 'push' });
+        }
+      },
+
+      /**
+       * Restores the form to a single page
+       */
+      destroy: function() {
+        window.removeEventListener('hashchange', onHashChange);
+        progress.remove();
+        nav.remove();
+        stepCounts.forEach(count => count.remove());
+        steps.forEach(function(step) {
+          step.hidden = false;
+          step.removeAttribute('tabindex');
+        });
+        if (submitButton) {
+          submitButton.hidden = false;
+        }
+      }
+    };
+  }
+
+  /**
+   * Debounces a function call
+   * @param {Function} func - Function to debounce
+   * @param {number} wait - Wait time in milliseconds
+   * @returns {Function} Debounced function
+   */
+  function debounce(func, wait) {
+    let timeout;
+    const executedFunction = function() {
+      const context = this;
+      const args = arguments;
+      
+      const later = function() {
+        timeout = null;
+        func.apply(context, args);
+      };
+      
+      clearTimeout(timeout);
+      timeout = setTimeout(later, wait);
+    };
+
+    // Drop a pending call, e.g. when the form is detached
+    executedFunction.cancel = function() {
+      clearTimeout(timeout);
+      timeout = null;
+    };
+
+    return executedFunction;
+  }
+
+  /**
+   * Checks whether an event target is a form field with validation rules
+   * @param {EventTarget} target - The event target
+   * @param {Object} fieldRules - JS rules keyed by field name
+   * @param {Object[]} conditionalRules - Conditional rules
+   * @returns {boolean} True if the target should be validated
+   */
+  function isValidatedField(target, fieldRules, conditionalRules) {
+    return Boolean(target && target.matches && target.matches('input, select, textarea') &&
+      getFieldRules(target, fieldRules, conditionalRules));
+  }
+
+  /**
+   * Binds validation and submission handling to a form.
+   *
+   * Listeners are delegated from the form in the capture phase, so fields added
+   * later are validated too. Attaching an already attached form replaces its
+   * previous binding.
+   *
+   * The form tells other scripts what it is doing with bubbling
+   * `thermocool:field-valid`, `thermocool:field-invalid`, `thermocool:submit-attempt`,
+   * `thermocool:submit-success` and `thermocool:submit-error` events.
+   *
+   * @param {HTMLFormElement} form - The form to bind
+   * @param {Object} [options] - Per-form options
+   * @param {Object} [options.rules] - JS rules keyed by field name, overriding the
+   *   rules declared in the markup (none by default; the contact form gets FIELD_RULES)
+   * @param {Object[]} [options.conditions] - Conditional rules (none by default; the contact
+   *   form gets CONDITIONAL_RULES)
+   * @param {Object} [options.messages] - Overrides for the form-level messages
+   *   (SUBMISSION_SUCCESS, SUBMISSION_FAILED, SUBMISSION_QUEUED, RATE_LIMITED, DRAFT_FOUND,
+   *   DRAFT_RESTORE, DRAFT_DISCARD, CONFIRMATION_TITLE, …)
+   * @param {string} [options.url] - Submission URL, the form's action by default
+   * @param {Function} [options.onSubmit] - `(data, { form, url, files }) => Promise` replacing
+   *   the built-in submission, files being `{ field, file }`; reject with `{ body: { message, errors } }` to show server errors
+   * @param {Function} [options.beforeSubmit] - `(data, { form, url, files }) => Object|false`, may be
+   *   async; runs once the form is valid, and returns the data to send instead or false to cancel,
+   *   which dispatches `thermocool:submit-cancel`
+   * @param {Function} [options.afterSubmit] - `(result, { form, url, files })` run once a submission
+   *   ends, result being `{ success, queued, data, response, error }`
+   * @param {string} [options.confirmation] - How an accepted submission is confirmed: `'message'`
+   *   above the form, a thank-you `'panel'` replacing it, or a `'redirect'` to thankYouUrl; the
+   *   form's `data-confirmation` by default, else `'message'`
+   * @param {string} [options.thankYouUrl] - Thank-you page for `'redirect'`, the form's
+   *   `data-thank-you-url` by default; it gets the reference number as `ref`
+   * @param {string[]} [options.nextSteps] - "What happens next" steps of the thank-you panel
+   * @param {boolean} [options.spamProtection=true] - Apply the honeypot, timing trap,
+   *   rate limit and challenge
+   * @param {boolean} [options.offlineQueue=true] - Queue built-in submissions made offline
+   * @param {number} [options.validationDelay=500] - Debounce delay of validation while typing,
+   *   also used for saving drafts
+   * @param {boolean} [options.autosave=false] - Save a draft while the form is filled in and
+   *   offer to restore it on return; needs a form id or name. On for the contact form
+   * @param {number} [options.draftExpiry=86400000] - Age in milliseconds after which a draft is dropped
+   * @param {string} [options.draftStorage='local'] - Keep drafts in `'local'` or `'session'` storage
+   * @param {string} [options.steps='.form-step'] - Selector of wizard steps; forms with two or
+   *   more show one step at a time (pass null to keep every step visible)
+   * @returns {Object} Controller with `form`, `options`, `wizard` (or null), `validate()`,
+   *   `validateAsync()` and `detach()`
+   */
+  function attach(form, options = {}) {
+    if (!form || form.tagName !== 'FORM') {
+      throw new TypeError('ThermoCoolForms.attach expects a form element');
+    }
+
+    detach(form);
+
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options, {
+      messages: Object.assign({}, ERROR_MESSAGES, options.messages)
+    });
+    const hadNoValidate = form.hasAttribute('novalidate');
+    const debouncedValidations = new Map();
+
+    /**
+     * Returns the debounced validation for a field, creating it on first use
+     * @param {HTMLElement} field - The form field
+     * @returns {Function} Debounced validation
+     */
+    function getDebouncedValidation(field) {
+      if (!debouncedValidations.has(field)) {
+        debouncedValidations.set(field, debounce(function() {
+          // Only validate if field has been touched (has value or had error)
+          if (field.value || field.classList.contains('field-error')) {
+            validateAndDisplayError(field, settings.rules, settings.conditions);
+          }
+        }, settings.validationDelay));
+      }
+
+      return debouncedValidations.get(field);
+    }
+
+    // Drafts are not saved while the visitor decides whether to restore the previous one
+    const saveDraftLater = debounce(function() {
+      if (!isDraftPromptShown(form)) {
+        saveDraft(form, settings);
+      }
+    }, settings.validationDelay);
+
+    const listeners = {
+      submit: function(event) {
+        event.preventDefault();
+
+        // Enter on an earlier wizard step moves on instead of submitting
+        const wizard = wizards.get(form);
+        if (wizard && !wizard.isLastStep()) {
+          wizard.next();
+          return;
+        }
+
+        handleFormSubmit(form, settings);
+      },
+
+      // Validate on blur
+      blur: function(event) {
+        if (isValidatedField(event.target, settings.rules, settings.conditions)) {
+          validateAndDisplayError(event.target, settings.rules, settings.conditions);
+        }
+      },
+
+      // Validate on input with debounce, dropping checks of the previous value
+      input: function(event) {
+        if (settings.autosave) {
+          saveDraftLater();
+        }
+
+        if (isValidatedField(event.target, settings.rules, settings.conditions)) {
+          const check = pendingChecks.get(event.target);
+          if (check && check.value !== event.target.value.trim()) {
+            cancelAsyncCheck(event.target);
+          }
+          getDebouncedValidation(event.target)();
+        }
+      },
+
+      // Re-evaluate dependent fields when a controlling field changes
+      change: function(event) {
+        if (settings.autosave) {
+          saveDraftLater();
+        }
+
+        const dependentNames = getDependentFieldNames(event.target.name, settings.rules, settings.conditions);
+
+        if (dependentNames.length === 0) {
+          return;
+        }
+
+        applyConditions(form, settings.rules, settings.conditions);
+
+        dependentNames.forEach(function(name) {
+          const field = getFormField(form, name);
+          if (field && !field.disabled && (field.value || field.classList.contains('field-error'))) {
+            validateAndDisplayError(field, settings.rules, settings.conditions);
+          }
+        });
+      },
+
+      // Clear error on focus if field is empty
+      focus: function(event) {
+        if (!isFocusingInvalidField && !event.target.value &&
+            isValidatedField(event.target, settings.rules, settings.conditions)) {
+          clearError(event.target);
+        }
+      },
+
+      // A reset form has nothing left to restore
+      reset: function() {
+        hideErrorSummary(form);
+        Array.from(form.elements).forEach(field => fieldStates.delete(field));
+        if (settings.autosave) {
+          clearDraft(form);
+        }
+      }
+    };
+
+    // Add novalidate to disable browser validation
+    form.setAttribute('novalidate', 'novalidate');
+
+    // Start the minimum time-to-submit clock
+    if (settings.spamProtection) {
+      SpamProtection.protect(form);
+    }
+
+    applyConditions(form, settings.rules, settings.conditions);
+
+    const wizard = createWizard(form, settings);
+    if (wizard) {
+      wizards.set(form, wizard);
+    }
+
+    form.addEventListener('submit', listeners.submit);
+    form.addEventListener('reset', listeners.reset);
+    ['blur', 'input', 'change', 'focus'].forEach(function(type) {
+      form.addEventListener(type, listeners[type], true);
+    });
+
+    const controller = {
+      form: form,
+      options: settings,
+      wizard: wizard,
+
+      /**
+       * Validates every field and displays the errors
+       * @returns {boolean} True if all fields are valid, not counting pending async checks
+       */
+      validate: function() {
+        return validateForm(form, settings.rules, settings.conditions);
+      },
+
+      /**
+       * Validates every field, waiting for async checks to settle
+       * @returns {Promise<boolean>} True if all fields are valid
+       */
+      validateAsync: function() {
+        return validateFormAsync(form, settings.rules, settings.conditions);
+      },
+
+      /**
+       * Removes every listener added by attach()
+       */
+      detach: function() {
+        if (controllers.get(form) !== controller) {
+          return;
+        }
+
+        form.removeEventListener('submit', listeners.submit);
+        form.removeEventListener('reset', listeners.reset);
+        ['blur', 'input', 'change', 'focus'].forEach(function(type) {
+          form.removeEventListener(type, listeners[type], true);
+        });
+        debouncedValidations.forEach(function(debouncedValidation) {
+          debouncedValidation.cancel();
+        });
+        form.querySelectorAll('input, select, textarea').forEach(cancelAsyncCheck);
+        saveDraftLater.cancel();
+        draftSavers.delete(form);
+        hideDraftPrompt(form);
+        hideErrorSummary(form);
+        hideConfirmationPanel(form);
+
+        if (wizards.has(form)) {
+          wizards.get(form).destroy();
+          wizards.delete(form);
+        }
+
+        // Leave conditional fields usable without the validator
+        settings.conditions.forEach(function(condition) {
+          (condition.reveals || []).forEach(function(name) {
+            const field = getFormField(form, name);
+            if (field) {
+              setFieldHidden(field, false);
+            }
+          });
+        });
+
+        if (!hadNoValidate) {
+          form.removeAttribute('novalidate');
+        }
+
+        controllers.delete(form);
+        if (controllers.size === 0) {
+          window.removeEventListener('online', replayQueuedSubmissions);
+          document.removeEventListener('thermocool:locale-change', relocalizeErrors);
+        }
+      }
+    };
+
+    // Replay submissions queued while offline, and translate errors on language changes
+    if (controllers.size === 0) {
+      window.addEventListener('online', replayQueuedSubmissions);
+      document.addEventListener('thermocool:locale-change', relocalizeErrors);
+    }
+    controllers.set(form, controller);
+
+    if (settings.autosave) {
+      draftSavers.set(form, saveDraftLater);
+
+      const draft = readDraft(form, settings);
+      if (draft) {
+        showDraftPrompt(form, draft, settings);
+      }
+    }
+
+    return controller;
+  }
+
+  /**
+   * Removes validation from a form attached with attach()
+   * @param {HTMLFormElement} form - The attached form
+   */
+  function detach(form) {
+    const controller = controllers.get(form);
+
+    if (controller) {
+      controller.detach();
+    }
+  }
+
+  /**
+   * Fills in fields as if the visitor had, so validation, conditional rules and
+   * drafts see the new values, and shows the wizard step of the first one
+   * @param {HTMLFormElement} form - The form
+   * @param {Object} values - Values by field name; fields the form lacks, and
+   *   select values it has no option for, are skipped
+   * @returns {HTMLElement[]} The fields that were filled in
+   */
+  function prefill(form, values) {
+    const fields = Object.keys(values).map(function(name) {
+      const field = getFormField(form, name);
+      const value = values[name];
+
+      if (!field || (field.tagName === 'SELECT' && !Array.from(field.options).some(option => option.value === value))) {
+        return null;
+      }
+
+      field.value = value;
+      field.dispatchEvent(new window.Event('input', { bubbles: true }));
+      field.dispatchEvent(new window.Event('change', { bubbles: true }));
+
+      return field;
+    }).filter(Boolean);
+
+    if (fields.length && wizards.has(form)) {
+      wizards.get(form).showStepOf(fields[0]);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Initializes form validation
+   */
+  function initFormValidation() {
+    const form = document.querySelector('#contact-form');
+
+    if (!form) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn('Contact form not found');
+      }
+      return;
+    }
+
+    attach(form, CONTACT_FORM_OPTIONS);
+    replayQueuedSubmissions();
+
+    // Log initialization
+    if (typeof console !== 'undefined' && console.info) {
+      console.info('Form validation initialized');
+    }
+  }
+
+  const api = {
+    attach: attach,
+    detach: detach,
+    prefill: prefill,
+    setFiles: setFiles,
+    showError: showError,
+    clearError: clearError,
+    validateForm: validateForm,
+    getFieldRules: getFieldRules,
+    ERROR_MESSAGES: ERROR_MESSAGES,
+    CONTACT_FORM_OPTIONS: CONTACT_FORM_OPTIONS
+  };
+
+  window.ThermoCoolForms = api;
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFormValidation);
+  } else {
+    initFormValidation();
+  }
+
+  // Export for testing purposes
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Object.assign({}, api, {
+      validateField: validateField,
+      VALIDATION_PATTERNS: VALIDATION_PATTERNS,
+      FIELD_RULES: FIELD_RULES
+    });
   }
 })();
\ No newline at end of file
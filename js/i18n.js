@@ -0,0 +1,399 @@
+/**
+ * Localization Module
+ *
+ * Translates validation messages and page copy:
+ * - The locale comes from the visitor's last choice in the language switcher,
+ *   then from `<html lang>`
+ * - Translations are JSON files in locales/, loaded when a locale is first used
+ * - Messages are written in English in the code (ERROR_MESSAGES and friends)
+ *   and looked up by their English text, so messages from the rules, the
+ *   markup attributes and the server translate the same way. Placeholder
+ *   values such as `{minLength}` are carried over into the translation.
+ * - Page copy is marked with `data-i18n="key"` (text) and
+ *   `data-i18n-attr="attribute:key …"` (attributes). The markup itself is the
+ *   copy of the page's own language.
+ *
+ * Locale changes are announced with a `thermocool:locale-change` event on the document.
+ *
+ * @module i18n
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const isCommonJs = typeof module !== 'undefined' && module.exports;
+  const ValidationRules = isCommonJs ? require('./validation-rules.js') : window.ThermoCoolValidationRules;
+
+  /**
+   * Localization configuration
+   * @type {Object}
+   */
+  const LOCALE_CONFIG = {
+    // Language of the messages in the code, used when nothing else matches
+    defaultLocale: 'en',
+    supportedLocales: ['en', 'es'],
+    path: 'locales/',
+    storageKey: 'thermocool-locale'
+  };
+
+  // English message templates keyed by message key, the source of every translation
+  const sourceMessages = new Map();
+
+  // Compiled matchers of templates with placeholders, rebuilt when messages are added
+  let templateMatchers = null;
+
+  // Translations keyed by locale: { messages, terms, page }
+  const translations = {};
+
+  // Original copy of translated elements, restored in the page's own language
+  const originalCopy = new WeakMap();
+
+  // Language the page is written in
+  const pageLocale = getPrimaryLanguage(document.documentElement.lang) || LOCALE_CONFIG.defaultLocale;
+
+  let currentLocale = pageLocale;
+
+  /**
+   * Reduces a language tag to its primary language, e.g. "es-MX" to "es"
+   * @param {string} tag - Language tag
+   * @returns {string} Lower-case primary language, or an empty string
+   */
+  function getPrimaryLanguage(tag) {
+    return String(tag || '').split('-')[0].toLowerCase();
+  }
+
+  /**
+   * Checks whether a locale needs a translation file, because the page copy
+   * or the messages are written in another language
+   * @param {string} locale - Locale code
+   * @returns {boolean} True unless both are already in that language
+   */
+  function needsTranslations(locale) {
+    return locale !== pageLocale || locale !== LOCALE_CONFIG.defaultLocale;
+  }
+
+  /**
+   * Registers English messages that can be translated
+   * @param {Object} messages - Message templates keyed by message key
+   */
+  function defineMessages(messages) {
+    Object.keys(messages).forEach(function(key) {
+      sourceMessages.set(key, messages[key]);
+    });
+    templateMatchers = null;
+  }
+
+  /**
+   * Adds or replaces the translations of a locale
+   * @param {string} locale - Locale code
+   * @param {Object} catalog - `{ messages, terms, page }`, each keyed by key or English text
+   */
+  function addTranslations(locale, catalog) {
+    translations[locale] = {
+      messages: catalog.messages || {},
+      terms: catalog.terms || {},
+      page: catalog.page || {}
+    };
+  }
+
+  /**
+   * Builds matchers for the registered templates that have placeholders
+   * @returns {Object[]} `{ key, pattern, names }` for each template
+   */
+  function getTemplateMatchers() {
+    if (!templateMatchers) {
+      templateMatchers = [];
+
+      sourceMessages.forEach(function(template, key) {
+        const names = [];
+        const source = template.split(/\{(\w+)\}/).map(function(part, index) {
+          if (index % 2 === 1) {
+            names.push(part);
+            return '(.+?)';
+          }
+          return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+
+        if (names.length > 0) {
+          templateMatchers.push({ key: key, pattern: new RegExp(`^${source}$`), names: names });
+        }
+      });
+    }
+
+    return templateMatchers;
+  }
+
+  /**
+   * Finds the key and placeholder values of an English message
+   * @param {string} message - English message
+   * @returns {Object|null} `{ key, values }`, or null if the message is not registered
+   */
+  function findMessage(message) {
+    for (const [key, template] of sourceMessages) {
+      if (template === message) {
+        return { key: key, values: {} };
+      }
+    }
+
+    for (const matcher of getTemplateMatchers()) {
+      const match = matcher.pattern.exec(message);
+
+      if (match) {
+        const values = {};
+        matcher.names.forEach(function(name, index) {
+          values[name] = match[index + 1];
+        });
+        return { key: matcher.key, values: values };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Translates an English message into a locale
+   * @param {string} message - English message, as shown by the validation rules
+   * @param {string} [locale] - Locale code, the current locale by default
+   * @returns {string} The translated message, or the message unchanged if it has no translation
+   */
+  function translate(message, locale = currentLocale) {
+    const catalog = translations[locale];
+
+    if (!message || !catalog) {
+      return message;
+    }
+
+    const found = findMessage(message);
+
+    if (!found || !catalog.messages[found.key]) {
+      return message;
+    }
+
+    // Interpolated values such as country names have translations of their own
+    const values = {};
+    Object.keys(found.values).forEach(function(name) {
+      const value = found.values[name];
+      values[name] = catalog.terms[value] || value;
+    });
+
+    return ValidationRules.formatMessage(catalog.messages[found.key], values);
+  }
+
+  /**
+   * Returns a registered message in the current locale
+   * @param {string} key - Message key
+   * @param {Object} [values] - Placeholder values
+   * @returns {string} The formatted message, or the key if it is not registered
+   */
+  function getMessage(key, values = {}) {
+    const catalog = translations[currentLocale];
+    const template = (catalog && catalog.messages[key]) || sourceMessages.get(key);
+
+    return template === undefined ? key : ValidationRules.formatMessage(template, values);
+  }
+
+  /**
+   * Reads the `attribute:key` pairs of an element
+   * @param {HTMLElement} element - Element with a data-i18n-attr attribute
+   * @returns {Object[]} `{ attribute, key }` pairs
+   */
+  function getAttributeKeys(element) {
+    return (element.dataset.i18nAttr || '').split(/\s+/).filter(Boolean).map(function(pair) {
+      const separator = pair.indexOf(':');
+      return { attribute: pair.slice(0, separator), key: pair.slice(separator + 1) };
+    });
+  }
+
+  /**
+   * Swaps the marked page copy into the current locale
+   * @param {ParentNode} [root=document] - Subtree to translate
+   */
+  function translatePage(root = document) {
+    const catalog = currentLocale === pageLocale ? null : translations[currentLocale];
+    const page = catalog ? catalog.page : {};
+
+    root.querySelectorAll('[data-i18n], [data-i18n-attr]').forEach(function(element) {
+      if (!originalCopy.has(element)) {
+        const attributes = {};
+        getAttributeKeys(element).forEach(function(pair) {
+          attributes[pair.attribute] = element.getAttribute(pair.attribute);
+        });
+        originalCopy.set(element, { text: element.textContent, attributes: attributes });
+      }
+
+      const original = originalCopy.get(element);
+
+      if (element.dataset.i18n) {
+        element.textContent = page[element.dataset.i18n] || original.text;
+      }
+
+      getAttributeKeys(element).forEach(function(pair) {
+        const value = page[pair.key] || original.attributes[pair.attribute];
+        if (value !== null && value !== undefined) {
+          element.setAttribute(pair.attribute, value);
+        }
+      });
+    });
+  }
+
+  /**
+   * Fetches the translation file of a locale
+   * @param {string} locale - Locale code
+   * @returns {Promise<void>} Resolves once the translations are added
+   */
+  async function loadTranslations(locale) {
+    const response = await fetch(`${LOCALE_CONFIG.path}${locale}.json`);
+
+    if (!response.ok) {
+      throw new Error(`Translations for "${locale}" could not be loaded (${response.status})`);
+    }
+
+    addTranslations(locale, await response.json());
+  }
+
+  /**
+   * Reads the locale the visitor chose last time
+   * @returns {string|null} The stored locale, or null
+   */
+  function getStoredLocale() {
+    try {
+      return window.localStorage.getItem(LOCALE_CONFIG.storageKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Remembers the visitor's locale
+   * @param {string} locale - Locale code
+   */
+  function storeLocale(locale) {
+    try {
+      window.localStorage.setItem(LOCALE_CONFIG.storageKey, locale);
+    } catch (error) {
+      // Storage is unavailable (private mode, quota); the choice lasts for this page only
+    }
+  }
+
+  /**
+   * Detects the locale to use: the stored choice, then `<html lang>`
+   * @returns {string} A supported locale code
+   */
+  function detectLocale() {
+    const candidates = [getStoredLocale(), pageLocale, LOCALE_CONFIG.defaultLocale];
+
+    return candidates.map(getPrimaryLanguage).find(function(locale) {
+      return LOCALE_CONFIG.supportedLocales.includes(locale);
+    }) || LOCALE_CONFIG.defaultLocale;
+  }
+
+  /**
+   * Marks the active language in every language switcher
+   */
+  function updateSwitchers() {
+    document.querySelectorAll('[data-locale]').forEach(function(button) {
+      button.setAttribute('aria-pressed', String(button.dataset.locale === currentLocale));
+    });
+  }
+
+  /**
+   * Switches the page and its messages to a locale
+   * @param {string} locale - Locale code
+   * @returns {Promise<string>} The new locale
+   */
+  async function setLocale(locale) {
+    const code = getPrimaryLanguage(locale);
+
+    if (!LOCALE_CONFIG.supportedLocales.includes(code)) {
+      throw new RangeError(`Unsupported locale: ${locale}`);
+    }
+
+    if (needsTranslations(code) && !translations[code]) {
+      await loadTranslations(code);
+    }
+
+    currentLocale = code;
+    document.documentElement.lang = code;
+    translatePage(document);
+    updateSwitchers();
+    storeLocale(code);
+
+    document.dispatchEvent(new window.CustomEvent('thermocool:locale-change', {
+      detail: { locale: code }
+    }));
+
+    return code;
+  }
+
+  /**
+   * Returns the current locale
+   * @returns {string} Locale code
+   */
+  function getLocale() {
+    return currentLocale;
+  }
+
+  /**
+   * Switches to a locale from the page, logging failures instead of throwing
+   * @param {string} locale - Locale code
+   */
+  function switchLocale(locale) {
+    setLocale(locale).catch(function(error) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn('Language could not be changed:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Wires the language switchers and applies the detected locale
+   */
+  function initLocalization() {
+    document.querySelectorAll('[data-locale]').forEach(function(button) {
+      button.addEventListener('click', function() {
+        switchLocale(button.dataset.locale);
+      });
+    });
+
+    // The switchers only work with JavaScript
+    document.querySelectorAll('.language-switcher').forEach(function(switcher) {
+      switcher.hidden = false;
+    });
+
+    updateSwitchers();
+
+    const locale = detectLocale();
+
+    if (needsTranslations(locale)) {
+      switchLocale(locale);
+    }
+  }
+
+  defineMessages(ValidationRules.ERROR_MESSAGES);
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initLocalization);
+  } else {
+    initLocalization();
+  }
+
+  const api = {
+    config: LOCALE_CONFIG,
+    defineMessages,
+    addTranslations,
+    translate,
+    getMessage,
+    translatePage,
+    detectLocale,
+    setLocale,
+    getLocale
+  };
+
+  window.ThermoCoolI18n = api;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
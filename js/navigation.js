@@ -546,8 +546,10 @@
     init();
   }
 
+  window.ThermoCoolNavigation = { init, smoothScrollTo };
+
   if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { init };
+    module.exports = { init, smoothScrollTo };
   }
 
 })();
\ No newline at end of file
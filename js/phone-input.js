@@ -0,0 +1,133 @@
+/**
+ * Phone Input Module
+ *
+ * Formats phone inputs as they are typed, for the country chosen in a
+ * companion select. Enhances every `input[type="tel"][data-country-field]`,
+ * where the attribute names the country select of the same form:
+ *
+ *   <select name="phoneCountry">…</select>
+ *   <input type="tel" name="phone" data-country-field="phoneCountry">
+ *
+ * Formatting only runs while typing forward and on blur, so deleting a
+ * separator never fights the user. Validation and E.164 normalization are
+ * done by the phone rule in js/validation-rules.js.
+ *
+ * @module phone-input
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const isCommonJs = typeof module !== 'undefined' && module.exports;
+  const PhoneNumbers = isCommonJs ? require('./phone-numbers.js') : window.ThermoCoolPhoneNumbers;
+
+  /**
+   * Counts the characters of a phone number that carry meaning (digits and +)
+   * @param {string} text - Text to count
+   * @returns {number} Number of digits and plus signs
+   */
+  function countSignificant(text) {
+    return text.replace(/[^\d+]/g, '').length;
+  }
+
+  /**
+   * Reformats an input, keeping the caret after the same digit
+   * @param {HTMLInputElement} input - The phone input
+   * @param {string} countryCode - Selected country code
+   */
+  function formatInput(input, countryCode) {
+    const formatted = PhoneNumbers.formatAsYouType(input.value, countryCode);
+
+    if (formatted === input.value) {
+      return;
+    }
+
+    const caret = input.selectionStart === null ? input.value.length : input.selectionStart;
+    const significantBeforeCaret = countSignificant(input.value.slice(0, caret));
+    let position = 0;
+    let seen = 0;
+
+    while (position < formatted.length && seen < significantBeforeCaret) {
+      if (/[\d+]/.test(formatted[position])) {
+        seen += 1;
+      }
+      position += 1;
+    }
+
+    input.value = formatted;
+
+    if (document.activeElement === input) {
+      input.setSelectionRange(position, position);
+    }
+  }
+
+  /**
+   * Formats a phone input for the country chosen in a select
+   * @param {HTMLInputElement} input - The phone input
+   * @param {HTMLSelectElement} countrySelect - The country select
+   * @returns {Function} Function removing the listeners
+   */
+  function attach(input, countrySelect) {
+    const updatePlaceholder = function() {
+      input.placeholder = PhoneNumbers.getExampleNumber(countrySelect.value);
+    };
+
+    const onInput = function(event) {
+      if (event.inputType && event.inputType.startsWith('delete')) {
+        return;
+      }
+      formatInput(input, countrySelect.value);
+    };
+
+    const onBlur = function() {
+      formatInput(input, countrySelect.value);
+    };
+
+    const onCountryChange = function() {
+      updatePlaceholder();
+      formatInput(input, countrySelect.value);
+    };
+
+    input.addEventListener('input', onInput);
+    input.addEventListener('blur', onBlur);
+    countrySelect.addEventListener('change', onCountryChange);
+    updatePlaceholder();
+
+    return function detach() {
+      input.removeEventListener('input', onInput);
+      input.removeEventListener('blur', onBlur);
+      countrySelect.removeEventListener('change', onCountryChange);
+    };
+  }
+
+  /**
+   * Enhances every phone input that names its country select
+   */
+  function initPhoneInputs() {
+    document.querySelectorAll('input[type="tel"][data-country-field]').forEach(function(input) {
+      const countrySelect = input.form && input.form.elements.namedItem(input.dataset.countryField);
+
+      if (countrySelect) {
+        attach(input, countrySelect);
+      }
+    });
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initPhoneInputs);
+  } else {
+    initPhoneInputs();
+  }
+
+  const api = {
+    attach
+  };
+
+  window.ThermoCoolPhoneInput = api;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
@@ -0,0 +1,306 @@
+/**
+ * Phone Numbers Module
+ *
+ * Country-aware phone number parsing, validation, formatting and E.164
+ * normalization from an embedded metadata table, with no network dependency.
+ * Shared by the contact form in the browser and by the local backend.
+ *
+ * Numbers typed with a leading `+` are matched on their calling code; other
+ * numbers are read as national numbers of the selected country. The "other"
+ * country accepts any international number written with its calling code.
+ *
+ * @module phone-numbers
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  // Characters allowed in a phone number: an optional leading + then digits and separators
+  const PHONE_CHARACTERS = /^\+?[\d\s\-().]*$/;
+
+  // North American Numbering Plan: area code and exchange can't start with 0 or 1, or be N11
+  const NANP_PATTERN = /^(?![2-9]11)[2-9]\d{2}(?![2-9]11)[2-9]\d{6}$/;
+
+  /**
+   * Phone metadata keyed by ISO 3166-1 country code.
+   * `prefixes` are dialled before the national number but not part of it
+   * (the NANP trunk prefix 1, the former Mexican mobile prefix 1); `formats`
+   * are tried in order and use X as a digit placeholder.
+   * @type {Object}
+   */
+  const PHONE_METADATA = Object.freeze({
+    US: {
+      name: 'United States',
+      callingCode: '1',
+      prefixes: ['1'],
+      length: 10,
+      pattern: NANP_PATTERN,
+      formats: [{ template: '(XXX) XXX-XXXX' }],
+      example: '2015550123'
+    },
+    CA: {
+      name: 'Canada',
+      callingCode: '1',
+      prefixes: ['1'],
+      length: 10,
+      pattern: NANP_PATTERN,
+      formats: [{ template: '(XXX) XXX-XXXX' }],
+      example: '6135550123'
+    },
+    MX: {
+      name: 'Mexico',
+      callingCode: '52',
+      prefixes: ['1'],
+      length: 10,
+      pattern: /^[2-9]\d{9}$/,
+      formats: [
+        { leadingDigits: /^(?:33|55|81)/, template: 'XX XXXX XXXX' },
+        { template: 'XXX XXX XXXX' }
+      ],
+      example: '5512345678'
+    }
+  });
+
+  // Country code for numbers from any other country, entered with their calling code
+  const OTHER_COUNTRY = 'other';
+
+  // E.164 limits for numbers outside the metadata table
+  const E164_MIN_DIGITS = 8;
+  const E164_MAX_DIGITS = 15;
+
+  /**
+   * Strips a dialled prefix from a national number that is one prefix too long
+   * @param {string} digits - Digits of the number
+   * @param {Object} metadata - Country metadata
+   * @returns {string} The national number
+   */
+  function stripPrefix(digits, metadata) {
+    const prefix = metadata.prefixes.find(candidate =>
+      digits.length === metadata.length + candidate.length && digits.startsWith(candidate)
+    );
+
+    return prefix ? digits.slice(prefix.length) : digits;
+  }
+
+  /**
+   * Finds the country of an international number from its calling code
+   * @param {string} digits - Digits after the +
+   * @param {string} [preferredCountry] - Country to prefer when several share the calling code
+   * @returns {string|null} Country code, or null if the calling code is not in the table
+   */
+  function findCountryByCallingCode(digits, preferredCountry) {
+    const matches = Object.keys(PHONE_METADATA).filter(code =>
+      digits.startsWith(PHONE_METADATA[code].callingCode)
+    );
+
+    if (matches.length === 0) {
+      return null;
+    }
+
+    return matches.includes(preferredCountry) ? preferredCountry : matches[0];
+  }
+
+  /**
+   * Parses a phone number
+   * @param {string} value - Phone number as typed
+   * @param {string} countryCode - Selected country code, or "other"
+   * @returns {Object|null} `{ country, nationalNumber, digits, international }`, or null
+   *   if the value contains characters a phone number can't have
+   */
+  function parsePhoneNumber(value, countryCode) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+
+    if (!PHONE_CHARACTERS.test(text)) {
+      return null;
+    }
+
+    const digits = text.replace(/\D/g, '');
+
+    if (text.startsWith('+')) {
+      const country = findCountryByCallingCode(digits, countryCode);
+
+      if (!country) {
+        return { country: null, nationalNumber: null, digits: digits, international: true };
+      }
+
+      const metadata = PHONE_METADATA[country];
+
+      return {
+        country: country,
+        nationalNumber: stripPrefix(digits.slice(metadata.callingCode.length), metadata),
+        digits: digits,
+        international: true
+      };
+    }
+
+    const metadata = PHONE_METADATA[countryCode];
+
+    return {
+      country: metadata ? countryCode : null,
+      nationalNumber: metadata ? stripPrefix(digits, metadata) : null,
+      digits: digits,
+      international: false
+    };
+  }
+
+  /**
+   * Validates a phone number for a country
+   * @param {string} value - Phone number as typed
+   * @param {string} countryCode - Selected country code, or "other"
+   * @returns {Object} `{ isValid, reason, country }` where reason is one of invalid,
+   *   too-short, too-long, country-code-required or null
+   */
+  function validatePhoneNumber(value, countryCode) {
+    const parsed = parsePhoneNumber(value, countryCode);
+
+    if (!parsed) {
+      return { isValid: false, reason: 'invalid', country: null };
+    }
+
+    if (!parsed.country) {
+      if (!parsed.international) {
+        return { isValid: false, reason: 'country-code-required', country: null };
+      }
+
+      const isValidLength = parsed.digits.length >= E164_MIN_DIGITS && parsed.digits.length <= E164_MAX_DIGITS;
+
+      return { isValid: isValidLength, reason: isValidLength ? null : 'invalid', country: null };
+    }
+
+    const metadata = PHONE_METADATA[parsed.country];
+    const nationalNumber = parsed.nationalNumber;
+    let reason = null;
+
+    if (nationalNumber.length < metadata.length) {
+      reason = 'too-short';
+    } else if (nationalNumber.length > metadata.length) {
+      reason = 'too-long';
+    } else if (!metadata.pattern.test(nationalNumber) || /^(\d)\1+$/.test(nationalNumber)) {
+      reason = 'invalid';
+    }
+
+    return { isValid: reason === null, reason: reason, country: parsed.country };
+  }
+
+  /**
+   * Normalizes a valid phone number to E.164
+   * @param {string} value - Phone number as typed
+   * @param {string} countryCode - Selected country code, or "other"
+   * @returns {string|null} The number as +<calling code><national number>, or null if invalid
+   */
+  function toE164(value, countryCode) {
+    if (!validatePhoneNumber(value, countryCode).isValid) {
+      return null;
+    }
+
+    const parsed = parsePhoneNumber(value, countryCode);
+
+    if (!parsed.country) {
+      return `+${parsed.digits}`;
+    }
+
+    return `+${PHONE_METADATA[parsed.country].callingCode}${parsed.nationalNumber}`;
+  }
+
+  /**
+   * Fills digits into a format template, stopping at the last digit
+   * @param {string} digits - Digits to place
+   * @param {string} template - Template using X for digits
+   * @returns {string} The formatted digits, with any digits beyond the template appended
+   */
+  function applyTemplate(digits, template) {
+    let result = '';
+    let index = 0;
+
+    for (const character of template) {
+      if (index >= digits.length) {
+        break;
+      }
+
+      if (character === 'X') {
+        result += digits[index];
+        index += 1;
+      } else {
+        result += character;
+      }
+    }
+
+    return result + digits.slice(index);
+  }
+
+  /**
+   * Formats a national number with the first matching format of its country
+   * @param {string} digits - National number digits, possibly incomplete
+   * @param {Object} metadata - Country metadata
+   * @returns {string} The formatted number
+   */
+  function formatNationalNumber(digits, metadata) {
+    const format = metadata.formats.find(candidate =>
+      !candidate.leadingDigits || candidate.leadingDigits.test(digits)
+    );
+
+    return applyTemplate(digits, format.template);
+  }
+
+  /**
+   * Formats a phone number as it is being typed
+   * @param {string} value - Phone number as typed
+   * @param {string} countryCode - Selected country code, or "other"
+   * @returns {string} The formatted number, or the value unchanged if it can't be formatted
+   */
+  function formatAsYouType(value, countryCode) {
+    const parsed = parsePhoneNumber(value, countryCode);
+
+    if (!parsed || !parsed.digits) {
+      return String(value || '');
+    }
+
+    if (!parsed.country) {
+      return parsed.international ? `+${parsed.digits}` : String(value);
+    }
+
+    const metadata = PHONE_METADATA[parsed.country];
+    let rest = parsed.international ? parsed.digits.slice(metadata.callingCode.length) : parsed.digits;
+    let lead = parsed.international ? `+${metadata.callingCode} ` : '';
+
+    // National numbers never start with a dialled prefix, so a leading prefix is one
+    const prefix = metadata.prefixes.find(candidate => rest.startsWith(candidate));
+
+    if (prefix) {
+      lead += `${prefix} `;
+      rest = rest.slice(prefix.length);
+    }
+
+    return (lead + formatNationalNumber(rest, metadata)).trim();
+  }
+
+  /**
+   * Returns an example number for a country, formatted for display
+   * @param {string} countryCode - Country code
+   * @returns {string} Example number, or an international example for other countries
+   */
+  function getExampleNumber(countryCode) {
+    const metadata = PHONE_METADATA[countryCode];
+
+    return metadata ? formatNationalNumber(metadata.example, metadata) : '+44 20 7946 0958';
+  }
+
+  const api = {
+    PHONE_METADATA,
+    OTHER_COUNTRY,
+    parsePhoneNumber,
+    validatePhoneNumber,
+    toE164,
+    formatAsYouType,
+    getExampleNumber
+  };
+
+  if (typeof window !== 'undefined') {
+    window.ThermoCoolPhoneNumbers = api;
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
@@ -0,0 +1,192 @@
+/**
+ * Service Area Checker Module
+ *
+ * Tells visitors whether we serve their ZIP code, using js/service-area.js:
+ * - Below every `input[data-service-area-field]`, once a ZIP code is entered
+ *   (on blur). This never blocks submission; the server flags leads from
+ *   outside the area instead.
+ * - In every standalone `form[data-service-area-checker]` widget, holding a
+ *   ZIP input, a submit button and an empty `.service-area-result` live
+ *   region. Widgets are hidden in the markup and shown here, as they need
+ *   JavaScript.
+ *
+ * @module service-area-checker
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const isCommonJs = typeof module !== 'undefined' && module.exports;
+  const ServiceArea = isCommonJs ? require('./service-area.js') : window.ThermoCoolServiceArea;
+  const I18n = isCommonJs ? require('./i18n.js') : window.ThermoCoolI18n;
+
+  // Check results
+  const SERVICE_AREA_MESSAGES = Object.freeze({
+    SERVICE_AREA_IN: 'Good news: we serve {zip}',
+    SERVICE_AREA_OUT: '{zip} is about {distance} km away, outside our {radius} km service area. You can still send a request and we will let you know if we can help.',
+    SERVICE_AREA_UNKNOWN: 'We could not look up {zip}. We will confirm that we cover your area when we contact you.'
+  });
+
+  I18n.defineMessages(SERVICE_AREA_MESSAGES);
+
+  /**
+   * Describes the result of a ZIP code check in the current locale
+   * @param {Object|null} result - Result of ServiceArea.checkZip()
+   * @returns {string} The result text
+   */
+  function describeResult(result) {
+    if (!result) {
+      return I18n.getMessage('ZIP_INVALID');
+    }
+
+    if (result.status === 'in-area') {
+      return I18n.getMessage('SERVICE_AREA_IN', { zip: result.zip });
+    }
+
+    if (result.status === 'out-of-area') {
+      return I18n.getMessage('SERVICE_AREA_OUT', {
+        zip: result.zip,
+        distance: Math.round(result.distanceKm),
+        radius: Math.round(ServiceArea.getServiceArea().radiusKm)
+      });
+    }
+
+    return I18n.getMessage('SERVICE_AREA_UNKNOWN', { zip: result.zip });
+  }
+
+  /**
+   * Shows the result of a check in a result element
+   * @param {HTMLElement} resultElement - Element showing the result
+   * @param {Object|null} result - Result of ServiceArea.checkZip()
+   */
+  function showResult(resultElement, result) {
+    resultElement.textContent = describeResult(result);
+    resultElement.dataset.status = result ? result.status : 'invalid';
+    resultElement.hidden = false;
+  }
+
+  /**
+   * Finds or creates the result element of a form field
+   * @param {HTMLInputElement} input - The ZIP input
+   * @returns {HTMLElement} The result element
+   */
+  function getResultElement(input) {
+    const fieldContainer = input.closest('.form-group') || input.parentElement;
+    let resultElement = fieldContainer.querySelector('.service-area-result');
+
+    if (!resultElement) {
+      resultElement = document.createElement('p');
+      resultElement.className = 'service-area-result';
+      resultElement.setAttribute('role', 'status');
+      resultElement.setAttribute('aria-live', 'polite');
+      resultElement.hidden = true;
+      input.insertAdjacentElement('afterend', resultElement);
+    }
+
+    return resultElement;
+  }
+
+  /**
+   * Reports the service area of the ZIP code entered in a form field
+   * @param {HTMLInputElement} input - The ZIP input
+   * @returns {Function} Function removing the listeners
+   */
+  function attachField(input) {
+    const resultElement = getResultElement(input);
+
+    const onBlur = function() {
+      const result = ServiceArea.checkZip(input.value);
+
+      // Malformed ZIP codes are reported by validation
+      if (result) {
+        showResult(resultElement, result);
+      } else {
+        resultElement.hidden = true;
+      }
+    };
+
+    const onInput = function() {
+      resultElement.hidden = true;
+    };
+
+    const onLocaleChange = function() {
+      if (!resultElement.hidden) {
+        onBlur();
+      }
+    };
+
+    input.addEventListener('blur', onBlur);
+    input.addEventListener('input', onInput);
+    document.addEventListener('thermocool:locale-change', onLocaleChange);
+
+    return function detach() {
+      input.removeEventListener('blur', onBlur);
+      input.removeEventListener('input', onInput);
+      document.removeEventListener('thermocool:locale-change', onLocaleChange);
+      resultElement.hidden = true;
+    };
+  }
+
+  /**
+   * Runs a standalone checker widget
+   * @param {HTMLFormElement} widget - Form with a ZIP input and a .service-area-result element
+   * @returns {Function} Function removing the listeners
+   */
+  function attachWidget(widget) {
+    const input = widget.querySelector('input');
+    const resultElement = widget.querySelector('.service-area-result');
+
+    const onSubmit = function(event) {
+      event.preventDefault();
+      showResult(resultElement, ServiceArea.checkZip(input.value));
+    };
+
+    const onLocaleChange = function() {
+      if (resultElement.textContent) {
+        showResult(resultElement, ServiceArea.checkZip(input.value));
+      }
+    };
+
+    widget.addEventListener('submit', onSubmit);
+    document.addEventListener('thermocool:locale-change', onLocaleChange);
+    widget.hidden = false;
+
+    return function detach() {
+      widget.removeEventListener('submit', onSubmit);
+      document.removeEventListener('thermocool:locale-change', onLocaleChange);
+    };
+  }
+
+  /**
+   * Enhances every ZIP field and checker widget
+   */
+  function initServiceAreaCheckers() {
+    document.querySelectorAll('input[data-service-area-field]').forEach(function(input) {
+      attachField(input);
+    });
+
+    document.querySelectorAll('form[data-service-area-checker]').forEach(function(widget) {
+      attachWidget(widget);
+    });
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initServiceAreaCheckers);
+  } else {
+    initServiceAreaCheckers();
+  }
+
+  const api = {
+    attachField,
+    attachWidget,
+    describeResult
+  };
+
+  window.ThermoCoolServiceAreaChecker = api;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
@@ -0,0 +1,244 @@
+/**
+ * Service Area Module
+ *
+ * Checks whether a ZIP code is within the area we serve, for the contact form
+ * in the browser and for the local backend:
+ * - The area is the `areaServed` GeoCircle of the page's JSON-LD: a
+ *   `geoMidpoint` and a `geoRadius`
+ * - ZIP codes are located with a bundled table of ZIP centroids, so no
+ *   network lookup is needed. ZIP codes missing from the table are reported
+ *   as unknown rather than out of area.
+ * - Distances are great-circle distances from the centroid to the midpoint
+ * - Only US ZIP and ZIP+4 codes are covered, the formats the ZIP code field
+ *   accepts. Other postal codes, such as Canadian ones, are not checked.
+ *
+ * @module service-area
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  // Mean radius of the Earth in kilometers
+  const EARTH_RADIUS_KM = 6371;
+
+  // Latitude and longitude of ZIP code centroids in and around the service area
+  const ZIP_CENTROIDS = Object.freeze({
+    // Manhattan
+    '10001': [40.7506, -73.9972], '10002': [40.7157, -73.9863], '10003': [40.7317, -73.9892],
+    '10004': [40.7034, -74.0124], '10005': [40.7060, -74.0088], '10006': [40.7097, -74.0130],
+    '10007': [40.7139, -74.0079], '10009': [40.7264, -73.9788], '10010': [40.7390, -73.9826],
+    '10011': [40.7418, -74.0002], '10012': [40.7258, -73.9981], '10013': [40.7201, -74.0049],
+    '10014': [40.7340, -74.0067], '10016': [40.7452, -73.9782], '10017': [40.7524, -73.9726],
+    '10018': [40.7553, -73.9932], '10019': [40.7657, -73.9860], '10021': [40.7696, -73.9587],
+    '10022': [40.7585, -73.9680], '10023': [40.7760, -73.9827], '10024': [40.7986, -73.9741],
+    '10025': [40.7985, -73.9668], '10026': [40.8024, -73.9529], '10027': [40.8115, -73.9531],
+    '10028': [40.7764, -73.9532], '10029': [40.7918, -73.9443], '10030': [40.8183, -73.9427],
+    '10031': [40.8255, -73.9496], '10032': [40.8389, -73.9426], '10033': [40.8505, -73.9340],
+    '10034': [40.8676, -73.9223], '10036': [40.7592, -73.9896], '10038': [40.7093, -74.0023],
+    '10040': [40.8583, -73.9298], '10128': [40.7813, -73.9500], '10280': [40.7085, -74.0166],
+    // Bronx
+    '10451': [40.8205, -73.9231], '10452': [40.8375, -73.9235], '10453': [40.8528, -73.9128],
+    '10456': [40.8302, -73.9083], '10458': [40.8623, -73.8880], '10461': [40.8475, -73.8404],
+    '10462': [40.8433, -73.8600], '10463': [40.8803, -73.9069], '10467': [40.8734, -73.8713],
+    '10469': [40.8681, -73.8480], '10471': [40.9001, -73.9049],
+    // Brooklyn
+    '11201': [40.6945, -73.9897], '11205': [40.6943, -73.9661], '11206': [40.7018, -73.9421],
+    '11207': [40.6705, -73.8938], '11209': [40.6219, -74.0300], '11211': [40.7120, -73.9532],
+    '11214': [40.5988, -73.9964], '11215': [40.6628, -73.9860], '11216': [40.6808, -73.9493],
+    '11217': [40.6823, -73.9785], '11218': [40.6433, -73.9763], '11220': [40.6411, -74.0166],
+    '11222': [40.7272, -73.9485], '11223': [40.5974, -73.9730], '11224': [40.5772, -73.9887],
+    '11226': [40.6466, -73.9567], '11229': [40.6011, -73.9443], '11230': [40.6222, -73.9652],
+    '11231': [40.6777, -74.0052], '11234': [40.6058, -73.9143], '11235': [40.5839, -73.9496],
+    '11238': [40.6793, -73.9636],
+    // Queens
+    '11101': [40.7472, -73.9393], '11354': [40.7688, -73.8272], '11355': [40.7513, -73.8211],
+    '11361': [40.7644, -73.7727], '11364': [40.7451, -73.7586], '11368': [40.7475, -73.8628],
+    '11372': [40.7519, -73.8827], '11373': [40.7389, -73.8783], '11375': [40.7209, -73.8465],
+    '11377': [40.7447, -73.9055], '11385': [40.7003, -73.8895], '11411': [40.6947, -73.7365],
+    '11432': [40.7152, -73.7935], '11434': [40.6772, -73.7763], '11691': [40.6016, -73.7622],
+    // Staten Island
+    '10301': [40.6316, -74.0926], '10304': [40.6093, -74.0878], '10306': [40.5711, -74.1281],
+    '10309': [40.5304, -74.2189], '10314': [40.5995, -74.1654],
+    // Long Island
+    '11501': [40.7466, -73.6387], '11550': [40.7024, -73.6174], '11590': [40.7550, -73.5730],
+    '11753': [40.7883, -73.5388], '11747': [40.7935, -73.4125], '11706': [40.7240, -73.2539],
+    '11901': [40.9256, -72.6517], '11968': [40.9042, -72.4107],
+    // Westchester and the Hudson Valley
+    '10701': [40.9436, -73.8797], '10801': [40.9166, -73.7844], '10601': [41.0335, -73.7650],
+    '10591': [41.0826, -73.8490], '10566': [41.2896, -73.9179], '12601': [41.7004, -73.9210],
+    // Connecticut
+    '06830': [41.0387, -73.6311], '06901': [41.0535, -73.5390], '06850': [41.1224, -73.4359],
+    '06604': [41.1793, -73.2036], '06510': [41.3083, -72.9261],
+    // New Jersey
+    '07030': [40.7449, -74.0324], '07302': [40.7197, -74.0469], '07306': [40.7323, -74.0659],
+    '07102': [40.7357, -74.1724], '07601': [40.8881, -74.0455], '07024': [40.8508, -73.9703],
+    '07050': [40.7684, -74.2348], '07201': [40.6722, -74.2043], '07052': [40.7880, -74.2560],
+    '07960': [40.7980, -74.4820], '07901': [40.7151, -74.3647], '08901': [40.4862, -74.4518],
+    '08540': [40.3490, -74.6593], '07728': [40.2260, -74.2945], '07701': [40.3506, -74.0769],
+    '08608': [40.2204, -74.7643], '07470': [40.9480, -74.2454], '07501': [40.9149, -74.1717],
+    '07652': [40.9465, -74.0688],
+    // Pennsylvania and Massachusetts
+    '19103': [39.9526, -75.1740], '18101': [40.6023, -75.4714], '02108': [42.3576, -71.0637]
+  });
+
+  // ZIP and ZIP+4 codes
+  const ZIP_PATTERN = /^(\d{5})(?:-\d{4})?$/;
+
+  // The served circle: midpoint coordinates and radius in kilometers
+  let serviceArea = null;
+
+  /**
+   * Reads a schema.org geoRadius, which is meters unless it names a unit
+   * @param {number|string} radius - Radius, e.g. 50000, "50000" or "50 km"
+   * @returns {number|null} Radius in kilometers, or null if it can't be read
+   */
+  function parseRadius(radius) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(km|mi|m)?\s*$/i.exec(String(radius));
+
+    if (!match) {
+      return null;
+    }
+
+    const unit = (match[2] || 'm').toLowerCase();
+    const factors = { km: 1, mi: 1.609344, m: 0.001 };
+
+    return Number(match[1]) * factors[unit];
+  }
+
+  /**
+   * Finds the served GeoCircle in parsed JSON-LD
+   * @param {*} data - Parsed JSON-LD: an object, an array or a `@graph`
+   * @returns {Object|null} `{ latitude, longitude, radiusKm }`, or null if there is none
+   */
+  function findServiceArea(data) {
+    if (Array.isArray(data)) {
+      return data.reduce((found, item) => found || findServiceArea(item), null);
+    }
+
+    if (!data || typeof data !== 'object') {
+      return null;
+    }
+
+    const area = data.areaServed;
+
+    if (area && area['@type'] === 'GeoCircle' && area.geoMidpoint) {
+      const latitude = Number(area.geoMidpoint.latitude);
+      const longitude = Number(area.geoMidpoint.longitude);
+      const radiusKm = parseRadius(area.geoRadius);
+
+      if (Number.isFinite(latitude) && Number.isFinite(longitude) && radiusKm) {
+        return { latitude: latitude, longitude: longitude, radiusKm: radiusKm };
+      }
+    }
+
+    return Object.keys(data).reduce((found, key) => found || findServiceArea(data[key]), null);
+  }
+
+  /**
+   * Replaces the served area
+   * @param {Object|null} area - `{ latitude, longitude, radiusKm }`, or null if unknown
+   */
+  function setServiceArea(area) {
+    serviceArea = area ? Object.assign({}, area) : null;
+  }
+
+  /**
+   * Returns the served area
+   * @returns {Object|null} `{ latitude, longitude, radiusKm }`, or null if unknown
+   */
+  function getServiceArea() {
+    return serviceArea ? Object.assign({}, serviceArea) : null;
+  }
+
+  /**
+   * Computes the great-circle distance between two points
+   * @param {number} latitude1 - Latitude of the first point in degrees
+   * @param {number} longitude1 - Longitude of the first point in degrees
+   * @param {number} latitude2 - Latitude of the second point in degrees
+   * @param {number} longitude2 - Longitude of the second point in degrees
+   * @returns {number} Distance in kilometers
+   */
+  function getDistanceKm(latitude1, longitude1, latitude2, longitude2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const deltaLatitude = toRadians(latitude2 - latitude1);
+    const deltaLongitude = toRadians(longitude2 - longitude1);
+    const a = Math.sin(deltaLatitude / 2) ** 2 +
+      Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.sin(deltaLongitude / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * Checks whether a ZIP code is in the served area
+   * @param {string} zip - ZIP or ZIP+4 code
+   * @returns {Object|null} `{ zip, status, distanceKm }` where status is 'in-area',
+   *   'out-of-area' or 'unknown' (ZIP not in the table, or no area declared), or null
+   *   if the value is not a US ZIP code
+   */
+  function checkZip(zip) {
+    const match = ZIP_PATTERN.exec(String(zip || '').trim());
+
+    if (!match) {
+      return null;
+    }
+
+    const centroid = ZIP_CENTROIDS[match[1]];
+
+    if (!centroid || !serviceArea) {
+      return { zip: match[1], status: 'unknown', distanceKm: null };
+    }
+
+    const distanceKm = getDistanceKm(serviceArea.latitude, serviceArea.longitude, centroid[0], centroid[1]);
+
+    return {
+      zip: match[1],
+      status: distanceKm <= serviceArea.radiusKm ? 'in-area' : 'out-of-area',
+      distanceKm: Math.round(distanceKm * 10) / 10
+    };
+  }
+
+  /**
+   * Reads the served area from the JSON-LD scripts of a document
+   * @param {Document} root - Document to read
+   * @returns {Object|null} `{ latitude, longitude, radiusKm }`, or null if there is none
+   */
+  function readServiceArea(root) {
+    return Array.from(root.querySelectorAll('script[type="application/ld+json"]')).reduce(function(found, script) {
+      if (found) {
+        return found;
+      }
+
+      try {
+        return findServiceArea(JSON.parse(script.textContent));
+      } catch (error) {
+        if (typeof console !== 'undefined' && console.warn) {
+          console.warn('Structured data could not be read:', error.message);
+        }
+        return null;
+      }
+    }, null);
+  }
+
+  if (typeof document !== 'undefined') {
+    setServiceArea(readServiceArea(document));
+  }
+
+  const api = {
+    ZIP_CENTROIDS,
+    ZIP_PATTERN,
+    findServiceArea,
+    setServiceArea,
+    getServiceArea,
+    getDistanceKm,
+    checkZip
+  };
+
+  if (typeof window !== 'undefined') {
+    window.ThermoCoolServiceArea = api;
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
@@ -0,0 +1,256 @@
+/**
+ * Service Details Module
+ *
+ * Opens the detail dialog of a service when its card is clicked. The dialogs
+ * are generated from the services catalog (server/services-catalog.js), one
+ * `dialog.service-dialog[data-service]` per service:
+ * - Each dialog has its own URL hash, `#services/<id>`, so details can be
+ *   linked to and browser back closes them. A page opened on such a hash
+ *   shows the dialog right away.
+ * - Dialogs are modal: focus stays inside until they are closed with the
+ *   close button, Escape or a click outside, and then returns to the card.
+ * - "Request this service" selects the service in the contact form and
+ *   scrolls there.
+ *
+ * @module service-details
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const isCommonJs = typeof module !== 'undefined' && module.exports;
+  const Forms = isCommonJs ? require('./form-validation.js') : window.ThermoCoolForms;
+
+  /**
+   * Service details configuration
+   * @type {Object}
+   */
+  const DETAILS_CONFIG = {
+    hashPrefix: '#services/',
+    // Hash left in the URL once a dialog is closed
+    closedHash: '#services',
+    requestForm: 'contact-form'
+  };
+
+  /**
+   * Opens a dialog as a modal, or as a plain open dialog where showModal() is missing
+   * @param {HTMLDialogElement} dialog - The dialog
+   */
+  function showDialog(dialog) {
+    if (typeof dialog.showModal === 'function') {
+      dialog.showModal();
+    } else {
+      dialog.setAttribute('open', '');
+      dialog.querySelector('.service-dialog-close').focus();
+    }
+  }
+
+  /**
+   * Closes a dialog opened with showDialog()
+   * @param {HTMLDialogElement} dialog - The dialog
+   */
+  function hideDialog(dialog) {
+    if (typeof dialog.close === 'function') {
+      dialog.close();
+    } else {
+      dialog.removeAttribute('open');
+      dialog.dispatchEvent(new window.Event('close'));
+    }
+  }
+
+  /**
+   * Selects a service in the request form and takes the visitor there
+   * @param {string} service - Service id
+   */
+  function requestService(service) {
+    const form = document.getElementById(DETAILS_CONFIG.requestForm);
+
+    if (!form) {
+      return;
+    }
+
+    const [serviceField] = Forms.prefill(form, { service: service });
+    const target = form.closest('section') || form;
+    const navigation = window.ThermoCoolNavigation;
+
+    if (target.id) {
+      window.history.replaceState(window.history.state, '', `#${target.id}`);
+    }
+
+    if (navigation) {
+      navigation.smoothScrollTo(target);
+    } else if (target.scrollIntoView) {
+      target.scrollIntoView();
+    }
+
+    if (serviceField) {
+      serviceField.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Makes the service cards of a subtree open their detail dialogs
+   * @param {ParentNode} [root=document] - Subtree with the cards and dialogs
+   * @returns {Function} Function removing the listeners
+   */
+  function attach(root = document) {
+    const dialogs = new Map();
+    const cleanups = [];
+    let openDialog = null;
+    let returnFocus = null;
+
+    root.querySelectorAll('dialog.service-dialog[data-service]').forEach(function(dialog) {
+      dialogs.set(dialog.dataset.service, dialog);
+    });
+
+    /**
+     * Adds a listener, removed again on detach
+     * @param {EventTarget} target - Event target
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener
+     */
+    function listen(target, type, listener) {
+      target.addEventListener(type, listener);
+      cleanups.push(() => target.removeEventListener(type, listener));
+    }
+
+    /**
+     * Opens the dialog of a service
+     * @param {string} service - Service id
+     */
+    function open(service) {
+      const dialog = dialogs.get(service);
+
+      if (!dialog || dialog === openDialog) {
+        return;
+      }
+
+      if (openDialog) {
+        const previous = openDialog;
+        openDialog = null;
+        hideDialog(previous);
+      }
+
+      const card = root.querySelector(`.service-card[data-service="${service}"]`);
+      returnFocus = card ? card.querySelector('a') : null;
+      openDialog = dialog;
+      showDialog(dialog);
+    }
+
+    // Opens the dialog named in the URL hash, and closes it when the hash moves on
+    const onHashChange = function() {
+      const hash = window.location.hash;
+
+      if (hash.startsWith(DETAILS_CONFIG.hashPrefix)) {
+        open(hash.slice(DETAILS_CONFIG.hashPrefix.length));
+      } else if (openDialog) {
+        hideDialog(openDialog);
+      }
+    };
+
+    listen(window, 'hashchange', onHashChange);
+
+    root.querySelectorAll('.service-card[data-service]').forEach(function(card) {
+      const hash = DETAILS_CONFIG.hashPrefix + card.dataset.service;
+
+      if (!dialogs.has(card.dataset.service)) {
+        return;
+      }
+
+      // The whole card opens the dialog, not just the link in its heading
+      listen(card, 'click', function(event) {
+        // Let the heading link open in a new tab or window
+        if (event.ctrlKey || event.metaKey || event.shiftKey) {
+          return;
+        }
+
+        event.preventDefault();
+
+        if (window.location.hash !== hash) {
+          window.history.pushState(window.history.state, '', hash);
+        }
+        open(card.dataset.service);
+      });
+    });
+
+    dialogs.forEach(function(dialog, service) {
+      listen(dialog.querySelector('.service-dialog-close'), 'click', function() {
+        hideDialog(dialog);
+      });
+
+      listen(dialog.querySelector('.service-dialog-request'), 'click', function() {
+        returnFocus = null;
+        hideDialog(dialog);
+        requestService(service);
+      });
+
+      // Clicks on the backdrop reach the dialog itself
+      listen(dialog, 'click', function(event) {
+        if (event.target === dialog) {
+          hideDialog(dialog);
+        }
+      });
+
+      // Escape also closes dialogs opened without showModal()
+      listen(dialog, 'keydown', function(event) {
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          hideDialog(dialog);
+        }
+      });
+
+      listen(dialog, 'close', function() {
+        if (openDialog !== dialog) {
+          return;
+        }
+
+        openDialog = null;
+
+        if (window.location.hash === DETAILS_CONFIG.hashPrefix + service) {
+          window.history.replaceState(window.history.state, '', DETAILS_CONFIG.closedHash);
+        }
+        if (returnFocus) {
+          returnFocus.focus();
+          returnFocus = null;
+        }
+      });
+    });
+
+    onHashChange();
+
+    return function detach() {
+      if (openDialog) {
+        hideDialog(openDialog);
+      }
+      cleanups.forEach(cleanup => cleanup());
+    };
+  }
+
+  /**
+   * Enhances the service cards of the page, if it has detail dialogs
+   */
+  function initServiceDetails() {
+    if (document.querySelector('dialog.service-dialog')) {
+      attach(document);
+    }
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initServiceDetails);
+  } else {
+    initServiceDetails();
+  }
+
+  const api = {
+    attach,
+    config: DETAILS_CONFIG
+  };
+
+  window.ThermoCoolServiceDetails = api;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
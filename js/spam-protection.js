@@ -0,0 +1,164 @@
+/**
+ * Spam Protection Module
+ *
+ * Lightweight bot defenses for forms:
+ * - Honeypot field that humans never see or fill in
+ * - Minimum time between the form being initialized and submitted
+ * - Per-browser submission rate limit for each form, stored in localStorage
+ * - Pluggable challenge hook for a proof-of-work or CAPTCHA provider
+ *
+ * Suspected bots are meant to receive a silent fake success so they have no
+ * signal to adapt to; rate-limited visitors get a visible message instead,
+ * since a real customer may simply have sent several requests.
+ *
+ * @module spam-protection
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Spam protection configuration
+   * @type {Object}
+   */
+  const SPAM_CONFIG = {
+    honeypotFieldName: 'company_website',
+    minimumFillTime: 3000,
+    maxSubmissions: 3,
+    rateLimitWindow: 60 * 60 * 1000,
+    rateLimitStorageKey: 'thermocool:submission-log'
+  };
+
+  /**
+   * Protection state
+   * @type {Object}
+   */
+  const state = {
+    startedAt: new WeakMap(),
+    challengeProvider: stubChallengeProvider
+  };
+
+  /**
+   * Local stand-in for a real challenge provider
+   * @returns {Promise<string>} A token the local backend accepts
+   */
+  function stubChallengeProvider() {
+    return Promise.resolve('local-stub');
+  }
+
+  /**
+   * Start protecting a form, recording when it became interactive
+   * @param {HTMLFormElement} form - The form to protect
+   */
+  function protect(form) {
+    state.startedAt.set(form, Date.now());
+  }
+
+  /**
+   * Returns the storage key of a form's submission log. Forms are told apart by
+   * their id or name; forms with neither share one log.
+   * @param {HTMLFormElement} [form] - The form
+   * @returns {string} Storage key
+   */
+  function getRateLimitKey(form) {
+    const formName = form && (form.id || form.getAttribute('name'));
+
+    return formName ? `${SPAM_CONFIG.rateLimitStorageKey}:${formName}` : SPAM_CONFIG.rateLimitStorageKey;
+  }
+
+  /**
+   * Read the timestamps of recent submissions of a form from this browser
+   * @param {HTMLFormElement} [form] - The form
+   * @returns {number[]} Submission timestamps inside the rate limit window
+   */
+  function getRecentSubmissions(form) {
+    let timestamps;
+
+    try {
+      timestamps = JSON.parse(window.localStorage.getItem(getRateLimitKey(form))) || [];
+    } catch (error) {
+      timestamps = [];
+    }
+
+    const windowStart = Date.now() - SPAM_CONFIG.rateLimitWindow;
+
+    return timestamps.filter(timestamp => timestamp > windowStart);
+  }
+
+  /**
+   * Record a submission of a form against its rate limit
+   * @param {HTMLFormElement} [form] - The submitted form
+   */
+  function recordSubmission(form) {
+    const timestamps = getRecentSubmissions(form).concat(Date.now());
+
+    try {
+      window.localStorage.setItem(getRateLimitKey(form), JSON.stringify(timestamps));
+    } catch (error) {
+      // Storage may be full or disabled; the limit simply won't apply
+    }
+  }
+
+  /**
+   * Inspect a form submission for signs of automation
+   * @param {HTMLFormElement} form - The submitted form
+   * @returns {Object} Verdict with isBot, isRateLimited and a reason
+   */
+  function inspect(form) {
+    const honeypot = form.elements.namedItem(SPAM_CONFIG.honeypotFieldName);
+
+    if (honeypot && honeypot.value) {
+      return { isBot: true, isRateLimited: false, reason: 'honeypot' };
+    }
+
+    const startedAt = state.startedAt.get(form);
+
+    if (startedAt !== undefined && Date.now() - startedAt < SPAM_CONFIG.minimumFillTime) {
+      return { isBot: true, isRateLimited: false, reason: 'too-fast' };
+    }
+
+    if (getRecentSubmissions(form).length >= SPAM_CONFIG.maxSubmissions) {
+      return { isBot: false, isRateLimited: true, reason: 'rate-limit' };
+    }
+
+    return { isBot: false, isRateLimited: false, reason: null };
+  }
+
+  /**
+   * Register the challenge provider called before every submission.
+   * The provider receives `{ form, data }` and resolves to a token that is sent
+   * with the submission as `challengeToken`, or null to send none.
+   * @param {Function|null} provider - Challenge provider, or null to restore the local stub
+   */
+  function setChallengeProvider(provider) {
+    state.challengeProvider = typeof provider === 'function' ? provider : stubChallengeProvider;
+  }
+
+  /**
+   * Run the registered challenge provider
+   * @param {HTMLFormElement} form - The submitted form
+   * @param {Object} data - Data about to be submitted
+   * @returns {Promise<string|null>} Challenge token
+   */
+  async function runChallenge(form, data) {
+    const token = await state.challengeProvider({ form, data });
+
+    return token === undefined ? null : token;
+  }
+
+  const api = {
+    protect,
+    inspect,
+    recordSubmission,
+    setChallengeProvider,
+    runChallenge,
+    config: SPAM_CONFIG
+  };
+
+  window.ThermoCoolSpamProtection = api;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
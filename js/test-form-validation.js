@@ -30,11 +30,15 @@ const dom = new JSDOM(`
             <option value="">Select a service</option>
             <option value="web">Web Development</option>
             <option value="mobile">Mobile Development</option>
+            <option value="repair">HVAC Repair</option>
           </select>
         </div>
         <div class="form-group">
           <textarea id="message" name="message"></textarea>
         </div>
+        <div class="form-honeypot" aria-hidden="true">
+          <input type="text" id="company-website" name="company_website" tabindex="-1" autocomplete="off" />
+        </div>
         <button type="submit">Submit</button>
       </form>
     </body>
@@ -49,9 +53,31 @@ global.document = dom.window.document;
 global.window = dom.window;
 global.HTMLElement = dom.window.HTMLElement;
 global.HTMLFormElement = dom.window.HTMLFormElement;
+global.FormData = dom.window.FormData;
+
+/**
+ * Builds a fetch Response carrying a JSON body
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @returns {Response} Fetch response
+ */
+function createJsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Stub the network so submissions resolve immediately
+global.fetch = jest.fn(() => Promise.resolve(createJsonResponse(200, { success: true })));
 
 // Import the module under test
 const formValidation = require('../js/form-validation.js');
+const spamProtection = require('../js/spam-protection.js');
+
+// Let tests submit immediately and repeatedly
+spamProtection.config.minimumFillTime = 0;
+spamProtection.config.maxSubmissions = Infinity;
 
 describe('🎯 Form Validation Module - Unit Tests', () => {
   
@@ -304,6 +330,38 @@ describe('🎯 Form Validation Module - Unit Tests', () => {
         expect(result.error).toBe('Please enter a valid name (letters, spaces, hyphens, and apostrophes only)');
       });
 
+      test('should accept names from any script', () => {
+        const names = [
+          'José García',
+          'Zoe\u0308',
+          'Nguyễn Văn An',
+          'Ólafsson',
+          'O\u2019Brien',
+          "'t Hooft",
+          'Дмитрий Шостакович',
+          '김민준'
+        ];
+
+        names.forEach(name => {
+          expect(validateField({ value: name }, FIELD_RULES.name).isValid).toBe(true);
+        });
+      });
+
+      test('should reject digits, emoji and web addresses', () => {
+        expect(validateField({ value: 'Agent 47' }, FIELD_RULES.name).isValid).toBe(false);
+        expect(validateField({ value: 'Jane 😀' }, FIELD_RULES.name).isValid).toBe(false);
+        expect(validateField({ value: '\u0301Jane' }, FIELD_RULES.name).isValid).toBe(false);
+        expect(validateField({ value: 'cheap-hvac.com' }, FIELD_RULES.name).error)
+          .toBe('Please enter your name rather than a web address');
+        expect(validateField({ value: 'Dr. Smith' }, FIELD_RULES.name).isValid).toBe(true);
+      });
+
+      test('should normalize combining marks and typographic apostrophes', () => {
+        const { normalizeData } = require('../js/validation-rules.js');
+
+        expect(normalizeData({ name: 'Zoe\u0308 O\u2019Brien' }).name).toBe('Zo\u00EB O\'Brien');
+      });
+
       test('should enforce minimum length', () => {
         const field = document.createElement('input');
         field.value = 'J';
@@ -408,6 +466,77 @@ describe('🎯 Form Validation Module - Unit Tests', () => {
     });
   });
 
+  describe('🏷️ Rules From HTML Attributes', () => {
+    const { getFieldRules, validateField } = formValidation;
+
+    test('should derive rules and default messages from attributes', () => {
+      const field = document.createElement('input');
+      field.name = 'referral';
+      field.setAttribute('required', '');
+      field.setAttribute('minlength', '3');
+      field.setAttribute('maxlength', '20');
+
+      const rules = getFieldRules(field);
+
+      field.value = '';
+      expect(validateField(field, rules).error).toBe('This field is required');
+      field.value = 'ab';
+      expect(validateField(field, rules).error).toBe('Please enter at least 3 characters');
+      field.value = 'a'.repeat(21);
+      expect(validateField(field, rules).error).toBe('Please enter no more than 20 characters');
+      field.value = 'Neighbor';
+      expect(validateField(field, rules).isValid).toBe(true);
+    });
+
+    test('should anchor the pattern attribute and use data-error messages', () => {
+      const field = document.createElement('input');
+      field.name = 'zip';
+      field.setAttribute('pattern', '\\d{5}');
+      field.setAttribute('data-error-pattern', 'Please enter a 5-digit ZIP code');
+
+      const rules = getFieldRules(field);
+
+      field.value = '123456';
+      expect(validateField(field, rules).error).toBe('Please enter a 5-digit ZIP code');
+      field.value = '12345';
+      expect(validateField(field, rules).isValid).toBe(true);
+    });
+
+    test('should apply type and numeric range attributes', () => {
+      const field = document.createElement('input');
+      field.type = 'number';
+      field.name = 'lotSize';
+      field.setAttribute('min', '100');
+      field.setAttribute('max', '20000');
+
+      const rules = getFieldRules(field);
+
+      field.value = '50';
+      expect(validateField(field, rules).error).toBe('Please enter a value of at least 100');
+      field.value = '2400';
+      expect(validateField(field, rules).isValid).toBe(true);
+    });
+
+    test('should let FIELD_RULES override attribute rules', () => {
+      const field = document.createElement('textarea');
+      field.name = 'message';
+      field.setAttribute('minlength', '2');
+      field.setAttribute('data-error-required', 'Tell us what you need');
+
+      const rules = getFieldRules(field);
+
+      expect(rules.minLength).toBe(10);
+      expect(rules.errorMessages.required).toBe('This field is required');
+    });
+
+    test('should ignore fields without rules', () => {
+      const field = document.createElement('input');
+      field.name = 'company_website';
+
+      expect(getFieldRules(field)).toBeNull();
+    });
+  });
+
   describe('🎨 Error Display Functions', () => {
     let container;
     let field;
@@ -640,15 +769,20 @@ describe('🎯 Form Validation Module - Unit Tests', () => {
     });
 
     describe('✨ Success Message Display', () => {
+      beforeEach(() => {
+        // An earlier test replaces the name field's focus with a mock
+        delete form.querySelector('#name').focus;
+      });
+
       test('should display success message after valid submission', (done) => {
         // Fill form with valid data
         form.querySelector('#name').value = 'John Doe';
         form.querySelector('#email').value = 'john@example.com';
         form.querySelector('#phone').value = '123-456-7890';
-        form.querySelector('#service').value = 'web';
+        form.querySelector('#service').value = 'repair';
         form.querySelector('#message').value = 'This is a test message.';
 
-        const submitEvent = new Event('submit', { bubbles: true, cancelable: true });
+        const submitEvent = new window.Event('submit', { bubbles: true, cancelable: true });
         form.dispatchEvent(submitEvent);
 
         setTimeout(() => {
@@ -659,22 +793,2170 @@ describe('🎯 Form Validation Module - Unit Tests', () => {
         }, 100);
       });
 
-      test('should reset form after success message timeout', (done) => {
+      test('should keep the form filled in until the visitor sends another', (done) => {
         // Fill form with valid data
         form.querySelector('#name').value = 'John Doe';
         form.querySelector('#email').value = 'john@example.com';
         form.querySelector('#phone').value = '123-456-7890';
-        form.querySelector('#service').value = 'web';
+        form.querySelector('#service').value = 'repair';
         form.querySelector('#message').value = 'This is a test message.';
 
-        const submitEvent = new Event('submit', { bubbles: true, cancelable: true });
+        const submitEvent = new window.Event('submit', { bubbles: true, cancelable: true });
         form.dispatchEvent(submitEvent);
 
         setTimeout(() => {
+          expect(form.querySelector('#name').value).toBe('John Doe');
+
+          form.parentElement.querySelector('.success-send-another').click();
           expect(form.querySelector('#name').value).toBe('');
+          expect(document.activeElement).toBe(form.querySelector('#name'));
           done();
-        }, 5100); // Wait for 5s timeout + buffer
-      }, 6000);
+        }, 100);
+      });
+    });
+  });
+
+  describe('🌐 Server Submission', () => {
+    const submission = require('../js/form-submission.js');
+
+    beforeEach(() => {
+      submission.config.baseRetryDelay = 1;
+      submission.config.maxRetryDelay = 5;
+      global.fetch.mockReset();
+      window.localStorage.clear();
+    });
+
+    afterAll(() => {
+      global.fetch.mockImplementation(() => Promise.resolve(createJsonResponse(200, { success: true })));
+    });
+
+    test('should POST JSON to the given URL', async () => {
+      global.fetch.mockResolvedValue(createJsonResponse(200, { success: true, id: 'lead-1' }));
+
+      const body = await submission.submit('http://localhost/submit-contact', { name: 'John Doe' });
+
+      expect(body).toEqual({ success: true, id: 'lead-1' });
+      expect(global.fetch).toHaveBeenCalledWith('http://localhost/submit-contact', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ name: 'John Doe' })
+      }));
+    });
+
+    test('should retry transient server failures', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createJsonResponse(503, { message: 'Unavailable' }))
+        .mockResolvedValueOnce(createJsonResponse(200, { success: true }));
+
+      await submission.submit('http://localhost/submit-contact', {});
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry permanent failures and surface the server message', async () => {
+      global.fetch.mockResolvedValue(createJsonResponse(422, { message: 'Please correct the highlighted fields.' }));
+
+      await expect(submission.submit('http://localhost/submit-contact', {})).rejects.toMatchObject({
+        status: 422,
+        retryable: false,
+        message: 'Please correct the highlighted fields.'
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should retry network failures while online without flagging them as offline', async () => {
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      await expect(submission.submit('http://localhost/submit-contact', {})).rejects.toMatchObject({
+        offline: false,
+        retryable: true
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(submission.config.maxRetries + 1);
+    });
+
+    test('should flag submissions as offline only when the browser is offline', async () => {
+      const descriptor = Object.getOwnPropertyDescriptor(global, 'navigator');
+      Object.defineProperty(global, 'navigator', { value: { onLine: false }, configurable: true });
+
+      try {
+        await expect(submission.submit('http://localhost/submit-contact', {})).rejects.toMatchObject({
+          offline: true
+        });
+        expect(global.fetch).not.toHaveBeenCalled();
+      } finally {
+        if (descriptor) {
+          Object.defineProperty(global, 'navigator', descriptor);
+        } else {
+          delete global.navigator;
+        }
+      }
+    });
+
+    test('should queue submissions and replay them', async () => {
+      await submission.enqueue('http://localhost/submit-contact', { name: 'John Doe' });
+      expect(await submission.getQueuedSubmissions()).toHaveLength(1);
+
+      global.fetch.mockResolvedValue(createJsonResponse(200, { success: true }));
+      const result = await submission.flushQueue();
+
+      expect(result.sent).toHaveLength(1);
+      expect(await submission.getQueuedSubmissions()).toHaveLength(0);
+    });
+
+    test('should keep queued submissions that still fail transiently', async () => {
+      await submission.enqueue('http://localhost/submit-contact', { name: 'John Doe' });
+
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+      const result = await submission.flushQueue();
+
+      expect(result.pending).toHaveLength(1);
+      expect(await submission.getQueuedSubmissions()).toHaveLength(1);
+    });
+  });
+
+  describe('🧭 Server Error Mapping', () => {
+    let form;
+
+    /**
+     * Fills the contact form with valid data
+     */
+    function fillValidForm() {
+      form.querySelector('#name').value = 'John Doe';
+      form.querySelector('#email').value = 'john@example.com';
+      form.querySelector('#phone').value = '123-456-7890';
+      form.querySelector('#service').value = 'web';
+      form.querySelector('#message').value = 'This is a test message.';
+    }
+
+    /**
+     * Submits the form and waits for the async handler to settle
+     */
+    async function submitForm() {
+      form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    beforeEach(() => {
+      form = document.getElementById('contact-form');
+      form.reset();
+      form.querySelectorAll('input, select, textarea').forEach(field => {
+        delete field.dataset.serverError;
+        delete field.dataset.serverErrorValue;
+      });
+      fillValidForm();
+    });
+
+    afterEach(() => {
+      global.fetch.mockImplementation(() => Promise.resolve(createJsonResponse(200, { success: true })));
+    });
+
+    test('should show field errors returned by the server', async () => {
+      global.fetch.mockResolvedValue(createJsonResponse(422, {
+        success: false,
+        code: 'blocked_email_domain',
+        message: 'Please correct the highlighted fields.',
+        errors: { email: 'Please use a different email address.' }
+      }));
+
+      await submitForm();
+
+      const emailField = form.querySelector('#email');
+      const errorElement = emailField.closest('.form-group').querySelector('.error-message');
+
+      expect(emailField.getAttribute('aria-invalid')).toBe('true');
+      expect(errorElement.textContent).toBe('Please use a different email address.');
+      expect(document.activeElement).toBe(emailField);
+    });
+
+    test('should keep a server error until the value changes', async () => {
+      global.fetch.mockResolvedValue(createJsonResponse(422, {
+        success: false,
+        code: 'blocked_email_domain',
+        message: 'Please correct the highlighted fields.',
+        errors: { email: 'Please use a different email address.' }
+      }));
+
+      await submitForm();
+
+      const { validateForm } = formValidation;
+      const emailField = form.querySelector('#email');
+
+      expect(validateForm(form)).toBe(false);
+
+      emailField.value = 'john@thermocool.example.com';
+      expect(validateForm(form)).toBe(true);
+      expect(emailField.getAttribute('aria-invalid')).toBe('false');
+    });
+
+    test('should show non-field errors in the form-level banner', async () => {
+      global.fetch.mockResolvedValue(createJsonResponse(409, {
+        success: false,
+        code: 'duplicate_lead',
+        message: 'We already received this request.',
+        errors: { zip: 'We do not serve this area yet.' }
+      }));
+
+      await submitForm();
+
+      const banner = form.parentElement.querySelector('.form-error-message');
+
+      expect(banner.getAttribute('role')).toBe('alert');
+      expect(banner.textContent).toContain('We already received this request.');
+      expect(banner.textContent).toContain('We do not serve this area yet.');
+      expect(document.activeElement).toBe(banner);
+    });
+  });
+
+  describe('🛡️ Spam Protection', () => {
+    let form;
+
+    /**
+     * Submits a validly filled form and waits for the async handler to settle
+     */
+    async function submitValidForm() {
+      form.querySelector('#name').value = 'John Doe';
+      form.querySelector('#email').value = 'john@example.com';
+      form.querySelector('#phone').value = '123-456-7890';
+      form.querySelector('#service').value = 'web';
+      form.querySelector('#message').value = 'This is a test message.';
+
+      form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    beforeEach(() => {
+      form = document.getElementById('contact-form');
+      form.reset();
+      global.fetch.mockClear();
+      window.localStorage.clear();
+    });
+
+    afterEach(() => {
+      spamProtection.config.minimumFillTime = 0;
+      spamProtection.config.maxSubmissions = Infinity;
+      spamProtection.setChallengeProvider(null);
+    });
+
+    test('should fake success without sending when the honeypot is filled', async () => {
+      form.querySelector('#company-website').value = 'https://spam.example';
+
+      await submitValidForm();
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(form.parentElement.querySelector('.success-message').style.display).toBe('block');
+    });
+
+    test('should fake success without sending when submitted too quickly', async () => {
+      spamProtection.config.minimumFillTime = 60 * 1000;
+
+      await submitValidForm();
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(spamProtection.inspect(form).reason).toBe('too-fast');
+    });
+
+    test('should tell the visitor when the rate limit is reached', async () => {
+      spamProtection.config.maxSubmissions = 1;
+      spamProtection.recordSubmission(form);
+
+      await submitValidForm();
+
+      const banner = form.parentElement.querySelector('.form-error-message');
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(banner.textContent).toContain('You have sent several requests recently');
+    });
+
+    test('should keep a separate rate limit for each form', () => {
+      const newsletter = document.createElement('form');
+      newsletter.id = 'newsletter-form';
+      spamProtection.config.maxSubmissions = 1;
+      spamProtection.recordSubmission(newsletter);
+
+      expect(spamProtection.inspect(newsletter).isRateLimited).toBe(true);
+      expect(spamProtection.inspect(form).isRateLimited).toBe(false);
+    });
+
+    test('should send the token from the challenge provider', async () => {
+      const provider = jest.fn(() => Promise.resolve('proof-of-work-token'));
+      spamProtection.setChallengeProvider(provider);
+
+      await submitValidForm();
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+      expect(provider).toHaveBeenCalledWith(expect.objectContaining({ form }));
+      expect(body.challengeToken).toBe('proof-of-work-token');
+    });
+  });
+
+  describe('🧩 Multiple Forms', () => {
+    let container;
+    let form;
+    let controller;
+
+    beforeEach(() => {
+      container = document.createElement('section');
+      container.innerHTML = `
+        <form id="newsletter-form">
+          <div class="form-group">
+            <input type="email" id="newsletter-email" name="newsletterEmail" required />
+          </div>
+          <button type="submit">Subscribe</button>
+        </form>
+      `;
+      document.body.appendChild(container);
+      form = container.querySelector('form');
+      global.fetch.mockClear();
+    });
+
+    afterEach(() => {
+      formValidation.detach(form);
+      container.remove();
+    });
+
+    test('should validate an attached form with its own rules', () => {
+      controller = formValidation.attach(form, {
+        rules: {
+          newsletterEmail: { errorMessages: { pattern: 'Enter your email to subscribe' } }
+        }
+      });
+      form.querySelector('#newsletter-email').value = 'jane';
+
+      expect(controller.validate()).toBe(false);
+      expect(container.querySelector('.error-message').textContent).toBe('Enter your email to subscribe');
+      expect(form.hasAttribute('novalidate')).toBe(true);
+    });
+
+    test('should use a custom submit handler and success message', async () => {
+      const onSubmit = jest.fn(() => Promise.resolve());
+
+      formValidation.attach(form, {
+        onSubmit,
+        spamProtection: false,
+        messages: { SUBMISSION_SUCCESS: 'You are subscribed!' }
+      });
+      form.querySelector('#newsletter-email').value = 'jane@example.com';
+
+      form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(onSubmit).toHaveBeenCalledWith({ newsletterEmail: 'jane@example.com' }, expect.objectContaining({ form }));
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(container.querySelector('.success-message').textContent).toBe('You are subscribed!');
+    });
+
+    test('should show errors rejected by a custom submit handler', async () => {
+      formValidation.attach(form, {
+        spamProtection: false,
+        onSubmit: () => Promise.reject({ body: { message: 'Already subscribed.', errors: {} } })
+      });
+      form.querySelector('#newsletter-email').value = 'jane@example.com';
+
+      form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(container.querySelector('.form-error-message').textContent).toBe('Already subscribed.');
+    });
+
+    test('should give a queued submission the server rejected back to the visitor', async () => {
+      const submission = require('../js/form-submission.js');
+      const onError = jest.fn();
+
+      window.localStorage.clear();
+      formValidation.attach(form, { url: 'http://localhost/newsletter', spamProtection: false, autosave: false });
+      form.addEventListener('thermocool:submit-error', onError);
+      await submission.enqueue('http://localhost/newsletter', { newsletterEmail: 'jane@example' });
+
+      global.fetch.mockResolvedValueOnce(createJsonResponse(422, {
+        code: 'validation_failed',
+        message: 'Please correct the highlighted fields.',
+        errors: { newsletterEmail: 'Please enter a valid email address' }
+      }));
+      window.dispatchEvent(new window.Event('online'));
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(form.querySelector('#newsletter-email').value).toBe('jane@example');
+      expect(container.querySelector('.error-message').textContent).toBe('Please enter a valid email address');
+      expect(container.querySelector('.form-error-message').textContent)
+        .toBe('The request you saved while offline could not be sent. Please check it and send it again. Please correct the highlighted fields.');
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError.mock.calls[0][0].detail).toMatchObject({
+        data: { newsletterEmail: 'jane@example' },
+        code: 'validation_failed'
+      });
+      expect(await submission.getQueuedSubmissions()).toHaveLength(0);
+    });
+
+    test('should remove every listener on detach', async () => {
+      const onSubmit = jest.fn(() => Promise.resolve());
+      const submitEvent = new window.Event('submit', { bubbles: true, cancelable: true });
+
+      formValidation.attach(form, { onSubmit, spamProtection: false }).detach();
+      form.addEventListener('submit', event => event.preventDefault());
+      form.querySelector('#newsletter-email').dispatchEvent(new window.Event('blur'));
+      form.dispatchEvent(submitEvent);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(container.querySelector('.error-message')).toBeNull();
+      expect(form.hasAttribute('novalidate')).toBe(false);
+    });
+
+    test('should apply neither the contact rules nor autosave by default', async () => {
+      const input = form.querySelector('#newsletter-email');
+
+      input.setAttribute('name', 'message');
+      input.removeAttribute('type');
+      controller = formValidation.attach(form, { validationDelay: 0 });
+      input.value = 'Hi';
+      input.dispatchEvent(new window.Event('input', { bubbles: true }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(controller.options.rules).toEqual({});
+      expect(controller.options.conditions).toEqual([]);
+      expect(controller.validate()).toBe(true);
+      expect(window.localStorage.getItem('thermocool:draft:/#newsletter-form')).toBeNull();
+    });
+
+    test('should reject elements that are not forms', () => {
+      expect(() => formValidation.attach(container)).toThrow(TypeError);
+    });
+  });
+
+  describe('⏳ Async Validators', () => {
+    let container;
+    let form;
+    let field;
+
+    /**
+     * Creates a promise that can be resolved from the test
+     * @returns {Object} The promise and its resolve function
+     */
+    function createDeferred() {
+      let resolve;
+      const promise = new Promise(done => { resolve = done; });
+      return { promise, resolve };
+    }
+
+    beforeEach(() => {
+      container = document.createElement('section');
+      container.innerHTML = `
+        <form id="zip-form">
+          <div class="form-group">
+            <input type="text" id="zip" name="zip" required />
+          </div>
+          <button type="submit">Check</button>
+        </form>
+      `;
+      document.body.appendChild(container);
+      form = container.querySelector('form');
+      field = form.querySelector('#zip');
+    });
+
+    afterEach(() => {
+      formValidation.detach(form);
+      container.remove();
+    });
+
+    test('should show a checking state and then the async error', async () => {
+      const deferred = createDeferred();
+      const controller = formValidation.attach(form, {
+        rules: { zip: { asyncValidator: () => deferred.promise } }
+      });
+
+      field.value = '99999';
+      expect(controller.validate()).toBe(true);
+      expect(field.getAttribute('aria-busy')).toBe('true');
+      expect(container.querySelector('.field-status').textContent).toBe('Checking…');
+
+      deferred.resolve('We do not serve this area yet');
+      expect(await controller.validateAsync()).toBe(false);
+      expect(field.getAttribute('aria-busy')).toBe('false');
+      expect(container.querySelector('.error-message').textContent).toBe('We do not serve this area yet');
+    });
+
+    test('should abort stale checks when the value changes', async () => {
+      const signals = [];
+      const controller = formValidation.attach(form, {
+        rules: {
+          zip: {
+            asyncValidator: (value, { signal }) => {
+              signals.push(signal);
+              return Promise.resolve(value === '10001' ? null : 'Not served');
+            }
+          }
+        }
+      });
+
+      field.value = '99999';
+      controller.validate();
+      await Promise.resolve();
+      field.value = '10001';
+      field.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+      expect(signals[0].aborted).toBe(true);
+      expect(await controller.validateAsync()).toBe(true);
+      expect(field.classList.contains('field-error')).toBe(false);
+    });
+
+    test('should block submission until pending checks settle', async () => {
+      const deferred = createDeferred();
+      const onSubmit = jest.fn(() => Promise.resolve());
+
+      formValidation.attach(form, {
+        onSubmit,
+        spamProtection: false,
+        rules: { zip: { asyncValidator: () => deferred.promise } }
+      });
+      field.value = '10001';
+
+      form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(form.querySelector('button').disabled).toBe(true);
+
+      deferred.resolve(null);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(onSubmit).toHaveBeenCalledTimes(1);
+    });
+
+    test('should treat failing validators as passed', async () => {
+      const controller = formValidation.attach(form, {
+        rules: { zip: { asyncValidator: () => Promise.reject(new Error('Network down')) } }
+      });
+
+      field.value = '10001';
+
+      expect(await controller.validateAsync()).toBe(true);
+    });
+  });
+
+  describe('🔀 Conditional Rules', () => {
+    const { FIELD_RULES, CONDITIONAL_RULES } = require('../js/validation-rules.js');
+    let container;
+    let form;
+    let controller;
+
+    /**
+     * Selects a value in a controlling field and fires its change event
+     * @param {HTMLElement} field - The controlling field
+     * @param {string} value - Value to select
+     */
+    function choose(field, value) {
+      if (field.type === 'radio') {
+        field.checked = true;
+      } else {
+        field.value = value;
+      }
+      field.dispatchEvent(new window.Event('change', { bubbles: true }));
+    }
+
+    beforeEach(() => {
+      container = document.createElement('section');
+      container.innerHTML = `
+        <form id="conditional-form">
+          <div class="form-group"><input type="email" id="c-email" name="email" /></div>
+          <div class="form-group">
+            <label for="c-phone">Phone <span class="required">*</span></label>
+            <input type="tel" id="c-phone" name="phone" />
+          </div>
+          <fieldset class="form-group">
+            <input type="radio" id="c-by-email" name="preferredContact" value="email" checked />
+            <input type="radio" id="c-by-phone" name="preferredContact" value="phone" />
+          </fieldset>
+          <div class="form-group">
+            <select id="c-service" name="service">
+              <option value="">Select</option>
+              <option value="repair">Repair</option>
+              <option value="emergency">Emergency</option>
+              <option value="other">Other</option>
+            </select>
+          </div>
+          <div class="form-group"><input type="text" id="c-description" name="serviceDescription" /></div>
+          <div class="form-group"><textarea id="c-message" name="message"></textarea></div>
+        </form>
+      `;
+      document.body.appendChild(container);
+      form = container.querySelector('form');
+      controller = formValidation.attach(form, { rules: FIELD_RULES, conditions: CONDITIONAL_RULES });
+    });
+
+    afterEach(() => {
+      controller.detach();
+      container.remove();
+    });
+
+    test('should make only the preferred contact method required', () => {
+      const phone = form.querySelector('#c-phone');
+      const email = form.querySelector('#c-email');
+
+      expect(phone.required).toBe(false);
+      expect(email.required).toBe(true);
+      expect(form.querySelector('label[for="c-phone"] .required').hidden).toBe(true);
+
+      choose(form.querySelector('#c-by-phone'));
+
+      expect(phone.required).toBe(true);
+      expect(email.required).toBe(false);
+      expect(formValidation.getFieldRules(email).required).toBe(false);
+    });
+
+    test('should start the landing page form with email preferred and the phone optional', () => {
+      const fs = require('fs');
+      const path = require('path');
+      const page = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+      const landing = document.createElement('section');
+
+      landing.innerHTML = page.match(/<form id="contact-form"[\s\S]*?<\/form>/)[0];
+      document.body.appendChild(landing);
+
+      const contactForm = landing.querySelector('form');
+      const contactController = formValidation.attach(contactForm, {
+        rules: FIELD_RULES,
+        conditions: CONDITIONAL_RULES,
+        spamProtection: false
+      });
+
+      expect(contactForm.querySelector('[name="preferredContact"]:checked').value).toBe('email');
+      expect(contactForm.querySelector('#phone').required).toBe(false);
+      expect(contactForm.querySelector('#email').required).toBe(true);
+      expect(contactForm.querySelector('label[for="phone"] .required').hidden).toBe(true);
+
+      contactController.detach();
+      landing.remove();
+    });
+
+    test('should require a phone and relax the message for emergencies', () => {
+      const message = form.querySelector('#c-message');
+
+      message.value = 'Help';
+      choose(form.querySelector('#c-service'), 'repair');
+      expect(controller.validate()).toBe(false);
+      expect(message.classList.contains('field-error')).toBe(true);
+
+      choose(form.querySelector('#c-service'), 'emergency');
+
+      expect(form.querySelector('#c-phone').required).toBe(true);
+      expect(message.classList.contains('field-error')).toBe(false);
+    });
+
+    test('should reveal and require the description when Other is picked', () => {
+      const description = form.querySelector('#c-description');
+
+      expect(description.closest('.form-group').hidden).toBe(true);
+      expect(description.disabled).toBe(true);
+
+      choose(form.querySelector('#c-service'), 'other');
+
+      expect(description.closest('.form-group').hidden).toBe(false);
+      expect(formValidation.getFieldRules(description).required).toBe(true);
+
+      form.querySelector('#c-email').value = 'jane@example.com';
+      form.querySelector('#c-message').value = 'Duct cleaning please';
+      expect(controller.validate()).toBe(false);
+      expect(description.classList.contains('field-error')).toBe(true);
+    });
+
+    test('should restore hidden fields on detach', () => {
+      controller.detach();
+
+      expect(form.querySelector('#c-description').disabled).toBe(false);
+    });
+  });
+
+  describe('📞 International Phone Numbers', () => {
+    const phoneNumbers = require('../js/phone-numbers.js');
+    const phoneInput = require('../js/phone-input.js');
+
+    /**
+     * Validates a phone number with the shared rule for a country
+     * @param {string} value - Phone number
+     * @param {string} phoneCountry - Selected country
+     * @returns {Object} Validation result
+     */
+    function validatePhone(value, phoneCountry) {
+      return formValidation.validateField({ value, type: 'tel' }, formValidation.FIELD_RULES.phone, { phoneCountry });
+    }
+
+    test('should apply per-country length and prefix rules', () => {
+      expect(validatePhone('(201) 555-0123', 'US').isValid).toBe(true);
+      expect(validatePhone('1111111111', 'US').error).toBe('Please enter a valid United States phone number');
+      expect(validatePhone('(123) 555-0123', 'CA').error).toBe('Please enter a valid Canada phone number');
+      expect(validatePhone('201 555', 'US').error).toBe('United States phone numbers have 10 digits');
+      expect(validatePhone('55 1234 5678', 'MX').isValid).toBe(true);
+      expect(validatePhone('+++1234567890', 'US').error).toBe('Please enter a valid phone number');
+    });
+
+    test('should require a country code for other countries', () => {
+      expect(validatePhone('20 7946 0958', 'other').error).toBe('Please include the country code, starting with +');
+      expect(validatePhone('+44 20 7946 0958', 'other').isValid).toBe(true);
+      expect(validatePhone('+44 12', 'other').error).toBe('Please enter a valid international phone number');
+    });
+
+    test('should normalize to E.164', () => {
+      expect(phoneNumbers.toE164('1 (201) 555-0123', 'US')).toBe('+12015550123');
+      expect(phoneNumbers.toE164('+52 1 55 1234 5678', 'US')).toBe('+525512345678');
+      expect(phoneNumbers.toE164('+44 20 7946 0958', 'other')).toBe('+442079460958');
+      expect(phoneNumbers.toE164('1111111111', 'US')).toBeNull();
+    });
+
+    test('should format numbers as they are typed', () => {
+      expect(phoneNumbers.formatAsYouType('2015', 'US')).toBe('(201) 5');
+      expect(phoneNumbers.formatAsYouType('12015550123', 'US')).toBe('1 (201) 555-0123');
+      expect(phoneNumbers.formatAsYouType('5512345678', 'MX')).toBe('55 1234 5678');
+      expect(phoneNumbers.formatAsYouType('2221234567', 'MX')).toBe('222 123 4567');
+      expect(phoneNumbers.formatAsYouType('+526', 'US')).toBe('+52 6');
+    });
+
+    test('should format the input and submit the number as E.164', async () => {
+      const container = document.createElement('section');
+      container.innerHTML = `
+        <form id="phone-form">
+          <div class="form-group">
+            <select id="p-country" name="phoneCountry">
+              <option value="US">US</option>
+              <option value="MX">MX</option>
+            </select>
+            <input type="tel" id="p-phone" name="phone" data-country-field="phoneCountry" />
+          </div>
+          <button type="submit">Send</button>
+        </form>
+      `;
+      document.body.appendChild(container);
+
+      const form = container.querySelector('form');
+      const phone = form.querySelector('#p-phone');
+      const country = form.querySelector('#p-country');
+      const onSubmit = jest.fn(() => Promise.resolve());
+      const detachPhoneInput = phoneInput.attach(phone, country);
+
+      formValidation.attach(form, { onSubmit, rules: formValidation.FIELD_RULES, spamProtection: false, conditions: [] });
+
+      phone.value = '5512345678';
+      country.value = 'MX';
+      country.dispatchEvent(new window.Event('change', { bubbles: true }));
+      expect(phone.value).toBe('55 1234 5678');
+      expect(phone.placeholder).toBe('55 1234 5678');
+
+      form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(onSubmit.mock.calls[0][0]).toEqual({ phoneCountry: 'MX', phone: '+525512345678' });
+
+      detachPhoneInput();
+      formValidation.detach(form);
+      container.remove();
+    });
+  });
+
+  describe('📧 Email Domains', () => {
+    const emailDomains = require('../js/email-domains.js');
+    const emailSuggestion = require('../js/email-suggestion.js');
+
+    afterEach(() => {
+      emailDomains.config.blockDisposable = true;
+    });
+
+    test('should suggest corrections for mistyped domains and TLDs', () => {
+      expect(emailDomains.suggestEmail('john@gmial.con')).toBe('john@gmail.com');
+      expect(emailDomains.suggestEmail('john@hotmal.com')).toBe('john@hotmail.com');
+      expect(emailDomains.suggestEmail('john@thermocool.cmo')).toBe('john@thermocool.com');
+      expect(emailDomains.suggestEmail('john@gmail.com')).toBeNull();
+      expect(emailDomains.suggestEmail('john@mail.com')).toBeNull();
+      expect(emailDomains.suggestEmail('john@thermocool.com')).toBeNull();
+    });
+
+    test('should leave valid short domains and country-code TLDs alone', () => {
+      ['att.com', 'cox.com', 'ge.com', 'hp.com', 'gm.com', 'fox.net', 'thermocool.dev', 'thermocool.ch']
+        .forEach(domain => expect(emailDomains.suggestEmail(`john@${domain}`)).toBeNull());
+
+      expect(emailDomains.suggestEmail('john@gmal.com')).toBe('john@gmail.com');
+      expect(emailDomains.suggestEmail('john@aol.con')).toBe('john@aol.com');
+    });
+
+    test('should reject disposable domains while the blocklist is enabled', () => {
+      const { validateField, FIELD_RULES } = formValidation;
+
+      expect(validateField({ value: 'john@mailinator.com' }, FIELD_RULES.email).error)
+        .toBe('Please use a permanent email address so we can reach you');
+      expect(validateField({ value: 'john@eu.yopmail.com' }, FIELD_RULES.email).isValid).toBe(false);
+
+      emailDomains.config.blockDisposable = false;
+
+      expect(validateField({ value: 'john@mailinator.com' }, FIELD_RULES.email).isValid).toBe(true);
+    });
+
+    test('should offer the suggestion and accept it with one click', () => {
+      const container = document.createElement('div');
+      container.className = 'form-group';
+      container.innerHTML = '<input type="email" id="s-email" name="email" />';
+      document.body.appendChild(container);
+
+      const input = container.querySelector('input');
+      const detach = emailSuggestion.attach(input);
+
+      input.value = 'john@gmial.con';
+      input.dispatchEvent(new window.Event('blur'));
+
+      const suggestion = container.querySelector('.email-suggestion');
+
+      expect(suggestion.hidden).toBe(false);
+      expect(suggestion.textContent).toBe('Did you mean john@gmail.com?');
+
+      suggestion.querySelector('button').click();
+
+      expect(input.value).toBe('john@gmail.com');
+      expect(suggestion.hidden).toBe(true);
+
+      detach();
+      container.remove();
+    });
+  });
+
+  describe('📅 Appointment Slots', () => {
+    const businessHours = require('../js/business-hours.js');
+    const appointmentPicker = require('../js/appointment-picker.js');
+
+    const structuredData = {
+      '@context': 'https://schema.org',
+      '@type': 'HVACBusiness',
+      openingHoursSpecification: [
+        { '@type': 'OpeningHoursSpecification', dayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'], opens: '08:00', closes: '18:00' },
+        { '@type': 'OpeningHoursSpecification', dayOfWeek: 'https://schema.org/Saturday', opens: '09:00', closes: '15:00' }
+      ]
+    };
+
+    beforeEach(() => {
+      businessHours.setOpeningHours(businessHours.findOpeningHours(structuredData));
+    });
+
+    afterEach(() => {
+      businessHours.setOpeningHours([]);
+      businessHours.config.leadTimeHours = 4;
+      businessHours.config.timeZone = 'America/New_York';
+    });
+
+    test('should offer two-hour windows on open days only', () => {
+      // Friday 2026-10-16, 06:00 in New York
+      const slots = businessHours.getAppointmentSlots(new Date('2026-10-16T10:00:00Z'));
+      const days = [...new Set(slots.map(slot => slot.date))];
+
+      expect(slots.filter(slot => slot.date === '2026-10-16').map(slot => slot.start)).toEqual(['10:00', '12:00', '14:00', '16:00']);
+      expect(slots.filter(slot => slot.date === '2026-10-17')).toEqual([
+        { date: '2026-10-17', start: '09:00', end: '11:00', value: '2026-10-17T09:00' },
+        { date: '2026-10-17', start: '11:00', end: '13:00', value: '2026-10-17T11:00' },
+        { date: '2026-10-17', start: '13:00', end: '15:00', value: '2026-10-17T13:00' }
+      ]);
+      expect(days).not.toContain('2026-10-18');
+      expect(days[days.length - 1]).toBe('2026-10-30');
+    });
+
+    test('should respect the configured lead time', () => {
+      const now = new Date('2026-10-16T13:30:00Z');
+
+      businessHours.config.leadTimeHours = 0;
+      expect(businessHours.getAppointmentSlots(now)[0].value).toBe('2026-10-16T10:00');
+
+      businessHours.config.leadTimeHours = 24;
+      expect(businessHours.getAppointmentSlots(now)[0].value).toBe('2026-10-17T11:00');
+      expect(businessHours.isAvailableSlot('2026-10-16T16:00', now)).toBe(false);
+    });
+
+    test('should validate the chosen slot', () => {
+      const { validateField, FIELD_RULES } = formValidation;
+      const [slot] = businessHours.getAppointmentSlots();
+
+      expect(validateField({ value: slot.value }, FIELD_RULES.appointmentSlot).isValid).toBe(true);
+      expect(validateField({ value: '' }, FIELD_RULES.appointmentSlot).isValid).toBe(true);
+      expect(validateField({ value: '2020-01-06T08:00' }, FIELD_RULES.appointmentSlot).error)
+        .toBe('This time is no longer available, please choose another one');
+      expect(validateField({ value: `${slot.date}T07:00` }, FIELD_RULES.appointmentSlot).error)
+        .toBe('Please choose one of the listed options');
+      expect(validateField({ value: 'tomorrow' }, FIELD_RULES.appointmentSlot).isValid).toBe(false);
+    });
+
+    test('should use the business time zone whatever the visitor\'s zone', () => {
+      // 09:00 in New York is 06:00 in Los Angeles
+      const now = new Date('2026-10-16T13:00:00Z');
+
+      expect(businessHours.getAppointmentSlots(now)[0].value).toBe('2026-10-16T14:00');
+
+      businessHours.config.timeZone = 'America/Los_Angeles';
+      expect(businessHours.getAppointmentSlots(now)[0].value).toBe('2026-10-16T10:00');
+    });
+
+    test('should list the windows grouped by day and keep the selection', () => {
+      const container = document.createElement('div');
+      container.className = 'form-group';
+      container.innerHTML = '<select id="a-slot" name="appointmentSlot"><option value="">No preference</option></select>';
+      document.body.appendChild(container);
+
+      const select = container.querySelector('select');
+      const detach = appointmentPicker.attach(select);
+      const groups = select.querySelectorAll('optgroup');
+      const slots = businessHours.getAppointmentSlots();
+
+      expect(select.options[0].value).toBe('');
+      expect(groups.length).toBeGreaterThan(10);
+      expect(groups[0].label).toMatch(/day, /);
+      expect(select.querySelectorAll('optgroup option')).toHaveLength(slots.length);
+
+      select.value = slots[2].value;
+      select.dispatchEvent(new window.Event('focus'));
+
+      expect(select.value).toBe(slots[2].value);
+
+      detach();
+      container.remove();
+    });
+  });
+
+  describe('📍 Service Area', () => {
+    const serviceArea = require('../js/service-area.js');
+    const serviceAreaChecker = require('../js/service-area-checker.js');
+
+    const structuredData = {
+      '@context': 'https://schema.org',
+      '@type': 'HVACBusiness',
+      areaServed: {
+        '@type': 'GeoCircle',
+        geoMidpoint: { '@type': 'GeoCoordinates', latitude: '40.7128', longitude: '-74.0060' },
+        geoRadius: '50000'
+      }
+    };
+
+    beforeEach(() => {
+      serviceArea.setServiceArea(serviceArea.findServiceArea(structuredData));
+    });
+
+    afterEach(() => {
+      serviceArea.setServiceArea(null);
+    });
+
+    test('should read the served circle from the JSON-LD', () => {
+      expect(serviceArea.getServiceArea()).toEqual({ latitude: 40.7128, longitude: -74.006, radiusKm: 50 });
+      expect(serviceArea.findServiceArea({ '@graph': [{ areaServed: { ...structuredData.areaServed, geoRadius: '30 mi' } }] }).radiusKm)
+        .toBeCloseTo(48.28, 2);
+    });
+
+    test('should check ZIP codes against the radius', () => {
+      expect(serviceArea.checkZip('10001')).toEqual({ zip: '10001', status: 'in-area', distanceKm: 4.3 });
+      expect(serviceArea.checkZip('07102-1234').status).toBe('in-area');
+      expect(serviceArea.checkZip('06901').status).toBe('out-of-area');
+      expect(serviceArea.checkZip('19103')).toMatchObject({ status: 'out-of-area', distanceKm: 130.2 });
+      expect(serviceArea.checkZip('99501')).toEqual({ zip: '99501', status: 'unknown', distanceKm: null });
+      expect(serviceArea.checkZip('1000')).toBeNull();
+      expect(serviceArea.checkZip('M5V 2T6')).toBeNull();
+    });
+
+    test('should validate the ZIP code field', () => {
+      const { validateField, FIELD_RULES } = formValidation;
+
+      expect(validateField({ value: '10001' }, FIELD_RULES.zipCode).isValid).toBe(true);
+      expect(validateField({ value: '10001-1234' }, FIELD_RULES.zipCode).isValid).toBe(true);
+      expect(validateField({ value: '' }, FIELD_RULES.zipCode).isValid).toBe(true);
+      expect(validateField({ value: '1000A' }, FIELD_RULES.zipCode).error).toBe('Please enter a 5-digit ZIP code');
+    });
+
+    test('should tell visitors whether we serve them', () => {
+      const container = document.createElement('section');
+      container.innerHTML = `
+        <form data-service-area-checker hidden>
+          <input type="text">
+          <button type="submit">Check</button>
+          <p class="service-area-result" role="status"></p>
+        </form>
+        <div class="form-group"><input type="text" name="zipCode" data-service-area-field></div>`;
+      document.body.appendChild(container);
+
+      const widget = container.querySelector('form');
+      const field = container.querySelector('[data-service-area-field]');
+      const detachWidget = serviceAreaChecker.attachWidget(widget);
+      const detachField = serviceAreaChecker.attachField(field);
+
+      expect(widget.hidden).toBe(false);
+
+      widget.querySelector('input').value = '06901';
+      widget.dispatchEvent(new window.Event('submit', { cancelable: true }));
+
+      expect(widget.querySelector('.service-area-result').textContent)
+        .toBe('06901 is about 55 km away, outside our 50 km service area. You can still send a request and we will let you know if we can help.');
+
+      field.value = '11201';
+      field.dispatchEvent(new window.Event('blur'));
+
+      const result = container.querySelector('.form-group .service-area-result');
+      expect(result.hidden).toBe(false);
+      expect(result.dataset.status).toBe('in-area');
+      expect(result.textContent).toBe('Good news: we serve 11201');
+
+      detachWidget();
+      detachField();
+      container.remove();
+    });
+  });
+
+  describe('🕗 Business Status', () => {
+    const businessHours = require('../js/business-hours.js');
+    const businessStatus = require('../js/business-status.js');
+
+    beforeEach(() => {
+      businessHours.setOpeningHours([
+        { dayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'], opens: '08:00', closes: '18:00' },
+        { dayOfWeek: 'Saturday', opens: '09:00', closes: '15:00' }
+      ]);
+    });
+
+    afterEach(() => {
+      businessHours.setOpeningHours([]);
+    });
+
+    test('should tell whether we are open in the business time zone', () => {
+      // Friday 2026-10-16 in New York (UTC-4)
+      expect(businessHours.getOpenStatus(new Date('2026-10-16T16:00:00Z')))
+        .toEqual({ isOpen: true, closesAt: '18:00', opensAt: null });
+      expect(businessHours.getOpenStatus(new Date('2026-10-16T11:00:00Z')).opensAt)
+        .toEqual({ dayOfWeek: 5, daysAway: 0, time: '08:00' });
+      // Saturday 16:00, then closed through Sunday
+      expect(businessHours.getOpenStatus(new Date('2026-10-17T20:00:00Z')).opensAt)
+        .toEqual({ dayOfWeek: 1, daysAway: 2, time: '08:00' });
+    });
+
+    test('should describe the status', () => {
+      expect(businessStatus.describeStatus({ isOpen: true, closesAt: '18:00', opensAt: null }))
+        .toBe('Open now — closes at 6 PM');
+      expect(businessStatus.describeStatus({ isOpen: false, closesAt: null, opensAt: { dayOfWeek: 1, daysAway: 2, time: '08:00' } }))
+        .toBe('Closed — opens Monday 8 AM');
+      expect(businessStatus.describeStatus({ isOpen: false, closesAt: null, opensAt: { dayOfWeek: 5, daysAway: 0, time: '08:30' } }))
+        .toBe('Closed — opens at 8:30 AM');
+    });
+
+    test('should promote the emergency line and service while closed', () => {
+      businessHours.setOpeningHours([]);
+
+      const container = document.createElement('section');
+      container.innerHTML = `
+        <p data-business-status hidden>
+          <span class="business-status-text"></span>
+          <a class="business-status-emergency" href="tel:+1-555-266-5669" hidden>24/7 emergency line</a>
+        </p>
+        <select name="service" data-closed-default="emergency">
+          <option value="">Select</option>
+          <option value="repair">Repair</option>
+          <option value="emergency">Emergency</option>
+        </select>
+        <select name="other-service" data-closed-default="emergency">
+          <option value="">Select</option>
+          <option value="repair">Repair</option>
+          <option value="emergency">Emergency</option>
+        </select>`;
+      document.body.appendChild(container);
+
+      const [untouched, chosen] = container.querySelectorAll('select');
+      chosen.value = 'repair';
+
+      const detach = businessStatus.attach(container);
+      const status = container.querySelector('[data-business-status]');
+
+      expect(status.hidden).toBe(false);
+      expect(status.dataset.state).toBe('closed');
+      expect(status.textContent).toContain('Closed');
+      expect(container.querySelector('.business-status-emergency').hidden).toBe(false);
+      expect(untouched.value).toBe('emergency');
+      expect(chosen.value).toBe('repair');
+
+      detach();
+      container.remove();
+    });
+  });
+
+  describe('💲 Cost Estimator', () => {
+    const costEstimator = require('../js/cost-estimator.js');
+    const pricing = require('../data/pricing.json');
+
+    test('should price a job from the pricing table', () => {
+      expect(costEstimator.calculateEstimate({
+        squareFeet: '1800', systemType: 'central-ac', systemAge: '10-15', seer: '16', urgency: 'standard'
+      }, pricing)).toEqual({
+        squareFeet: 1800,
+        tons: 4,
+        items: [
+          { key: 'equipment', amount: 6800 },
+          { key: 'efficiency', amount: 680 },
+          { key: 'removal', amount: 600 }
+        ],
+        total: 8080,
+        low: 6850,
+        high: 9300,
+        service: 'installation'
+      });
+    });
+
+    test('should skip SEER for heating equipment and add the urgency', () => {
+      const estimate = costEstimator.calculateEstimate({
+        squareFeet: '1200', systemType: 'furnace', systemAge: 'over-15', seer: '20', urgency: 'emergency'
+      }, pricing);
+
+      expect(estimate.tons).toBe(2.5);
+      expect(estimate.items.map(item => item.key)).toEqual(['equipment', 'removal', 'emergency']);
+      expect(estimate.total).toBe(6190);
+      expect(estimate.service).toBe('emergency');
+      expect(costEstimator.calculateEstimate({ squareFeet: '50', systemType: 'furnace' }, pricing)).toBeNull();
+      expect(costEstimator.calculateEstimate({ squareFeet: '1200', systemType: 'geothermal' }, pricing)).toBeNull();
+    });
+
+    test('should round the home size to whole square feet', () => {
+      const estimate = costEstimator.calculateEstimate({ squareFeet: '1800.5', systemType: 'central-ac' }, pricing);
+
+      expect(estimate.squareFeet).toBe(1801);
+      expect(String(estimate.squareFeet)).toMatch(formValidation.FIELD_RULES.homeSize.pattern);
+    });
+
+    test('should show the estimate and prefill the quote form', () => {
+      const container = document.createElement('section');
+      container.innerHTML = `
+        <div class="cost-estimator" hidden>
+          <form data-cost-estimator data-quote-form="estimate-quote-form">
+            <input type="number" name="squareFeet">
+            <select name="systemType">
+              <option value="central-ac">Central air conditioner</option>
+              <option value="furnace">Furnace</option>
+            </select>
+            <select name="systemAge"><option value="">None</option><option value="10-15">10 to 15 years</option></select>
+            <select name="seer"><option value="14">14</option><option value="16">16</option></select>
+            <select name="urgency"><option value="standard">Standard</option></select>
+          </form>
+          <div class="cost-estimate" hidden>
+            <p class="cost-estimate-range"></p>
+            <ul class="cost-estimate-breakdown"></ul>
+            <button type="button" class="cost-estimate-quote">Get this quote</button>
+          </div>
+        </div>
+        <form id="estimate-quote-form">
+          <select name="service">
+            <option value="">Select</option>
+            <option value="installation">Installation</option>
+          </select>
+          <input type="number" name="homeSize">
+          <textarea name="message"></textarea>
+        </form>`;
+      document.body.appendChild(container);
+
+      const form = container.querySelector('[data-cost-estimator]');
+      const result = container.querySelector('.cost-estimate');
+      const quoteForm = container.querySelector('#estimate-quote-form');
+      const detach = costEstimator.attach(form, pricing);
+
+      expect(container.querySelector('.cost-estimator').hidden).toBe(false);
+      expect(result.hidden).toBe(true);
+
+      form.elements.squareFeet.value = '1800';
+      form.elements.systemAge.value = '10-15';
+      form.elements.seer.value = '16';
+      form.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+      expect(result.hidden).toBe(false);
+      expect(result.querySelector('.cost-estimate-range').textContent).toBe('Estimated cost: $6,850 – $9,300');
+      expect(result.querySelectorAll('li')[0].textContent).toBe('Equipment and installation, 4-ton system$6,800');
+
+      form.elements.systemType.value = 'furnace';
+      form.dispatchEvent(new window.Event('change', { bubbles: true }));
+      expect(form.elements.seer.disabled).toBe(true);
+
+      form.elements.systemType.value = 'central-ac';
+      form.dispatchEvent(new window.Event('change', { bubbles: true }));
+      result.querySelector('.cost-estimate-quote').click();
+
+      expect(quoteForm.elements.service.value).toBe('installation');
+      expect(quoteForm.elements.homeSize.value).toBe('1800');
+      expect(quoteForm.elements.message.value)
+        .toBe('I would like a quote for: Central air conditioner, 4 tons, 1800 sq ft. Online estimate: $6,850 – $9,300.');
+      expect(document.activeElement).toBe(quoteForm.elements.service);
+
+      detach();
+      container.remove();
+    });
+
+    test('should leave the service alone when the quote form does not offer it', () => {
+      const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const container = document.createElement('section');
+      container.innerHTML = `
+        <div class="cost-estimator" hidden>
+          <form data-cost-estimator data-quote-form="estimate-other-form">
+            <input type="number" name="squareFeet" value="1800">
+            <select name="systemType"><option value="central-ac">Central air conditioner</option></select>
+            <select name="urgency"><option value="standard">Standard</option></select>
+          </form>
+          <div class="cost-estimate" hidden>
+            <p class="cost-estimate-range"></p>
+            <ul class="cost-estimate-breakdown"></ul>
+            <button type="button" class="cost-estimate-quote">Get this quote</button>
+          </div>
+        </div>
+        <form id="estimate-other-form">
+          <select name="service"><option value="">Select</option><option value="repair">Repair</option></select>
+          <input type="number" name="homeSize">
+        </form>`;
+      document.body.appendChild(container);
+
+      const quoteForm = container.querySelector('#estimate-other-form');
+      const detach = costEstimator.attach(container.querySelector('[data-cost-estimator]'), pricing);
+
+      container.querySelector('.cost-estimate-quote').click();
+
+      expect(quoteForm.elements.service.value).toBe('');
+      expect(quoteForm.elements.homeSize.value).toBe('1800');
+      expect(consoleWarn).toHaveBeenCalledWith('Cost estimator: the quote form has no "installation" service');
+
+      consoleWarn.mockRestore();
+      detach();
+      container.remove();
+    });
+  });
+
+  describe('🔎 Service Details', () => {
+    const serviceDetails = require('../js/service-details.js');
+    const requestForm = serviceDetails.config.requestForm;
+    let container;
+    let detach;
+
+    beforeEach(() => {
+      container = document.createElement('section');
+      container.innerHTML = `
+        <article class="service-card" data-service="repair">
+          <h3><a href="#services/repair">HVAC Repair</a></h3>
+          <p>Fast and reliable repairs.</p>
+        </article>
+        <dialog class="service-dialog" data-service="repair" aria-labelledby="details-title">
+          <h3 id="details-title">HVAC Repair</h3>
+          <button type="button" class="service-dialog-close" aria-label="Close">&times;</button>
+          <button type="button" class="service-dialog-request">Request this service</button>
+        </dialog>
+        <section id="details-contact">
+          <form id="details-request-form">
+            <select name="service">
+              <option value="">Select</option>
+              <option value="repair">Repair</option>
+            </select>
+          </form>
+        </section>`;
+      document.body.appendChild(container);
+      serviceDetails.config.requestForm = 'details-request-form';
+    });
+
+    afterEach(() => {
+      detach();
+      container.remove();
+      serviceDetails.config.requestForm = requestForm;
+      window.history.replaceState(null, '', '/');
+    });
+
+    test('should open the dialog linked to on page load and close it', () => {
+      window.history.replaceState(null, '', '#services/repair');
+      detach = serviceDetails.attach(container);
+
+      const dialog = container.querySelector('dialog');
+      expect(dialog.open).toBe(true);
+      expect(document.activeElement).toBe(dialog.querySelector('.service-dialog-close'));
+
+      dialog.querySelector('.service-dialog-close').click();
+
+      expect(dialog.open).toBe(false);
+      expect(window.location.hash).toBe('#services');
+      expect(document.activeElement).toBe(container.querySelector('.service-card a'));
+    });
+
+    test('should open from the card and request the service', () => {
+      detach = serviceDetails.attach(container);
+
+      const dialog = container.querySelector('dialog');
+      container.querySelector('.service-card p').click();
+
+      expect(dialog.open).toBe(true);
+      expect(window.location.hash).toBe('#services/repair');
+
+      dialog.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+      expect(dialog.open).toBe(false);
+
+      container.querySelector('.service-card a').click();
+      dialog.querySelector('.service-dialog-request').click();
+
+      const select = container.querySelector('select');
+      expect(dialog.open).toBe(false);
+      expect(select.value).toBe('repair');
+      expect(document.activeElement).toBe(select);
+      expect(window.location.hash).toBe('#details-contact');
+    });
+  });
+
+  describe('📎 Attachments', () => {
+    const attachments = require('../js/attachments.js');
+    const { validateAttachments, ATTACHMENT_LIMITS } = require('../js/validation-rules.js');
+    const megabyte = 1024 * 1024;
+
+    test('should check the type, size and number of attachments', () => {
+      const photo = { name: 'furnace.jpg', type: 'image/jpeg', size: 2 * megabyte };
+
+      expect(validateAttachments([photo, { name: 'leak.mov', type: 'video/quicktime', size: 9 * megabyte }])).toBeNull();
+      expect(validateAttachments([{ name: 'invoice.pdf', type: 'application/pdf', size: 1000 }]))
+        .toBe('invoice.pdf is not a photo or video we can accept (JPEG, PNG, WebP, HEIC, MP4, MOV or WebM)');
+      expect(validateAttachments([{ name: 'walkthrough.mp4', type: 'video/mp4', size: 11 * megabyte }]))
+        .toBe('walkthrough.mp4 is larger than 10 MB');
+      expect(validateAttachments(new Array(ATTACHMENT_LIMITS.maxFiles + 1).fill(photo)))
+        .toBe('Please attach no more than 5 files');
+      expect(validateAttachments([photo].concat(new Array(3).fill({ name: 'clip.webm', type: 'video/webm', size: 8 * megabyte }))))
+        .toBe('Attachments may not add up to more than 25 MB');
+    });
+
+    test('should strip the EXIF and IPTC segments of a JPEG', () => {
+      const segment = (marker, ...data) => [0xFF, marker, 0, data.length + 2, ...data];
+      const jpeg = Uint8Array.from([
+        0xFF, 0xD8,
+        ...segment(0xE0, 0x4A, 0x46),
+        ...segment(0xE1, 0x45, 0x78, 0x69, 0x66),
+        ...segment(0xED, 0x38),
+        ...segment(0xDB, 0x01),
+        0xFF, 0xDA, 0, 2, 0x11, 0xE1, 0x22,
+        0xFF, 0xD9
+      ]);
+
+      expect(Array.from(attachments.stripJpegMetadata(jpeg))).toEqual([
+        0xFF, 0xD8,
+        ...segment(0xE0, 0x4A, 0x46),
+        ...segment(0xDB, 0x01),
+        0xFF, 0xDA, 0, 2, 0x11, 0xE1, 0x22,
+        0xFF, 0xD9
+      ]);
+      expect(attachments.stripJpegMetadata(Uint8Array.from([0x89, 0x50, 0x4E, 0x47]))).toEqual(Uint8Array.from([0x89, 0x50, 0x4E, 0x47]));
+    });
+
+    test('should list dropped files, reject invalid ones and submit the rest', async () => {
+      const container = document.createElement('section');
+      container.innerHTML = `
+        <form id="attachments-form">
+          <div class="form-group">
+            <div class="attachment-dropzone">
+              <input type="file" id="a-files" name="attachments" multiple data-attachments>
+            </div>
+            <ul class="attachment-list" hidden></ul>
+            <span class="error-message"></span>
+          </div>
+          <button type="submit">Send</button>
+        </form>`;
+      document.body.appendChild(container);
+
+      const form = container.querySelector('form');
+      const input = form.querySelector('input');
+      const onSubmit = jest.fn(() => Promise.resolve());
+      const controller = formValidation.attach(form, { onSubmit, rules: {}, spamProtection: false, autosave: false });
+      const detach = attachments.attach(input);
+      const changed = () => new Promise(resolve => input.addEventListener('thermocool:attachments-change', resolve, { once: true }));
+
+      const drop = new window.Event('drop', { bubbles: true, cancelable: true });
+      drop.dataTransfer = {
+        types: ['Files'],
+        files: [
+          new window.File(['video'], 'noise.mp4', { type: 'video/mp4' }),
+          new window.File(['%PDF'], 'invoice.pdf', { type: 'application/pdf' })
+        ]
+      };
+      const dropped = changed();
+      form.querySelector('.attachment-dropzone').dispatchEvent(drop);
+      await dropped;
+
+      const list = form.querySelector('.attachment-list');
+      expect(drop.defaultPrevented).toBe(true);
+      expect(list.hidden).toBe(false);
+      expect(Array.from(list.querySelectorAll('.attachment-name'), name => name.textContent)).toEqual(['noise.mp4']);
+      expect(list.querySelector('.attachment-remove').getAttribute('aria-label')).toBe('Remove noise.mp4');
+      expect(input.getAttribute('aria-invalid')).toBe('true');
+      expect(form.querySelector('.error-message').textContent).toContain('invoice.pdf');
+
+      form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const [, context] = onSubmit.mock.calls[0];
+      expect(context.files).toHaveLength(1);
+      expect(context.files[0].field).toBe('attachments');
+      expect(context.files[0].file.name).toBe('noise.mp4');
+
+      const removed = changed();
+      list.querySelector('.attachment-remove').click();
+      await removed;
+
+      expect(list.hidden).toBe(true);
+      expect(document.activeElement).toBe(input);
+      expect(input.getAttribute('aria-invalid')).toBe('false');
+
+      detach();
+      controller.detach();
+      container.remove();
+    });
+
+    test('should leave out files that cannot be read and keep the others', async () => {
+      const container = document.createElement('section');
+      container.innerHTML = `
+        <form id="unreadable-form">
+          <div class="form-group">
+            <div class="attachment-dropzone">
+              <input type="file" id="u-files" name="attachments" multiple data-attachments>
+            </div>
+            <ul class="attachment-list" hidden></ul>
+            <span class="error-message"></span>
+          </div>
+        </form>`;
+      document.body.appendChild(container);
+
+      const input = container.querySelector('input');
+      const detach = attachments.attach(input);
+      const changed = new Promise(resolve => input.addEventListener('thermocool:attachments-change', resolve, { once: true }));
+      const unreadable = new window.File(['photo'], 'gone.jpg', { type: 'image/jpeg' });
+      unreadable.arrayBuffer = () => Promise.reject(new Error('The file was removed'));
+
+      const drop = new window.Event('drop', { bubbles: true, cancelable: true });
+      drop.dataTransfer = { types: ['Files'], files: [unreadable, new window.File(['video'], 'noise.mp4', { type: 'video/mp4' })] };
+      container.querySelector('.attachment-dropzone').dispatchEvent(drop);
+      const event = await changed;
+
+      expect(event.detail.files.map(file => file.name)).toEqual(['noise.mp4']);
+      expect(event.detail.error).toBe('gone.jpg could not be read. Please choose it again.');
+      expect(container.querySelector('.error-message').textContent).toBe('gone.jpg could not be read. Please choose it again.');
+
+      detach();
+      container.remove();
+    });
+  });
+
+  describe('🔢 Character Counter', () => {
+    const characterCounter = require('../js/character-counter.js');
+    const rules = {
+      note: { maxLength: 20, minLength: 5, errorMessages: {} },
+      title: { maxLength: 10, errorMessages: {} }
+    };
+    let container;
+    let form;
+    let detach;
+
+    const type = (field, value) => {
+      field.value = value;
+      field.dispatchEvent(new window.Event('input', { bubbles: true }));
+    };
+
+    beforeEach(() => {
+      container = document.createElement('section');
+      container.innerHTML = `
+        <form id="counter-form">
+          <div class="form-group">
+            <textarea id="c-note" name="note" aria-describedby="c-note-hint"></textarea>
+            <p id="c-note-hint">What do you need?</p>
+          </div>
+          <div class="form-group"><input type="text" id="c-title" name="title"></div>
+          <div class="form-group"><input type="text" id="c-zip" name="zip" maxlength="5"></div>
+          <div class="form-group"><input type="text" id="c-free" name="free"></div>
+        </form>`;
+      document.body.appendChild(container);
+      form = container.querySelector('form');
+      detach = characterCounter.attach(form, { rules, conditions: [] });
+    });
+
+    afterEach(() => {
+      detach();
+      container.remove();
+    });
+
+    test('should count against the rules and announce only threshold crossings', () => {
+      const note = form.querySelector('#c-note');
+      const counter = form.querySelector('#c-note-counter');
+      const status = form.querySelector('[role="status"]');
+
+      expect(counter.hidden).toBe(false);
+      expect(counter.textContent).toBe('0 of 20 characters');
+      expect(note.getAttribute('aria-describedby')).toBe('c-note-hint c-note-counter');
+
+      type(note, 'Hi');
+      expect(counter.dataset.state).toBe('short');
+      expect(counter.textContent).toBe('2 of 20 characters, at least 5 needed');
+      expect(status.textContent).toBe('');
+
+      type(note, 'Please fix my AC');
+      expect(counter.dataset.state).toBe('ok');
+
+      type(note, 'Please fix my AC now');
+      expect(counter.dataset.state).toBe('limit');
+      expect(status.textContent).toBe('Character limit reached');
+
+      type(note, 'Please fix my AC now!!');
+      expect(counter.dataset.state).toBe('over');
+      expect(status.textContent).toBe('Characters over the limit: 2');
+
+      type(note, 'Please fix my AC now!!!');
+      expect(status.textContent).toBe('Characters over the limit: 2');
+
+      type(note, 'Please fix my AC no');
+      expect(counter.dataset.state).toBe('warning');
+      expect(status.textContent).toBe('Characters left: 1');
+      expect(note.style.height).toMatch(/px$/);
+    });
+
+    test('should show counters of single-line fields near their limit only', () => {
+      const title = form.querySelector('#c-title');
+      const zip = form.querySelector('#c-zip');
+      const counter = form.querySelector('#c-title-counter');
+
+      expect(form.querySelector('#c-free-counter')).toBeNull();
+      expect(counter.hidden).toBe(true);
+      expect(title.hasAttribute('aria-describedby')).toBe(false);
+
+      type(title, 'Furnace');
+      expect(counter.hidden).toBe(true);
+
+      type(title, 'Furnace AC');
+      expect(counter.hidden).toBe(false);
+      expect(counter.textContent).toBe('10 of 10 characters');
+      expect(title.getAttribute('aria-describedby')).toBe('c-title-counter');
+
+      // Limits from the markup count too
+      type(zip, '10001');
+      expect(form.querySelector('#c-zip-counter').dataset.state).toBe('limit');
+
+      detach();
+      detach = () => {};
+      expect(form.querySelector('.character-counter')).toBeNull();
+      expect(title.hasAttribute('aria-describedby')).toBe(false);
+      expect(form.querySelector('#c-note').getAttribute('aria-describedby')).toBe('c-note-hint');
+    });
+  });
+
+  describe('🧾 Error Summary', () => {
+    let container;
+    let form;
+
+    const submit = async () => {
+      form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+      await new Promise(resolve => setTimeout(resolve, 0));
+    };
+
+    beforeEach(() => {
+      container = document.createElement('section');
+      container.innerHTML = `
+        <form id="summary-form">
+          <div class="form-group">
+            <label for="s-company">Company</label>
+            <input type="text" id="s-company" name="company" value="ThermoCool">
+          </div>
+          <div class="form-group">
+            <label for="s-name">Your Name <span class="required">*</span></label>
+            <input type="text" id="s-name" name="name" required data-error-required="Enter your name">
+          </div>
+          <div class="form-group">
+            <label for="s-email">Email</label>
+            <input type="email" id="s-email" name="email" required data-error-required="Enter your email">
+          </div>
+          <button type="submit">Send</button>
+        </form>`;
+      document.body.appendChild(container);
+      form = container.querySelector('form');
+      formValidation.attach(form, { rules: {}, conditions: [], spamProtection: false, autosave: false, onSubmit: jest.fn() });
+    });
+
+    afterEach(() => {
+      formValidation.detach(form);
+      container.remove();
+    });
+
+    test('should focus the first invalid field even when it is not the first field', () => {
+      expect(formValidation.validateForm(form, {}, [])).toBe(false);
+      expect(document.activeElement).toBe(form.querySelector('#s-name'));
+      expect(form.querySelector('#s-name').classList.contains('field-error')).toBe(true);
+    });
+
+    test('should list every error on a failed submit and follow the fixes', async () => {
+      await submit();
+
+      const summary = form.querySelector('.error-summary');
+      const links = () => Array.from(summary.querySelectorAll('a')).map(link => link.textContent);
+
+      expect(form.firstElementChild).toBe(summary);
+      expect(document.activeElement).toBe(summary);
+      expect(document.getElementById(summary.getAttribute('aria-labelledby')).textContent)
+        .toBe('Please correct the following (2)');
+      expect(links()).toEqual(['Your Name: Enter your name', 'Email: Enter your email']);
+
+      summary.querySelector('a[href="#s-email"]').click();
+      expect(document.activeElement).toBe(form.querySelector('#s-email'));
+      expect(form.querySelector('#s-email').getAttribute('aria-invalid')).toBe('true');
+
+      form.querySelector('#s-name').value = 'Jane Doe';
+      form.querySelector('#s-name').dispatchEvent(new window.Event('blur'));
+      expect(links()).toEqual(['Email: Enter your email']);
+      expect(summary.textContent).toContain('Please correct the following (1)');
+
+      form.querySelector('#s-email').value = 'jane@example.com';
+      form.querySelector('#s-email').dispatchEvent(new window.Event('blur'));
+      expect(form.querySelector('.error-summary')).toBeNull();
+    });
+  });
+
+  describe('📡 Form Events and Hooks', () => {
+    let container;
+    let form;
+    let events;
+
+    const record = event => events.push({ type: event.type.replace('thermocool:', ''), detail: event.detail });
+
+    const submit = async () => {
+      form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+    };
+
+    beforeEach(() => {
+      container = document.createElement('section');
+      container.innerHTML = `
+        <form id="events-form">
+          <div class="form-group">
+            <input type="email" id="events-email" name="email" required data-error-required="Enter your email">
+          </div>
+          <button type="submit">Send</button>
+        </form>`;
+      document.body.appendChild(container);
+      form = container.querySelector('form');
+      events = [];
+      ['field-invalid', 'field-valid', 'submit-attempt', 'submit-success', 'submit-error', 'submit-cancel'].forEach(type => {
+        container.addEventListener(`thermocool:${type}`, record);
+      });
+    });
+
+    afterEach(() => {
+      formValidation.detach(form);
+      container.remove();
+    });
+
+    test('should report field state changes and submit attempts', async () => {
+      formValidation.attach(form, { rules: {}, conditions: [], spamProtection: false, autosave: false, onSubmit: jest.fn() });
+      const email = form.querySelector('#events-email');
+
+      email.dispatchEvent(new window.Event('blur'));
+      email.dispatchEvent(new window.Event('blur'));
+      await submit();
+
+      expect(events.map(event => event.type)).toEqual(['field-invalid', 'submit-attempt']);
+      expect(events[0].detail).toEqual({ field: email, name: 'email', message: 'Enter your email', source: 'client' });
+      expect(events[1].detail).toEqual({ valid: false, errors: { email: 'Enter your email' } });
+
+      email.value = 'jane@example.com';
+      email.dispatchEvent(new window.Event('blur'));
+
+      expect(events[2]).toEqual({ type: 'field-valid', detail: { field: email, name: 'email' } });
+    });
+
+    test('should let beforeSubmit transform or cancel the data and report the outcome', async () => {
+      const onSubmit = jest.fn(() => Promise.resolve({ success: true, id: 'lead-1' }));
+      const afterSubmit = jest.fn();
+      let cancel = true;
+
+      formValidation.attach(form, {
+        rules: {},
+        conditions: [],
+        spamProtection: false,
+        autosave: false,
+        onSubmit,
+        afterSubmit,
+        beforeSubmit: data => (cancel ? false : Object.assign({}, data, { source: 'landing-page' }))
+      });
+      form.querySelector('#events-email').value = 'jane@example.com';
+
+      await submit();
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(afterSubmit).not.toHaveBeenCalled();
+      expect(events.find(event => event.type === 'submit-cancel').detail).toEqual({ data: { email: 'jane@example.com' } });
+      expect(form.querySelector('[type="submit"]').disabled).toBe(false);
+
+      cancel = false;
+      await submit();
+
+      const data = { email: 'jane@example.com', source: 'landing-page' };
+      expect(onSubmit).toHaveBeenCalledWith(data, expect.objectContaining({ form }));
+      expect(events.find(event => event.type === 'submit-success').detail)
+        .toEqual({ data, response: { success: true, id: 'lead-1' }, queued: false });
+      expect(afterSubmit).toHaveBeenCalledWith(
+        { success: true, queued: false, data, response: { success: true, id: 'lead-1' }, error: null },
+        expect.objectContaining({ form })
+      );
+    });
+
+    test('should report a rate-limited submission to afterSubmit', async () => {
+      const spamProtection = require('../js/spam-protection.js');
+      const onSubmit = jest.fn();
+      const afterSubmit = jest.fn();
+      const { minimumFillTime, maxSubmissions } = spamProtection.config;
+
+      spamProtection.config.minimumFillTime = 0;
+      spamProtection.config.maxSubmissions = 1;
+      spamProtection.recordSubmission(form);
+
+      formValidation.attach(form, { rules: {}, conditions: [], autosave: false, onSubmit, afterSubmit });
+      form.querySelector('#events-email').value = 'jane@example.com';
+
+      await submit();
+
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(afterSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          data: { email: 'jane@example.com' },
+          error: expect.objectContaining({ body: { success: false, code: 'rate_limited', errors: {} } })
+        }),
+        expect.objectContaining({ form })
+      );
+      expect(events.find(event => event.type === 'submit-error').detail)
+        .toEqual(expect.objectContaining({ code: 'rate_limited', errors: {} }));
+
+      Object.assign(spamProtection.config, { minimumFillTime, maxSubmissions });
+      window.localStorage.clear();
+    });
+
+    test('should report an accepted submission even if confirming it fails', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      formValidation.attach(form, {
+        rules: {},
+        conditions: [],
+        spamProtection: false,
+        autosave: false,
+        confirmation: 'redirect',
+        thankYouUrl: 'http://[invalid',
+        onSubmit: () => Promise.resolve({ success: true })
+      });
+      form.querySelector('#events-email').value = 'jane@example.com';
+
+      await submit();
+
+      expect(events.map(event => event.type)).toEqual(['field-valid', 'submit-attempt', 'submit-success']);
+      expect(container.querySelector('.form-error-message')).toBeNull();
+      expect(consoleError).toHaveBeenCalledWith('Failed to confirm form submission', expect.objectContaining({ name: 'TypeError' }));
+      consoleError.mockRestore();
+    });
+
+    test('should dispatch submit-error with the server error details', async () => {
+      const error = { status: 409, body: { code: 'duplicate_lead', message: 'Already received', errors: { email: 'Already used' } } };
+
+      formValidation.attach(form, {
+        rules: {},
+        conditions: [],
+        spamProtection: false,
+        autosave: false,
+        onSubmit: () => Promise.reject(error)
+      });
+      form.querySelector('#events-email').value = 'jane@example.com';
+
+      await submit();
+
+      expect(events.find(event => event.type === 'field-invalid').detail.source).toBe('server');
+      expect(events.find(event => event.type === 'submit-error').detail)
+        .toEqual({ data: { email: 'jane@example.com' }, error, code: 'duplicate_lead', errors: { email: 'Already used' } });
+    });
+  });
+
+  describe('🎉 Confirmation', () => {
+    let container;
+    let form;
+
+    const submit = async () => {
+      form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+    };
+
+    beforeEach(() => {
+      container = document.createElement('section');
+      container.innerHTML = `
+        <form id="confirm-form">
+          <div class="form-group">
+            <input type="email" id="confirm-email" name="email" required>
+          </div>
+          <button type="submit">Send</button>
+        </form>`;
+      document.body.appendChild(container);
+      form = container.querySelector('form');
+    });
+
+    afterEach(() => {
+      formValidation.detach(form);
+      container.remove();
+    });
+
+    test('should replace the form with a thank-you panel until the visitor sends another', async () => {
+      form.dataset.confirmation = 'panel';
+      formValidation.attach(form, {
+        rules: {},
+        conditions: [],
+        spamProtection: false,
+        autosave: false,
+        onSubmit: () => Promise.resolve({ success: true, reference: 'TC-20240315-7F3A9C' })
+      });
+      form.querySelector('#confirm-email').value = 'jane@example.com';
+
+      await submit();
+
+      const panel = container.querySelector('.form-confirmation');
+      expect(form.hidden).toBe(true);
+      expect(document.activeElement).toBe(panel);
+      expect(document.getElementById(panel.getAttribute('aria-labelledby')).textContent).toBe('Request sent');
+      expect(panel.querySelector('.form-confirmation-reference').textContent).toBe('Your reference number: TC-20240315-7F3A9C');
+      expect(panel.querySelectorAll('.form-confirmation-steps li')).toHaveLength(3);
+      expect(form.querySelector('#confirm-email').value).toBe('jane@example.com');
+
+      panel.querySelector('.form-confirmation-send-another').click();
+
+      expect(container.querySelector('.form-confirmation')).toBeNull();
+      expect(form.hidden).toBe(false);
+      expect(form.querySelector('#confirm-email').value).toBe('');
+      expect(document.activeElement).toBe(form.querySelector('#confirm-email'));
+    });
+
+    test('should confirm above the form and keep its values by default', async () => {
+      formValidation.attach(form, {
+        rules: {},
+        conditions: [],
+        spamProtection: false,
+        autosave: false,
+        onSubmit: () => Promise.resolve({ success: true, reference: 'TC-20240315-7F3A9C' })
+      });
+      form.querySelector('#confirm-email').value = 'jane@example.com';
+
+      await submit();
+
+      const message = container.querySelector('.success-message');
+      expect(document.activeElement).toBe(message);
+      expect(message.querySelector('.success-reference').textContent).toBe('Your reference number: TC-20240315-7F3A9C');
+      expect(form.hidden).toBe(false);
+      expect(form.querySelector('#confirm-email').value).toBe('jane@example.com');
+      expect(container.querySelector('.success-send-another').textContent).toBe('Send another request');
+    });
+  });
+
+  describe('💾 Draft Autosave', () => {
+    const draftKey = 'thermocool:draft:/#draft-form';
+    let container;
+    let form;
+
+    beforeEach(() => {
+      container = document.createElement('section');
+      container.innerHTML = `
+        <form id="draft-form">
+          <div class="form-group"><input type="text" id="d-name" name="name" /></div>
+          <div class="form-group">
+            <select id="d-service" name="service">
+              <option value="">Select</option>
+              <option value="repair">Repair</option>
+              <option value="other">Other</option>
+            </select>
+          </div>
+          <div class="form-group"><input type="text" id="d-description" name="serviceDescription" /></div>
+          <div class="form-group"><textarea id="d-message" name="message"></textarea></div>
+          <input type="text" name="company_website" />
+        </form>
+      `;
+      document.body.appendChild(container);
+      form = container.querySelector('form');
+    });
+
+    afterEach(() => {
+      formValidation.detach(form);
+      container.remove();
+      window.localStorage.removeItem(draftKey);
+    });
+
+    /**
+     * Types a value into a field
+     * @param {HTMLElement} field - The form field
+     * @param {string} value - Value to type
+     */
+    function type(field, value) {
+      field.value = value;
+      field.dispatchEvent(new window.Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Saves a draft as a previous visit would have
+     * @param {Object} values - Saved values
+     * @param {number} [age=0] - Age of the draft in milliseconds
+     */
+    function storeDraft(values, age = 0) {
+      window.localStorage.setItem(draftKey, JSON.stringify({ savedAt: Date.now() - age, values }));
+    }
+
+    test('should save changed values once typing pauses, without the honeypot', async () => {
+      formValidation.attach(form, Object.assign({}, formValidation.CONTACT_FORM_OPTIONS, { validationDelay: 10 }));
+
+      type(form.querySelector('#d-message'), 'The furnace makes a loud noise');
+      type(form.elements.company_website, 'https://spam.example');
+
+      expect(window.localStorage.getItem(draftKey)).toBeNull();
+
+      await new Promise(r => setTimeout(r, 20));
+
+      expect(JSON.parse(window.localStorage.getItem(draftKey)).values)
+        .toEqual({ message: 'The furnace makes a loud noise' });
+    });
+
+    test('should offer to restore a saved draft and fill the form on request', () => {
+      storeDraft({ name: 'Jane Doe', service: 'other', serviceDescription: 'Duct cleaning' });
+      formValidation.attach(form, formValidation.CONTACT_FORM_OPTIONS);
+
+      const prompt = container.querySelector('.draft-prompt');
+
+      expect(prompt.hidden).toBe(false);
+      expect(prompt.getAttribute('role')).toBe('status');
+
+      prompt.querySelector('.draft-prompt-restore').click();
+
+      expect(form.querySelector('#d-name').value).toBe('Jane Doe');
+      expect(form.querySelector('#d-service').value).toBe('other');
+      expect(form.querySelector('#d-description').value).toBe('Duct cleaning');
+      expect(form.querySelector('#d-description').disabled).toBe(false);
+      expect(prompt.hidden).toBe(true);
+      expect(document.activeElement).toBe(form.querySelector('#d-name'));
+    });
+
+    test('should drop the draft when the visitor starts over', () => {
+      storeDraft({ name: 'Jane Doe' });
+      formValidation.attach(form, formValidation.CONTACT_FORM_OPTIONS);
+
+      container.querySelector('.draft-prompt-discard').click();
+
+      expect(form.querySelector('#d-name').value).toBe('');
+      expect(window.localStorage.getItem(draftKey)).toBeNull();
+    });
+
+    test('should ignore and remove expired drafts', () => {
+      storeDraft({ name: 'Jane Doe' }, 2 * 60 * 60 * 1000);
+      formValidation.attach(form, Object.assign({}, formValidation.CONTACT_FORM_OPTIONS, { draftExpiry: 60 * 60 * 1000 }));
+
+      expect(container.querySelector('.draft-prompt')).toBeNull();
+      expect(window.localStorage.getItem(draftKey)).toBeNull();
+    });
+
+    test('should clear the draft on reset and after a confirmed submission', async () => {
+      const onSubmit = jest.fn(() => Promise.resolve());
+
+      formValidation.attach(form, { autosave: true, onSubmit, validationDelay: 0 });
+
+      storeDraft({ name: 'Jane Doe' });
+      form.reset();
+      expect(window.localStorage.getItem(draftKey)).toBeNull();
+
+      storeDraft({ name: 'Jane Doe' });
+      form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+      await new Promise(r => setTimeout(r, 20));
+
+      expect(onSubmit).toHaveBeenCalled();
+      expect(window.localStorage.getItem(draftKey)).toBeNull();
+    });
+  });
+
+  describe('🪜 Multi-step Wizard', () => {
+    let container;
+    let form;
+    let controller;
+    let onSubmit;
+
+    beforeEach(() => {
+      window.history.replaceState(null, '', '/');
+      container = document.createElement('section');
+      container.innerHTML = `
+        <form id="wizard-form">
+          <fieldset class="form-step" data-step="service">
+            <legend>Service</legend>
+            <div class="form-group">
+              <select id="w-service" name="service">
+                <option value="">Select</option>
+                <option value="repair">Repair</option>
+              </select>
+            </div>
+          </fieldset>
+          <fieldset class="form-step" data-step="property">
+            <legend>Property</legend>
+            <div class="form-group"><input type="text" id="w-size" name="homeSize" /></div>
+          </fieldset>
+          <fieldset class="form-step" data-step="contact">
+            <legend>Contact</legend>
+            <div class="form-group"><input type="text" id="w-name" name="name" /></div>
+          </fieldset>
+          <button type="submit">Send</button>
+        </form>
+      `;
+      document.body.appendChild(container);
+      form = container.querySelector('form');
+      onSubmit = jest.fn(() => Promise.resolve());
+      controller = formValidation.attach(form, { onSubmit, rules: formValidation.FIELD_RULES });
+    });
+
+    afterEach(() => {
+      controller.detach();
+      container.remove();
+      window.history.replaceState(null, '', '/');
+    });
+
+    /**
+     * Lists which steps are visible
+     * @returns {boolean[]} Visibility of each step
+     */
+    function visibleSteps() {
+      return Array.from(form.querySelectorAll('.form-step')).map(step => !step.hidden);
+    }
+
+    test('should show the first step with a progress indicator', () => {
+      const items = form.querySelectorAll('.wizard-progress li');
+
+      expect(visibleSteps()).toEqual([true, false, false]);
+      expect(items).toHaveLength(3);
+      expect(items[0].getAttribute('aria-current')).toBe('step');
+      expect(items[1].textContent).toBe('Property');
+      expect(form.querySelector('legend').textContent).toBe('Step 1 of 3Service');
+      expect(form.querySelector('.wizard-back').hidden).toBe(true);
+      expect(form.querySelector('[type="submit"]').hidden).toBe(true);
+    });
+
+    test('should validate only the current step before moving on', async () => {
+      const service = form.querySelector('#w-service');
+
+      expect(await controller.wizard.next()).toBe(false);
+      expect(visibleSteps()).toEqual([true, false, false]);
+      expect(document.activeElement).toBe(service);
+      expect(service.getAttribute('aria-invalid')).toBe('true');
+      expect(form.querySelector('#w-name').getAttribute('aria-invalid')).toBeNull();
+
+      service.value = 'repair';
+
+      expect(await controller.wizard.next()).toBe(true);
+      expect(visibleSteps()).toEqual([false, true, false]);
+      expect(document.activeElement).toBe(form.querySelectorAll('.form-step')[1]);
+      expect(window.location.hash).toBe('#wizard-form/property');
+      expect(form.querySelector('.wizard-progress li').classList.contains('is-complete')).toBe(true);
+    });
+
+    test('should move on instead of submitting from an earlier step', async () => {
+      form.querySelector('#w-service').value = 'repair';
+      form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+      await new Promise(r => setTimeout(r, 20));
+
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(controller.wizard.getCurrentStep()).toBe(1);
+    });
+
+    test('should follow the URL hash without skipping incomplete steps', async () => {
+      window.location.hash = '#wizard-form/contact';
+      await new Promise(r => setTimeout(r, 20));
+
+      expect(controller.wizard.getCurrentStep()).toBe(0);
+      expect(window.location.hash).toBe('#wizard-form/service');
+
+      form.querySelector('#w-service').value = 'repair';
+      await controller.wizard.next();
+      controller.wizard.back();
+
+      expect(controller.wizard.getCurrentStep()).toBe(0);
+
+      window.location.hash = '#wizard-form/property';
+      await new Promise(r => setTimeout(r, 20));
+
+      expect(visibleSteps()).toEqual([false, true, false]);
+    });
+
+    test('should restore a single page form when detached', () => {
+      controller.detach();
+
+      expect(visibleSteps()).toEqual([true, true, true]);
+      expect(form.querySelector('.wizard-progress')).toBeNull();
+      expect(form.querySelector('.wizard-nav')).toBeNull();
+      expect(form.querySelector('legend').textContent).toBe('Service');
+      expect(form.querySelector('[type="submit"]').hidden).toBe(false);
+    });
+  });
+
+  describe('🌐 Localization', () => {
+    const i18n = require('../js/i18n.js');
+    let container;
+
+    beforeAll(() => {
+      i18n.addTranslations('es', require('../locales/es.json'));
+    });
+
+    afterEach(async () => {
+      await i18n.setLocale('en');
+      window.localStorage.removeItem(i18n.config.storageKey);
+      formValidation.detach(container.querySelector('form'));
+      container.remove();
+    });
+
+    beforeEach(() => {
+      container = document.createElement('section');
+      container.innerHTML = `
+        <h2 data-i18n="contact.title">Contact Us</h2>
+        <form id="i18n-form">
+          <div class="form-group">
+            <input type="text" id="i18n-code" name="code" minlength="5"
+                   placeholder="Your full name" data-i18n-attr="placeholder:form.namePlaceholder" />
+          </div>
+          <div class="form-group"><input type="text" id="i18n-note" name="note" required data-error-required="Custom note" /></div>
+        </form>
+      `;
+      document.body.appendChild(container);
+    });
+
+    test('should translate messages and carry placeholder values over', () => {
+      expect(i18n.translate('This field is required', 'es')).toBe('Este campo es obligatorio');
+      expect(i18n.translate('Please enter at least 5 characters', 'es')).toBe('Introduzca al menos 5 caracteres');
+      expect(i18n.translate('Please enter a valid United States phone number', 'es'))
+        .toBe('Introduzca un número de teléfono válido de Estados Unidos');
+      expect(i18n.translate('Custom note', 'es')).toBe('Custom note');
+      expect(i18n.translate('This field is required', 'en')).toBe('This field is required');
+    });
+
+    test('should translate contact field limits and server rejections', () => {
+      const { FIELD_RULES: rules, ERROR_MESSAGES } = require('../js/validation-rules.js');
+
+      expect(i18n.translate(rules.name.errorMessages.minLength, 'es')).toBe('El nombre debe tener al menos 2 caracteres');
+      expect(i18n.translate(rules.message.errorMessages.maxLength, 'es')).toBe('El mensaje no debe superar los 1000 caracteres');
+      expect(i18n.translate(ERROR_MESSAGES.DUPLICATE_LEAD, 'es'))
+        .toBe('Ya recibimos esta solicitud y nos pondremos en contacto con usted pronto. No es necesario enviarla de nuevo.');
+      expect(i18n.translate(ERROR_MESSAGES.EMAIL_DOMAIN_BLOCKED, 'es'))
+        .toBe('No podemos aceptar solicitudes de este proveedor de correo. Use otra dirección de correo electrónico.');
+    });
+
+    test('should swap page copy, shown errors and the page language', async () => {
+      const form = container.querySelector('form');
+      const code = form.querySelector('#i18n-code');
+      const listener = jest.fn();
+
+      formValidation.attach(form);
+      code.value = 'abc';
+      code.dispatchEvent(new window.Event('blur'));
+      document.addEventListener('thermocool:locale-change', listener);
+
+      await i18n.setLocale('es');
+
+      expect(document.documentElement.lang).toBe('es');
+      expect(container.querySelector('h2').textContent).toBe('Contáctenos');
+      expect(code.placeholder).toBe('Su nombre completo');
+      expect(form.querySelector('.error-message').textContent).toBe('Introduzca al menos 5 caracteres');
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ detail: { locale: 'es' } }));
+      expect(window.localStorage.getItem(i18n.config.storageKey)).toBe('es');
+
+      await i18n.setLocale('en');
+
+      expect(container.querySelector('h2').textContent).toBe('Contact Us');
+      expect(code.placeholder).toBe('Your full name');
+      expect(form.querySelector('.error-message').textContent).toBe('Please enter at least 5 characters');
+
+      document.removeEventListener('thermocool:locale-change', listener);
+    });
+
+    test('should reject locales without translations', async () => {
+      await expect(i18n.setLocale('fr')).rejects.toThrow('Unsupported locale: fr');
+      expect(i18n.getLocale()).toBe('en');
     });
   });
 
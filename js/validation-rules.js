@@ -0,0 +1,690 @@
+/**
+ * Validation Rules Module
+ *
+ * Shared validation rules used by the contact form in the browser and by the
+ * local backend (server/server.js), so both sides apply exactly the same checks:
+ * - Field patterns and error messages
+ * - Per-field rules (required, pattern, min/max length, numeric range)
+ * - Rules derived from HTML attributes (required, minlength, maxlength,
+ *   pattern, min, max, type, data-error-*), overridable by the JS rules
+ * - Conditional rules that depend on the values of other fields
+ * - Country-aware phone validation and E.164 normalization (js/phone-numbers.js)
+ * - Unicode-aware name validation
+ * - Optional blocking of disposable email domains (js/email-domains.js)
+ * - Appointment windows within the business hours (js/business-hours.js)
+ * - Single field and whole submission validation
+ * - Limits on the number, type and size of attached photos and videos
+ *
+ * @module validation-rules
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const isCommonJs = typeof module !== 'undefined' && module.exports;
+  const PhoneNumbers = isCommonJs ? require('./phone-numbers.js') : window.ThermoCoolPhoneNumbers;
+  const EmailDomains = isCommonJs ? require('./email-domains.js') : window.ThermoCoolEmailDomains;
+  const BusinessHours = isCommonJs ? require('./business-hours.js') : window.ThermoCoolBusinessHours;
+
+  // Validation patterns
+  const VALIDATION_PATTERNS = Object.freeze({
+    EMAIL: /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/,
+    PHONE: /^\+?[\d\s\-().]+$/,
+    // Letters of any script with combining marks, spaces, hyphens, periods and
+    // straight or typographic apostrophes; at least one letter, not starting with a mark
+    NAME: /^(?!\p{M})(?=.*\p{L})[\p{L}\p{M}\s'\u2018\u2019\u02BC.\-\u2010]+$/u,
+    // Web addresses that fit in the characters of a name, e.g. "cheap-hvac.com"
+    NAME_URL: /\.(?:com|net|org|info|biz|io|co|us|ca|mx|ru|cn|xyz|top|online|site|shop)(?=$|[\s.])|^www\./iu,
+    URL: /^https?:\/\/[^\s/$.?#][^\s]*$/i,
+    NUMBER: /^-?\d+(?:\.\d+)?$/,
+    // US ZIP and ZIP+4 codes
+    ZIP: /^\d{5}(?:-\d{4})?$/
+  });
+
+  // Validation error messages
+  const ERROR_MESSAGES = Object.freeze({
+    REQUIRED: 'This field is required',
+    EMAIL_INVALID: 'Please enter a valid email address',
+    PHONE_INVALID: 'Please enter a valid phone number',
+    NAME_INVALID: 'Please enter a valid name (letters, spaces, hyphens, and apostrophes only)',
+    NAME_URL: 'Please enter your name rather than a web address',
+    EMAIL_DISPOSABLE: 'Please use a permanent email address so we can reach you',
+    NAME_TOO_SHORT: 'Name must be at least {min} characters long',
+    NAME_TOO_LONG: 'Name must not exceed {max} characters',
+    EMAIL_TOO_LONG: 'Email must not exceed {max} characters',
+    MESSAGE_TOO_SHORT: 'Message must be at least {min} characters long',
+    MESSAGE_TOO_LONG: 'Message must not exceed {max} characters',
+    SERVICE_DESCRIPTION_TOO_LONG: 'Description must not exceed {max} characters',
+    PHONE_TOO_SHORT: 'Phone number must be at least 10 digits',
+    PHONE_TOO_LONG: 'Phone number must not exceed 20 digits',
+    URL_INVALID: 'Please enter a valid web address starting with http:// or https://',
+    NUMBER_INVALID: 'Please enter a number',
+    PATTERN_MISMATCH: 'Please match the requested format',
+    TOO_SHORT: 'Please enter at least {minLength} characters',
+    TOO_LONG: 'Please enter no more than {maxLength} characters',
+    RANGE_UNDERFLOW: 'Please enter a value of at least {min}',
+    RANGE_OVERFLOW: 'Please enter a value of no more than {max}',
+    PHONE_REQUIRED_EMERGENCY: 'Please enter a phone number so we can reach you right away',
+    SERVICE_DESCRIPTION_REQUIRED: 'Please describe the service you need',
+    PHONE_INVALID_FOR_COUNTRY: 'Please enter a valid {country} phone number',
+    PHONE_LENGTH_FOR_COUNTRY: '{country} phone numbers have {length} digits',
+    PHONE_COUNTRY_CODE_REQUIRED: 'Please include the country code, starting with +',
+    PHONE_INTERNATIONAL_INVALID: 'Please enter a valid international phone number',
+    CHOICE_INVALID: 'Please choose one of the listed options',
+    HOME_SIZE_RANGE: 'Please enter a home size between 200 and 20,000 square feet',
+    ZIP_INVALID: 'Please enter a 5-digit ZIP code',
+    APPOINTMENT_UNAVAILABLE: 'This time is no longer available, please choose another one',
+    ATTACHMENT_TYPE: '{name} is not a photo or video we can accept (JPEG, PNG, WebP, HEIC, MP4, MOV or WebM)',
+    ATTACHMENT_SIZE: '{name} is larger than {maxSize} MB',
+    ATTACHMENT_COUNT: 'Please attach no more than {maxFiles} files',
+    ATTACHMENT_TOTAL_SIZE: 'Attachments may not add up to more than {maxSize} MB',
+    // Rejections returned by the server, registered here so the browser can translate them
+    FIELDS_INVALID: 'Please correct the highlighted fields.',
+    EMAIL_DOMAIN_BLOCKED: 'We can\'t accept requests from this email provider. Please use a different email address.',
+    DUPLICATE_LEAD: 'We already received this request and will contact you soon. There\'s no need to send it again.',
+    CHALLENGE_FAILED: 'We couldn\'t verify your request. Please try again or call us at 1-555-COOL-NOW.',
+    SERVER_ERROR: 'Something went wrong on our side. Please try again later.'
+  });
+
+  // Patterns and messages implied by an input's type attribute
+  const TYPE_RULES = Object.freeze({
+    email: { pattern: VALIDATION_PATTERNS.EMAIL, message: ERROR_MESSAGES.EMAIL_INVALID },
+    tel: { pattern: VALIDATION_PATTERNS.PHONE, message: ERROR_MESSAGES.PHONE_INVALID },
+    url: { pattern: VALIDATION_PATTERNS.URL, message: ERROR_MESSAGES.URL_INVALID },
+    number: { pattern: VALIDATION_PATTERNS.NUMBER, message: ERROR_MESSAGES.NUMBER_INVALID }
+  });
+
+  /**
+   * Limits on the photos and videos attached to a submission
+   * @type {Object}
+   */
+  const ATTACHMENT_LIMITS = Object.freeze({
+    maxFiles: 5,
+    maxFileSize: 10 * 1024 * 1024,
+    maxTotalSize: 25 * 1024 * 1024,
+    types: Object.freeze([
+      'image/jpeg',
+      'image/png',
+      'image/webp',
+      'image/heic',
+      'video/mp4',
+      'video/quicktime',
+      'video/webm'
+    ])
+  });
+
+  /**
+   * Validates a phone number against the country selected in `phoneCountry`.
+   * Without a country, as on forms with no country select, only the digit count is
+   * checked. The server always sets a country, so this fallback is browser-only.
+   * @param {string} value - Trimmed phone number
+   * @param {Object} data - All submitted values
+   * @returns {string|null} Error message, or null if valid
+   */
+  function validatePhone(value, data) {
+    const digitCount = value.replace(/\D/g, '').length;
+
+    if (!data.phoneCountry) {
+      if (digitCount < 10) {
+        return ERROR_MESSAGES.PHONE_TOO_SHORT;
+      }
+      return digitCount > 20 ? ERROR_MESSAGES.PHONE_TOO_LONG : null;
+    }
+
+    const result = PhoneNumbers.validatePhoneNumber(value, data.phoneCountry);
+    const metadata = PhoneNumbers.PHONE_METADATA[result.country];
+
+    switch (result.reason) {
+      case null:
+        return null;
+      case 'country-code-required':
+        return ERROR_MESSAGES.PHONE_COUNTRY_CODE_REQUIRED;
+      case 'too-short':
+      case 'too-long':
+        return formatMessage(ERROR_MESSAGES.PHONE_LENGTH_FOR_COUNTRY, { country: metadata.name, length: metadata.length });
+      default:
+        return metadata ?
+          formatMessage(ERROR_MESSAGES.PHONE_INVALID_FOR_COUNTRY, { country: metadata.name }) :
+          ERROR_MESSAGES.PHONE_INTERNATIONAL_INVALID;
+    }
+  }
+
+  /**
+   * Rejects names that are web addresses
+   * @param {string} value - Trimmed name
+   * @returns {string|null} Error message, or null if valid
+   */
+  function validateName(value) {
+    return VALIDATION_PATTERNS.NAME_URL.test(value) ? ERROR_MESSAGES.NAME_URL : null;
+  }
+
+  /**
+   * Normalizes a name to composed characters and straight apostrophes, so the
+   * same name is always stored the same way
+   * @param {string} value - Trimmed name
+   * @returns {string} The normalized name
+   */
+  function normalizeName(value) {
+    return value.normalize('NFC').replace(/[\u2018\u2019\u02BC]/g, "'");
+  }
+
+  /**
+   * Rejects disposable email addresses while the blocklist is enabled
+   * (`ThermoCoolEmailDomains.config.blockDisposable`)
+   * @param {string} value - Trimmed email address
+   * @returns {string|null} Error message, or null if valid
+   */
+  function validateEmailDomain(value) {
+    return EmailDomains.config.blockDisposable && EmailDomains.isDisposableEmail(value) ?
+      ERROR_MESSAGES.EMAIL_DISPOSABLE :
+      null;
+  }
+
+  /**
+   * Rejects appointment slots that are not windows within the business hours,
+   * or that can no longer be booked
+   * @param {string} value - Trimmed slot as YYYY-MM-DDTHH:MM
+   * @returns {string|null} Error message, or null if valid
+   */
+  function validateAppointmentSlot(value) {
+    if (!BusinessHours.parseSlot(value)) {
+      return ERROR_MESSAGES.CHOICE_INVALID;
+    }
+
+    return BusinessHours.isAvailableSlot(value) ? null : ERROR_MESSAGES.APPOINTMENT_UNAVAILABLE;
+  }
+
+  /**
+   * Normalizes a valid phone number to E.164 when its country is known
+   * @param {string} value - Trimmed phone number
+   * @param {Object} data - All submitted values
+   * @returns {string} The E.164 number, or the value unchanged
+   */
+  function normalizePhone(value, data) {
+    return (data.phoneCountry && PhoneNumbers.toE164(value, data.phoneCountry)) || value;
+  }
+
+  // Field validation rules. Besides the built-in checks, a rule can have a
+  // `validator(value, data)` returning an error message, a `normalize(value, data)`
+  // applied before submission, and `dependsOn` listing the other fields they read.
+  const FIELD_RULES = Object.freeze({
+    name: {
+      required: true,
+      pattern: VALIDATION_PATTERNS.NAME,
+      minLength: 2,
+      maxLength: 100,
+      validator: validateName,
+      normalize: normalizeName,
+      errorMessages: {
+        required: ERROR_MESSAGES.REQUIRED,
+        pattern: ERROR_MESSAGES.NAME_INVALID,
+        minLength: formatMessage(ERROR_MESSAGES.NAME_TOO_SHORT, { min: 2 }),
+        maxLength: formatMessage(ERROR_MESSAGES.NAME_TOO_LONG, { max: 100 })
+      }
+    },
+    email: {
+      required: true,
+      pattern: VALIDATION_PATTERNS.EMAIL,
+      maxLength: 254,
+      validator: validateEmailDomain,
+      errorMessages: {
+        required: ERROR_MESSAGES.REQUIRED,
+        pattern: ERROR_MESSAGES.EMAIL_INVALID,
+        maxLength: formatMessage(ERROR_MESSAGES.EMAIL_TOO_LONG, { max: 254 })
+      }
+    },
+    phone: {
+      type: 'tel',
+      required: true,
+      pattern: VALIDATION_PATTERNS.PHONE,
+      dependsOn: ['phoneCountry'],
+      validator: validatePhone,
+      normalize: normalizePhone,
+      errorMessages: {
+        required: ERROR_MESSAGES.REQUIRED,
+        pattern: ERROR_MESSAGES.PHONE_INVALID
+      }
+    },
+    service: {
+      required: true,
+      errorMessages: {
+        required: ERROR_MESSAGES.REQUIRED
+      }
+    },
+    message: {
+      required: true,
+      minLength: 10,
+      maxLength: 1000,
+      errorMessages: {
+        required: ERROR_MESSAGES.REQUIRED,
+        minLength: formatMessage(ERROR_MESSAGES.MESSAGE_TOO_SHORT, { min: 10 }),
+        maxLength: formatMessage(ERROR_MESSAGES.MESSAGE_TOO_LONG, { max: 1000 })
+      }
+    },
+    serviceDescription: {
+      required: false,
+      maxLength: 200,
+      errorMessages: {
+        required: ERROR_MESSAGES.SERVICE_DESCRIPTION_REQUIRED,
+        maxLength: formatMessage(ERROR_MESSAGES.SERVICE_DESCRIPTION_TOO_LONG, { max: 200 })
+      }
+    },
+    zipCode: {
+      required: false,
+      pattern: VALIDATION_PATTERNS.ZIP,
+      errorMessages: {
+        pattern: ERROR_MESSAGES.ZIP_INVALID
+      }
+    },
+    homeSize: {
+      required: false,
+      pattern: /^\d+$/,
+      min: 200,
+      max: 20000,
+      errorMessages: {
+        pattern: ERROR_MESSAGES.NUMBER_INVALID,
+        min: ERROR_MESSAGES.HOME_SIZE_RANGE,
+        max: ERROR_MESSAGES.HOME_SIZE_RANGE
+      }
+    },
+    systemAge: {
+      required: false,
+      pattern: /^(?:under-5|5-10|10-15|over-15|unknown)$/,
+      errorMessages: {
+        pattern: ERROR_MESSAGES.CHOICE_INVALID
+      }
+    },
+    fuelType: {
+      required: false,
+      pattern: /^(?:natural-gas|electric|propane|oil|unknown)$/,
+      errorMessages: {
+        pattern: ERROR_MESSAGES.CHOICE_INVALID
+      }
+    },
+    appointmentSlot: {
+      required: false,
+      validator: validateAppointmentSlot,
+      errorMessages: {}
+    }
+  });
+
+  /**
+   * Rules that apply only while a condition on other fields holds.
+   *
+   * Each entry lists the fields its condition reads (`dependsOn`), the condition
+   * itself (`when`, given the submitted values), the rule overrides merged over
+   * FIELD_RULES while it holds (`rules`), and fields only shown while it holds
+   * (`reveals`). Later entries take precedence over earlier ones.
+   */
+  const CONDITIONAL_RULES = Object.freeze([
+    {
+      dependsOn: ['preferredContact'],
+      when: data => data.preferredContact === 'phone',
+      rules: { email: { required: false } }
+    },
+    {
+      dependsOn: ['preferredContact'],
+      when: data => data.preferredContact === 'email',
+      rules: { phone: { required: false } }
+    },
+    {
+      // Emergencies are handled by phone, and the caller shouldn't have to write much
+      dependsOn: ['service'],
+      when: data => data.service === 'emergency',
+      rules: {
+        phone: { required: true, errorMessages: { required: ERROR_MESSAGES.PHONE_REQUIRED_EMERGENCY } },
+        message: { required: false, minLength: 0 }
+      }
+    },
+    {
+      dependsOn: ['service'],
+      when: data => data.service === 'other',
+      reveals: ['serviceDescription'],
+      rules: { serviceDescription: { required: true } }
+    }
+  ]);
+
+  /**
+   * Validates a single field based on its rules
+   * @param {HTMLElement|Object} field - The form field, or a `{ value, type }` object on the server
+   * @param {Object} rules - Validation rules for the field
+   * @param {Object} [data] - All values of the form, passed to `rules.validator`
+   * @returns {Object} Validation result with isValid and error message
+   */
+  function validateField(field, rules, data = {}) {
+    const value = field.value.trim();
+    const fieldType = field.type || rules.type;
+
+    // Required field validation
+    if (rules.required && !value) {
+      return {
+        isValid: false,
+        error: rules.errorMessages.required
+      };
+    }
+
+    // Skip further validation if field is empty and not required
+    if (!value && !rules.required) {
+      return { isValid: true, error: null };
+    }
+
+    // Pattern validation
+    if (rules.pattern && !rules.pattern.test(value)) {
+      return {
+        isValid: false,
+        error: rules.errorMessages.pattern
+      };
+    }
+
+    // Min length validation
+    if (rules.minLength !== undefined) {
+      const length = fieldType === 'tel' ? value.replace(/\D/g, '').length : value.length;
+      if (length < rules.minLength) {
+        return {
+          isValid: false,
+          error: rules.errorMessages.minLength
+        };
+      }
+    }
+
+    // Max length validation
+    if (rules.maxLength !== undefined) {
+      const length = fieldType === 'tel' ? value.replace(/\D/g, '').length : value.length;
+      if (length > rules.maxLength) {
+        return {
+          isValid: false,
+          error: rules.errorMessages.maxLength
+        };
+      }
+    }
+
+    // Numeric range validation
+    if (rules.min !== undefined && Number(value) < rules.min) {
+      return {
+        isValid: false,
+        error: rules.errorMessages.min
+      };
+    }
+
+    if (rules.max !== undefined && Number(value) > rules.max) {
+      return {
+        isValid: false,
+        error: rules.errorMessages.max
+      };
+    }
+
+    // Custom validation
+    const customError = rules.validator ? rules.validator(value, data) : null;
+    if (customError) {
+      return {
+        isValid: false,
+        error: customError
+      };
+    }
+
+    return { isValid: true, error: null };
+  }
+
+  /**
+   * Replaces `{name}` placeholders in a message
+   * @param {string} template - Message template
+   * @param {Object} values - Placeholder values
+   * @returns {string} Formatted message
+   */
+  function formatMessage(template, values) {
+    return String(template).replace(/\{(\w+)\}/g, function(match, key) {
+      return values[key] !== undefined ? values[key] : match;
+    });
+  }
+
+  /**
+   * Reads a numeric attribute
+   * @param {HTMLElement} field - The form field
+   * @param {string} name - Attribute name
+   * @returns {number|undefined} The attribute value, if present and numeric
+   */
+  function getNumericAttribute(field, name) {
+    if (!field.hasAttribute(name)) {
+      return undefined;
+    }
+
+    const value = Number(field.getAttribute(name));
+    return Number.isNaN(value) ? undefined : value;
+  }
+
+  /**
+   * Derives validation rules from a field's HTML attributes.
+   *
+   * Supports required, minlength, maxlength, min, max, pattern and the
+   * email/tel/url/number types. Custom messages come from data-error-required,
+   * data-error-pattern, data-error-minlength, data-error-maxlength,
+   * data-error-min and data-error-max.
+   *
+   * @param {HTMLElement} field - The form field
+   * @returns {Object|null} Rules for the field, or null if it declares none
+   */
+  function getAttributeRules(field) {
+    const rules = { errorMessages: {} };
+    const dataset = field.dataset || {};
+    const typeRule = TYPE_RULES[field.getAttribute('type')];
+
+    if (field.hasAttribute('required')) {
+      rules.required = true;
+      rules.errorMessages.required = dataset.errorRequired || ERROR_MESSAGES.REQUIRED;
+    }
+
+    const minLength = getNumericAttribute(field, 'minlength');
+    if (minLength !== undefined) {
+      rules.minLength = minLength;
+      rules.errorMessages.minLength = dataset.errorMinlength ||
+        formatMessage(ERROR_MESSAGES.TOO_SHORT, { minLength });
+    }
+
+    const maxLength = getNumericAttribute(field, 'maxlength');
+    if (maxLength !== undefined) {
+      rules.maxLength = maxLength;
+      rules.errorMessages.maxLength = dataset.errorMaxlength ||
+        formatMessage(ERROR_MESSAGES.TOO_LONG, { maxLength });
+    }
+
+    const min = getNumericAttribute(field, 'min');
+    if (min !== undefined) {
+      rules.min = min;
+      rules.errorMessages.min = dataset.errorMin || formatMessage(ERROR_MESSAGES.RANGE_UNDERFLOW, { min });
+    }
+
+    const max = getNumericAttribute(field, 'max');
+    if (max !== undefined) {
+      rules.max = max;
+      rules.errorMessages.max = dataset.errorMax || formatMessage(ERROR_MESSAGES.RANGE_OVERFLOW, { max });
+    }
+
+    if (field.hasAttribute('pattern')) {
+      try {
+        // HTML patterns must match the whole value
+        rules.pattern = new RegExp(`^(?:${field.getAttribute('pattern')})$`, 'u');
+        rules.errorMessages.pattern = dataset.errorPattern || ERROR_MESSAGES.PATTERN_MISMATCH;
+      } catch (error) {
+        if (typeof console !== 'undefined' && console.warn) {
+          console.warn(`Ignoring invalid pattern on ${field.name}:`, error.message);
+        }
+      }
+    } else if (typeRule) {
+      rules.pattern = typeRule.pattern;
+      rules.errorMessages.pattern = dataset.errorPattern || typeRule.message;
+    }
+
+    if (field.getAttribute('type') === 'tel') {
+      rules.type = 'tel';
+    }
+
+    return Object.keys(rules).length > 1 ? rules : null;
+  }
+
+  /**
+   * Merges rule sets, later sets overriding earlier ones
+   * @param {...(Object|null|undefined)} ruleSets - Rule sets in increasing priority
+   * @returns {Object|null} Merged rules, or null if no rule set was given
+   */
+  function mergeRules() {
+    const ruleSets = Array.prototype.filter.call(arguments, Boolean);
+
+    if (ruleSets.length === 0) {
+      return null;
+    }
+
+    return ruleSets.reduce(function(merged, ruleSet) {
+      return Object.assign(merged, ruleSet, {
+        errorMessages: Object.assign({}, merged.errorMessages, ruleSet.errorMessages)
+      });
+    }, { errorMessages: {} });
+  }
+
+  /**
+   * Applies the conditional rules that hold for the given values
+   * @param {Object} data - Current values keyed by field name
+   * @param {Object} [fieldRules] - Rules keyed by field name
+   * @param {Object[]} [conditionalRules] - Conditional rules
+   * @returns {Object} Rules keyed by field name, with the matching overrides merged in
+   */
+  function resolveFieldRules(data, fieldRules = FIELD_RULES, conditionalRules = CONDITIONAL_RULES) {
+    const resolved = Object.assign({}, fieldRules);
+
+    conditionalRules
+      .filter(condition => condition.when(data))
+      .forEach(function(condition) {
+        Object.keys(condition.rules || {}).forEach(function(name) {
+          resolved[name] = mergeRules(resolved[name], condition.rules[name]);
+        });
+      });
+
+    return resolved;
+  }
+
+  /**
+   * Lists the fields that conditional rules currently hide
+   * @param {Object} data - Current values keyed by field name
+   * @param {Object[]} [conditionalRules] - Conditional rules
+   * @returns {string[]} Names of revealable fields whose conditions do not hold
+   */
+  function getHiddenFields(data, conditionalRules = CONDITIONAL_RULES) {
+    const revealable = [];
+    const revealed = [];
+
+    conditionalRules.forEach(function(condition) {
+      const names = condition.reveals || [];
+
+      revealable.push(...names);
+      if (condition.when(data)) {
+        revealed.push(...names);
+      }
+    });
+
+    return revealable.filter((name, index) => revealable.indexOf(name) === index && !revealed.includes(name));
+  }
+
+  /**
+   * Validates submitted data against the field rules
+   * @param {Object} data - Submitted values keyed by field name
+   * @param {Object} [fieldRules] - Rules keyed by field name
+   * @param {Object[]} [conditionalRules] - Conditional rules
+   * @returns {Object} Validation result with isValid and errors keyed by field name
+   */
+  function validateData(data, fieldRules = FIELD_RULES, conditionalRules = CONDITIONAL_RULES) {
+    const errors = {};
+    const resolvedRules = resolveFieldRules(data, fieldRules, conditionalRules);
+
+    Object.keys(resolvedRules).forEach(function(name) {
+      const rawValue = data[name];
+      const value = rawValue === undefined || rawValue === null ? '' : String(rawValue);
+      const result = validateField({ name, value }, resolvedRules[name], data);
+
+      if (!result.isValid) {
+        errors[name] = result.error;
+      }
+    });
+
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Checks attached files against the attachment limits
+   * @param {Object[]} files - Files as `{ name, type, size }`, e.g. File objects
+   * @param {Object} [limits] - Limits, ATTACHMENT_LIMITS by default
+   * @returns {string|null} Error message for the first problem found, or null if valid
+   */
+  function validateAttachments(files, limits = ATTACHMENT_LIMITS) {
+    const toMegabytes = bytes => Math.round(bytes / (1024 * 1024) * 10) / 10;
+
+    if (files.length > limits.maxFiles) {
+      return formatMessage(ERROR_MESSAGES.ATTACHMENT_COUNT, { maxFiles: limits.maxFiles });
+    }
+
+    for (const file of files) {
+      if (!limits.types.includes(String(file.type).toLowerCase())) {
+        return formatMessage(ERROR_MESSAGES.ATTACHMENT_TYPE, { name: file.name });
+      }
+
+      if (file.size > limits.maxFileSize) {
+        return formatMessage(ERROR_MESSAGES.ATTACHMENT_SIZE, { name: file.name, maxSize: toMegabytes(limits.maxFileSize) });
+      }
+    }
+
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+    return totalSize > limits.maxTotalSize ?
+      formatMessage(ERROR_MESSAGES.ATTACHMENT_TOTAL_SIZE, { maxSize: toMegabytes(limits.maxTotalSize) }) :
+      null;
+  }
+
+  /**
+   * Applies the `normalize` functions of the field rules to submitted data
+   * @param {Object} data - Submitted values keyed by field name
+   * @param {Object} [fieldRules] - Rules keyed by field name
+   * @param {Object[]} [conditionalRules] - Conditional rules
+   * @returns {Object} A copy of the data with normalized values
+   */
+  function normalizeData(data, fieldRules = FIELD_RULES, conditionalRules = CONDITIONAL_RULES) {
+    const normalized = Object.assign({}, data);
+    const resolvedRules = resolveFieldRules(data, fieldRules, conditionalRules);
+
+    Object.keys(resolvedRules).forEach(function(name) {
+      const rules = resolvedRules[name];
+
+      if (rules && rules.normalize && typeof data[name] === 'string' && data[name].trim()) {
+        normalized[name] = rules.normalize(data[name].trim(), data);
+      }
+    });
+
+    return normalized;
+  }
+
+  const api = {
+    VALIDATION_PATTERNS,
+    ERROR_MESSAGES,
+    FIELD_RULES,
+    CONDITIONAL_RULES,
+    ATTACHMENT_LIMITS,
+    validateField,
+    validateData,
+    validateAttachments,
+    normalizeData,
+    resolveFieldRules,
+    getHiddenFields,
+    formatMessage,
+    getAttributeRules,
+    mergeRules
+  };
+
+  if (typeof window !== 'undefined') {
+    window.ThermoCoolValidationRules = api;
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
@@ -0,0 +1,86 @@
+/**
+ * File Types
+ *
+ * Recognizes the photo and video formats attachments may have from their
+ * first bytes, so an attachment is checked by what it contains rather than by
+ * the type or file name the client declared.
+ *
+ * @module server/file-types
+ * @version 1.0.0
+ */
+
+'use strict';
+
+/**
+ * File extension stored for each accepted content type
+ * @type {Object}
+ */
+const EXTENSIONS = Object.freeze({
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm'
+});
+
+// Brands of the ISO media file `ftyp` box that mark HEIC images and QuickTime movies;
+// every other brand is read as MP4
+const HEIC_BRANDS = Object.freeze(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']);
+const QUICKTIME_BRANDS = Object.freeze(['qt  ']);
+
+// Top-level atoms older QuickTime movies start with instead of `ftyp`
+const QUICKTIME_ATOMS = Object.freeze(['moov', 'mdat', 'wide', 'free', 'skip', 'pnot']);
+
+/**
+ * Check whether a buffer starts with the given bytes at an offset
+ * @param {Buffer} data - File contents
+ * @param {number[]} bytes - Expected bytes
+ * @param {number} [offset=0] - Position of the first byte
+ * @returns {boolean} True if the bytes match
+ */
+function hasBytes(data, bytes, offset = 0) {
+  return data.length >= offset + bytes.length && bytes.every((byte, index) => data[offset + index] === byte);
+}
+
+/**
+ * Detect the content type of a photo or video from its first bytes
+ * @param {Buffer} data - File contents
+ * @returns {string|null} One of the EXTENSIONS content types, or null if unrecognized
+ */
+function detectContentType(data) {
+  if (hasBytes(data, [0xFF, 0xD8, 0xFF])) {
+    return 'image/jpeg';
+  }
+
+  if (hasBytes(data, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+    return 'image/png';
+  }
+
+  if (data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+
+  if (hasBytes(data, [0x1A, 0x45, 0xDF, 0xA3])) {
+    return 'video/webm';
+  }
+
+  const boxType = data.toString('latin1', 4, 8);
+
+  if (boxType === 'ftyp' && data.length >= 12) {
+    const brand = data.toString('latin1', 8, 12);
+
+    if (HEIC_BRANDS.includes(brand)) {
+      return 'image/heic';
+    }
+    return QUICKTIME_BRANDS.includes(brand) ? 'video/quicktime' : 'video/mp4';
+  }
+
+  return QUICKTIME_ATOMS.includes(boxType) ? 'video/quicktime' : null;
+}
+
+module.exports = {
+  EXTENSIONS,
+  detectContentType
+};
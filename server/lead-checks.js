@@ -0,0 +1,167 @@
+/**
+ * Lead Checks
+ *
+ * Business rules applied on the server after the shared field validation
+ * passes. Each rejection follows the submission error contract documented in
+ * the README: an HTTP status, a machine readable `code`, a form-level
+ * `message` and optional per-field `errors`.
+ *
+ * @module server/lead-checks
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const { ERROR_MESSAGES } = require('../js/validation-rules.js');
+
+/**
+ * Lead check configuration
+ * @type {Object}
+ */
+const CHECK_CONFIG = {
+  honeypotFieldName: 'company_website',
+  verifyChallenge: () => Promise.resolve(true),
+  duplicateWindow: 24 * 60 * 60 * 1000,
+  blockedEmailDomains: (process.env.BLOCKED_EMAIL_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean)
+};
+
+/**
+ * Error codes returned to the client
+ * @type {Object}
+ */
+const ERROR_CODES = Object.freeze({
+  VALIDATION_FAILED: 'validation_failed',
+  CHALLENGE_FAILED: 'challenge_failed',
+  BLOCKED_EMAIL_DOMAIN: 'blocked_email_domain',
+  DUPLICATE_LEAD: 'duplicate_lead'
+});
+
+/**
+ * Normalize free text for duplicate comparison
+ * @param {string} value - Text to normalize
+ * @returns {string} Lower-cased text with collapsed whitespace
+ */
+function normalize(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Normalize a phone number for duplicate comparison
+ * @param {string} value - Phone number to normalize
+ * @returns {string} The digits of the number
+ */
+function normalizePhone(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+/**
+ * Check whether the email address uses a blocked domain
+ * @param {string} email - Submitted email address
+ * @param {string[]} blockedDomains - Blocked domains
+ * @returns {boolean} True if the domain or one of its parents is blocked
+ */
+function isBlockedEmail(email, blockedDomains) {
+  const domain = normalize(email).split('@')[1] || '';
+
+  return blockedDomains.some(blocked => domain === blocked || domain.endsWith(`.${blocked}`));
+}
+
+/**
+ * Check whether the same request was already received recently
+ * @param {Object} fields - Validated lead fields
+ * @param {Object[]} leads - Previously stored leads
+ * @param {number} windowMs - Duplicate detection window in milliseconds
+ * @returns {boolean} True if an identical lead was stored within the window
+ */
+function isDuplicateLead(fields, leads, windowMs) {
+  const now = Date.now();
+
+  return leads.some(lead =>
+    now - Date.parse(lead.receivedAt) < windowMs &&
+    normalize(lead.fields.email) === normalize(fields.email) &&
+    normalizePhone(lead.fields.phone) === normalizePhone(fields.phone) &&
+    lead.fields.service === fields.service &&
+    normalize(lead.fields.message) === normalize(fields.message)
+  );
+}
+
+/**
+ * Check whether a submission was made by a bot, based on the honeypot field.
+ * Callers should answer suspected bots with a fake success and not store them.
+ * @param {Object} data - Raw submitted data
+ * @param {Object} [options] - Overrides for CHECK_CONFIG
+ * @returns {boolean} True if the honeypot field was filled in
+ */
+function isSuspectedBot(data, options = {}) {
+  const config = { ...CHECK_CONFIG, ...options };
+  const honeypot = data[config.honeypotFieldName];
+
+  return typeof honeypot === 'string' ? honeypot.trim() !== '' : Boolean(honeypot);
+}
+
+/**
+ * Verify the token produced by the client-side challenge provider.
+ * The default verifier accepts everything, matching the local stub provider;
+ * plug a real provider's verification in through `options.verifyChallenge`.
+ * @param {string|undefined} token - Submitted challenge token
+ * @param {Object} [options] - Overrides for CHECK_CONFIG
+ * @returns {Promise<Object|null>} Rejection (status, code, message, errors) or null if verified
+ */
+async function verifyChallenge(token, options = {}) {
+  const config = { ...CHECK_CONFIG, ...options };
+
+  if (await config.verifyChallenge(token)) {
+    return null;
+  }
+
+  return {
+    status: 403,
+    code: ERROR_CODES.CHALLENGE_FAILED,
+    message: ERROR_MESSAGES.CHALLENGE_FAILED,
+    errors: {}
+  };
+}
+
+/**
+ * Run the business checks for a lead
+ * @param {Object} fields - Validated lead fields
+ * @param {Object} leadStore - Store holding previously accepted leads
+ * @param {Object} [options] - Overrides for CHECK_CONFIG
+ * @returns {Promise<Object|null>} Rejection (status, code, message, errors) or null if accepted
+ */
+async function checkLead(fields, leadStore, options = {}) {
+  const config = { ...CHECK_CONFIG, ...options };
+
+  if (isBlockedEmail(fields.email, config.blockedEmailDomains)) {
+    return {
+      status: 422,
+      code: ERROR_CODES.BLOCKED_EMAIL_DOMAIN,
+      message: ERROR_MESSAGES.FIELDS_INVALID,
+      errors: {
+        email: ERROR_MESSAGES.EMAIL_DOMAIN_BLOCKED
+      }
+    };
+  }
+
+  if (isDuplicateLead(fields, await leadStore.readAll(), config.duplicateWindow)) {
+    return {
+      status: 409,
+      code: ERROR_CODES.DUPLICATE_LEAD,
+      message: ERROR_MESSAGES.DUPLICATE_LEAD,
+      errors: {}
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  checkLead,
+  isSuspectedBot,
+  verifyChallenge,
+  ERROR_CODES,
+  config: CHECK_CONFIG
+};
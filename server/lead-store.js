@@ -0,0 +1,147 @@
+/**
+ * Lead Store
+ *
+ * Persists accepted contact form submissions as JSON lines, one lead per line,
+ * so the file can be appended to safely and tailed or imported line by line.
+ * Attached files are written to `attachments/<lead id>/` next to the file.
+ *
+ * @module server/lead-store
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { EXTENSIONS } = require('./file-types.js');
+
+/**
+ * Create a reference number a visitor can quote when calling about a lead,
+ * e.g. `TC-20240315-7F3A9C`
+ * @param {Date} [date] - Date of the lead, now by default
+ * @returns {string} Reference number
+ */
+function createReference(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+
+  return `TC-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Create a lead store backed by a JSON-lines file
+ * @param {string} filePath - Path of the JSON-lines file
+ * @returns {Object} Lead store with save and readAll methods
+ */
+function createLeadStore(filePath) {
+  /**
+   * Append a lead to the store
+   * @param {Object} fields - Validated lead fields
+   * @param {Object} [meta] - Request metadata stored alongside the lead
+   * @param {Object[]} [files] - Attached files, as `{ filename, contentType, data }`
+   * @returns {Promise<Object>} The stored lead record
+   */
+  async function save(fields, meta = {}, files = []) {
+    const receivedAt = new Date();
+    const record = {
+      id: crypto.randomUUID(),
+      reference: createReference(receivedAt),
+      receivedAt: receivedAt.toISOString(),
+      ...meta,
+      fields
+    };
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (files.length === 0) {
+      await fs.promises.appendFile(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+      return record;
+    }
+
+    const directory = path.join(path.dirname(filePath), 'attachments', record.id);
+
+    // Remove the files again if the lead can't be stored, so none are left without a lead
+    try {
+      record.attachments = await saveAttachments(directory, files);
+      await fs.promises.appendFile(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+    } catch (error) {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+      throw error;
+    }
+
+    return record;
+  }
+
+  /**
+   * Write the attachments of a lead to its own directory
+   * @param {string} directory - Directory of the lead's attachments
+   * @param {Object[]} files - Attached files, as `{ filename, contentType, data }`, the
+   *   content type being one checked against the file's contents
+   * @returns {Promise<Object[]>} `{ filename, contentType, size, path }` of each file,
+   *   path being relative to the leads file
+   */
+  async function saveAttachments(directory, files) {
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const saved = [];
+
+    // One at a time, so no write is still running when a failed save is cleaned up
+    for (const [index, file] of files.entries()) {
+      // Numbered, so files with the same name don't overwrite each other. The
+      // extension comes from the checked type, never from the client's file name.
+      const baseName = path.basename(file.filename.replace(/\\/g, '/')).replace(/\.[^.]*$/, '');
+      const safeName = baseName.replace(/[^\w-]+/g, '_') || 'file';
+      const storedPath = path.join(directory, `${index + 1}-${safeName}.${EXTENSIONS[file.contentType] || 'bin'}`);
+
+      await fs.promises.writeFile(storedPath, file.data);
+
+      saved.push({
+        filename: file.filename,
+        contentType: file.contentType,
+        size: file.data.length,
+        path: path.relative(path.dirname(filePath), storedPath)
+      });
+    }
+
+    return saved;
+  }
+
+  /**
+   * Read every stored lead, skipping lines that aren't valid JSON
+   * @returns {Promise<Object[]>} Stored lead records, oldest first
+   */
+  async function readAll() {
+    let contents;
+
+    try {
+      contents = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const leads = [];
+
+    // Skip a partly written or corrupt line rather than failing every later read
+    contents.split('\n').forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      try {
+        leads.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`Skipping unreadable lead on line ${index + 1} of ${filePath}:`, error.message);
+      }
+    });
+
+    return leads;
+  }
+
+  return { save, readAll, filePath };
+}
+
+module.exports = { createLeadStore, createReference };
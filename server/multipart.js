@@ -0,0 +1,111 @@
+/**
+ * Multipart Form Data Parser
+ *
+ * Reads `multipart/form-data` request bodies, as sent by forms with file
+ * inputs and by fetch with a FormData body, into text fields and files.
+ * The whole body is parsed in memory, so callers must bound its size.
+ *
+ * @module server/multipart
+ * @version 1.0.0
+ */
+
+'use strict';
+
+/**
+ * Read the boundary of a multipart body from its Content-Type header
+ * @param {string} contentType - Request Content-Type header
+ * @returns {string|null} The boundary, or null if there is none
+ */
+function getBoundary(contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Parse the headers of a part
+ * @param {string} text - Header lines of the part
+ * @returns {Object} `{ name, filename, contentType }`, filename being undefined for text fields
+ */
+function parsePartHeaders(text) {
+  const part = { name: null, filename: undefined, contentType: 'application/octet-stream' };
+
+  text.split('\r\n').forEach(line => {
+    const separator = line.indexOf(':');
+
+    if (separator === -1) {
+      return;
+    }
+
+    const header = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (header === 'content-disposition') {
+      const parameterPattern = /;\s*(name|filename)="((?:[^"\\]|\\.)*)"/gi;
+      let match;
+
+      while ((match = parameterPattern.exec(value)) !== null) {
+        part[match[1].toLowerCase()] = match[2].replace(/\\(.)/g, '$1');
+      }
+    } else if (header === 'content-type') {
+      part.contentType = value.toLowerCase();
+    }
+  });
+
+  return part;
+}
+
+/**
+ * Parse a multipart/form-data body
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Request Content-Type header, with the boundary
+ * @returns {Object} `{ fields, files }`: text fields keyed by name, and files as
+ *   `{ field, filename, contentType, data }`; file inputs left empty are skipped
+ * @throws {Error} If the body has no boundary or is malformed
+ */
+function parseMultipart(body, contentType) {
+  const boundary = getBoundary(contentType);
+
+  if (!boundary) {
+    throw new Error('Multipart body without a boundary');
+  }
+
+  // Every delimiter but the first starts on a new line
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  const fields = {};
+  const files = [];
+  let position = body.indexOf(delimiter.subarray(2));
+
+  if (position === -1) {
+    throw new Error('Multipart body without parts');
+  }
+
+  position += delimiter.length - 2;
+
+  // The last delimiter is followed by "--"
+  while (body.toString('latin1', position, position + 2) !== '--') {
+    const headerEnd = body.indexOf('\r\n\r\n', position);
+    const next = headerEnd === -1 ? -1 : body.indexOf(delimiter, headerEnd);
+
+    if (next === -1) {
+      throw new Error('Malformed multipart body');
+    }
+
+    const part = parsePartHeaders(body.toString('utf8', position + 2, headerEnd));
+    const data = body.subarray(headerEnd + 4, next);
+
+    if (part.name && part.filename !== undefined) {
+      if (part.filename || data.length > 0) {
+        files.push({ field: part.name, filename: part.filename, contentType: part.contentType, data });
+      }
+    } else if (part.name) {
+      fields[part.name] = data.toString('utf8');
+    }
+
+    position = next + delimiter.length;
+  }
+
+  return { fields, files };
+}
+
+module.exports = { parseMultipart };
@@ -0,0 +1,141 @@
+/**
+ * HTML Result Pages
+ *
+ * Renders the pages returned to browsers that post the contact form without
+ * JavaScript, so the form still works as a plain HTML form.
+ *
+ * @module server/pages
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const FIELD_LABELS = Object.freeze({
+  name: 'Name',
+  email: 'Email Address',
+  phone: 'Phone Number',
+  phoneCountry: 'Phone Number Country',
+  service: 'Service Interest',
+  serviceDescription: 'Service Description',
+  preferredContact: 'Preferred Contact Method',
+  zipCode: 'ZIP Code',
+  homeSize: 'Home Size (sq ft)',
+  systemAge: 'Age of Current System',
+  fuelType: 'Fuel Type',
+  appointmentSlot: 'Appointment Window',
+  attachments: 'Photos or Videos',
+  message: 'Message'
+});
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap page content in the shared document layout
+ * @param {string} title - Page title
+ * @param {string} content - Inner HTML of the main element
+ * @returns {string} Full HTML document
+ */
+function renderLayout(title, content) {
+  return `<!DOCTYPE html>
+<html lang="en" dir="ltr">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} | ThermoCool</title>
+  <style>
+    body {
+      font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      color: #333333;
+      line-height: 1.6;
+      margin: 0;
+      padding: 3rem 1rem;
+      background-color: #f5f5f5;
+    }
+
+    main {
+      max-width: 600px;
+      margin: 0 auto;
+      background: white;
+      padding: 2rem;
+      border-radius: 8px;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+    }
+
+    h1 {
+      font-family: Georgia, serif;
+      color: #0066cc;
+      margin-top: 0;
+    }
+
+    ul {
+      color: #dc3545;
+    }
+
+    a {
+      color: #0066cc;
+      font-weight: bold;
+    }
+  </style>
+</head>
+<body>
+  <main id="main" role="main">
+    ${content}
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the page shown after a lead was accepted
+ * @param {string} [reference] - Reference number of the lead
+ * @returns {string} HTML document
+ */
+function renderSuccessPage(reference) {
+  const referenceLine = reference ?
+    `\n    <p>Your reference number: <strong>${escapeHtml(reference)}</strong></p>` :
+    '';
+
+  return renderLayout('Message Sent', `<h1>Thank you!</h1>
+    <p role="status">Thank you for your message! We will contact you soon.</p>${referenceLine}
+    <p><a href="/">Back to ThermoCool</a></p>`);
+}
+
+/**
+ * Render the page shown when a submission was rejected
+ * @param {string} message - Form-level error message
+ * @param {Object} [errors] - Field errors keyed by field name
+ * @returns {string} HTML document
+ */
+function renderErrorPage(message, errors = {}) {
+  const items = Object.keys(errors)
+    .map(name => `<li>${escapeHtml(FIELD_LABELS[name] || name)}: ${escapeHtml(errors[name])}</li>`)
+    .join('\n      ');
+
+  return renderLayout('Message Not Sent', `<h1>We couldn't send your message</h1>
+    <div role="alert">
+      <p>${escapeHtml(message)}</p>
+      ${items ? `<ul>\n      ${items}\n    </ul>` : ''}
+    </div>
+    <p><a href="/#contact">Go back and try again</a></p>`);
+}
+
+module.exports = {
+  escapeHtml,
+  renderSuccessPage,
+  renderErrorPage,
+  FIELD_LABELS
+};
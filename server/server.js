@@ -0,0 +1,653 @@
+/**
+ * Local Development Server
+ *
+ * Zero-dependency Node HTTP server that:
+ * - Serves the static site from the repository root
+ * - Handles POST /submit-contact with the same rules as the browser
+ *   (js/validation-rules.js and the contact form's markup in index.html),
+ *   answering JSON for fetch requests and a rendered HTML page for plain form posts
+ * - Discards honeypot submissions, verifies challenge tokens and rejects
+ *   blocked email domains and duplicate leads (server/lead-checks.js)
+ * - Checks appointment windows against the opening hours in the JSON-LD of
+ *   the site's index.html, and flags leads from ZIP codes outside its
+ *   `areaServed` (js/service-area.js)
+ * - Accepts photo and video attachments sent as multipart form data, checked
+ *   against the shared attachment limits by the type their contents show
+ * - Persists accepted leads to a JSON-lines file, and their attachments next to it
+ *
+ * Usage: node server/server.js
+ * Environment: PORT (default 8080), HOST (default 127.0.0.1), LEADS_FILE,
+ * BLOCKED_EMAIL_DOMAINS (comma-separated), BLOCK_DISPOSABLE_EMAIL (default true),
+ * DEFAULT_PHONE_COUNTRY (default US), APPOINTMENT_LEAD_HOURS (default 4)
+ *
+ * @module server/server
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const BusinessHours = require('../js/business-hours.js');
+const EmailDomains = require('../js/email-domains.js');
+const ServiceArea = require('../js/service-area.js');
+const ValidationRules = require('../js/validation-rules.js');
+const {
+  checkLead,
+  isSuspectedBot,
+  verifyChallenge,
+  ERROR_CODES,
+  config: CHECK_CONFIG
+} = require('./lead-checks.js');
+const FileTypes = require('./file-types.js');
+const { createLeadStore, createReference } = require('./lead-store.js');
+const { parseMultipart } = require('./multipart.js');
+const pages = require('./pages.js');
+const ServicesCatalog = require('./services-catalog.js');
+
+/**
+ * Server configuration
+ * @type {Object}
+ */
+const SERVER_CONFIG = {
+  port: Number(process.env.PORT) || 8080,
+  host: process.env.HOST || '127.0.0.1',
+  rootDir: path.resolve(__dirname, '..'),
+  leadsFile: process.env.LEADS_FILE || path.join(__dirname, 'data', 'leads.jsonl'),
+  maxBodySize: 1024 * 1024,
+  // Multipart bodies carry attachments: their total size limit plus the text fields
+  maxMultipartBodySize: ValidationRules.ATTACHMENT_LIMITS.maxTotalSize + 1024 * 1024,
+  maxExtraFields: 30,
+  maxExtraFieldLength: 2000,
+  // Phone numbers sent without a country are checked as numbers of the form's default country
+  defaultPhoneCountry: process.env.DEFAULT_PHONE_COUNTRY || 'US',
+  blockDisposableEmail: process.env.BLOCK_DISPOSABLE_EMAIL !== 'false',
+  appointmentLeadHours: process.env.APPOINTMENT_LEAD_HOURS ?
+    Number(process.env.APPOINTMENT_LEAD_HOURS) :
+    BusinessHours.config.leadTimeHours,
+  blockedDirectories: ['server', 'node_modules'],
+  // Inputs whose markup rules the server doesn't apply
+  uncheckedInputTypes: ['file', 'hidden', 'submit', 'button', 'reset', 'image']
+};
+
+// The shared email rule rejects disposable domains unless disabled
+EmailDomains.config.blockDisposable = SERVER_CONFIG.blockDisposableEmail;
+
+// Appointment windows need the same lead time as the page offers
+BusinessHours.config.leadTimeHours = SERVER_CONFIG.appointmentLeadHours;
+
+/**
+ * Content types for served static files
+ * @type {Object}
+ */
+const MIME_TYPES = Object.freeze({
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon'
+});
+
+/**
+ * Error carrying an HTTP status code
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Machine readable error code
+   * @param {string} message - Error message safe to show to the client
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Read the full request body
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<Buffer>} Request body
+ */
+function readBody(request, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', chunk => {
+      size += chunk.length;
+
+      // Keep draining an oversized body so the response can still be sent
+      if (size <= limit) {
+        chunks.push(chunk);
+      }
+    });
+
+    request.on('end', () => {
+      if (size > limit) {
+        reject(new HttpError(413, 'payload_too_large', 'The submission is too large.'));
+        return;
+      }
+
+      resolve(Buffer.concat(chunks));
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Parse a JSON, URL-encoded or multipart request body
+ * @param {string} contentType - Request Content-Type header
+ * @param {Buffer} body - Raw request body
+ * @returns {Object} `{ data, files }`: parsed fields, and the uploaded files of multipart
+ *   bodies as `{ field, filename, contentType, data }`
+ */
+function parseBody(contentType, body) {
+  if (contentType.includes('multipart/form-data')) {
+    try {
+      const { fields, files } = parseMultipart(body, contentType);
+      return { data: fields, files };
+    } catch (error) {
+      throw new HttpError(400, 'invalid_body', 'The submission could not be read.');
+    }
+  }
+
+  if (contentType.includes('application/json')) {
+    try {
+      const data = JSON.parse(body.toString('utf8') || '{}');
+
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Expected an object');
+      }
+
+      return { data, files: [] };
+    } catch (error) {
+      throw new HttpError(400, 'invalid_body', 'The submission could not be read.');
+    }
+  }
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return { data: Object.fromEntries(new URLSearchParams(body.toString('utf8'))), files: [] };
+  }
+
+  throw new HttpError(415, 'unsupported_media_type', 'Unsupported submission format.');
+}
+
+/**
+ * Decide whether the client expects a JSON response
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {boolean} True for fetch/XHR clients, false for plain form posts
+ */
+function wantsJson(request) {
+  const contentType = request.headers['content-type'] || '';
+  const accept = request.headers.accept || '';
+
+  return contentType.includes('application/json') ||
+    (accept.includes('application/json') && !accept.includes('text/html'));
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Server response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Send an HTML response
+ * @param {http.ServerResponse} response - Server response
+ * @param {number} status - HTTP status code
+ * @param {string} html - HTML document
+ */
+function sendHtml(response, status, html) {
+  response.writeHead(status, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  response.end(html);
+}
+
+/**
+ * Send a rejected submission following the submission error contract
+ * @param {http.ServerResponse} response - Server response
+ * @param {boolean} json - Whether the client expects JSON
+ * @param {Object} rejection - Rejection details
+ * @param {number} rejection.status - HTTP status code
+ * @param {string} rejection.code - Machine readable error code
+ * @param {string} rejection.message - Form-level error message
+ * @param {Object} [rejection.errors] - Field errors keyed by field name
+ */
+function sendRejection(response, json, rejection) {
+  const errors = rejection.errors || {};
+
+  if (json) {
+    sendJson(response, rejection.status, {
+      success: false,
+      code: rejection.code,
+      message: rejection.message,
+      errors
+    });
+  } else {
+    sendHtml(response, rejection.status, pages.renderErrorPage(rejection.message, errors));
+  }
+}
+
+/**
+ * Send the response for an accepted submission
+ * @param {http.ServerResponse} response - Server response
+ * @param {boolean} json - Whether the client expects JSON
+ * @param {string} id - Lead identifier
+ * @param {string} reference - Reference number shown to the visitor
+ */
+function sendAccepted(response, json, id, reference) {
+  if (json) {
+    sendJson(response, 201, {
+      success: true,
+      id,
+      reference,
+      message: 'Thank you for your message! We will contact you soon.'
+    });
+  } else {
+    sendHtml(response, 201, pages.renderSuccessPage(reference));
+  }
+}
+
+/**
+ * Keep the form fields as trimmed strings: every field with rules, plus a
+ * bounded number of extra scalar fields so fields added to the form markup
+ * are stored without a server change. A missing phone country falls back to
+ * the form's default, so every phone number gets the country check
+ * @param {Object} data - Parsed request body
+ * @param {Object} [fieldRules] - Field rules, the shared FIELD_RULES by default
+ * @returns {Object} Lead fields keyed by field name
+ */
+function pickLeadFields(data, fieldRules = ValidationRules.FIELD_RULES) {
+  const fields = {};
+  const reservedFields = [CHECK_CONFIG.honeypotFieldName, 'challengeToken'];
+
+  Object.keys(fieldRules).forEach(name => {
+    const value = data[name];
+    fields[name] = value === undefined || value === null ? '' : String(value).trim();
+  });
+
+  Object.keys(data)
+    .filter(name => !(name in fields) && !reservedFields.includes(name) && /^[A-Za-z][\w-]{0,63}$/.test(name))
+    .filter(name => ['string', 'number', 'boolean'].includes(typeof data[name]))
+    .slice(0, SERVER_CONFIG.maxExtraFields)
+    .forEach(name => {
+      fields[name] = String(data[name]).trim().slice(0, SERVER_CONFIG.maxExtraFieldLength);
+    });
+
+  fields.phoneCountry = fields.phoneCountry || SERVER_CONFIG.defaultPhoneCountry;
+
+  return fields;
+}
+
+/**
+ * Build the field rules the browser applies: the rules declared in the form
+ * markup, overridden by the shared FIELD_RULES, with the service limited to
+ * the options the service select offers
+ * @param {Object} catalog - The services catalog
+ * @param {Object} [markupRules] - Rules declared in the markup, keyed by field name
+ * @returns {Object} Field rules
+ */
+function buildFieldRules(catalog, markupRules = {}) {
+  const { FIELD_RULES, ERROR_MESSAGES } = ValidationRules;
+  const rules = {};
+
+  Object.keys(markupRules).concat(Object.keys(FIELD_RULES)).forEach(name => {
+    rules[name] = ValidationRules.mergeRules(markupRules[name], FIELD_RULES[name]);
+  });
+
+  rules.service = ValidationRules.mergeRules(rules.service, {
+    pattern: new RegExp(`^(?:${ServicesCatalog.getServiceIds(catalog).join('|')})$`),
+    errorMessages: { pattern: ERROR_MESSAGES.CHOICE_INVALID }
+  });
+
+  return rules;
+}
+
+/**
+ * Create the POST /submit-contact handler
+ * @param {Object} leadStore - Store used to persist accepted leads
+ * @param {Object} [checkOptions] - Overrides for the lead checks configuration
+ * @param {Object} [fieldRules] - Field rules, the shared FIELD_RULES by default
+ * @returns {Function} Request handler
+ */
+function createSubmitContactHandler(leadStore, checkOptions, fieldRules = ValidationRules.FIELD_RULES) {
+  return async function handleSubmitContact(request, response) {
+    const json = wantsJson(request);
+
+    try {
+      const contentType = request.headers['content-type'] || '';
+      const body = await readBody(request, contentType.includes('multipart/form-data') ?
+        SERVER_CONFIG.maxMultipartBodySize :
+        SERVER_CONFIG.maxBodySize);
+      const { data, files } = parseBody(contentType, body);
+
+      // Suspected bots get a fake success and nothing is stored
+      if (isSuspectedBot(data, checkOptions)) {
+        console.info('Server: Discarded suspected bot submission');
+        sendAccepted(response, json, crypto.randomUUID(), createReference());
+        return;
+      }
+
+      const submittedFields = pickLeadFields(data, fieldRules);
+      const result = ValidationRules.validateData(submittedFields, fieldRules);
+
+      // Files of other inputs are dropped. The declared type can't be trusted, so
+      // each file is checked, and stored, as the type its contents show.
+      const attachments = files
+        .filter(file => file.field === 'attachments')
+        .map(file => ({ ...file, contentType: FileTypes.detectContentType(file.data) || '' }));
+      const attachmentError = ValidationRules.validateAttachments(attachments.map(file => ({
+        name: file.filename,
+        type: file.contentType,
+        size: file.data.length
+      })));
+
+      if (!result.isValid || attachmentError) {
+        sendRejection(response, json, {
+          status: 422,
+          code: ERROR_CODES.VALIDATION_FAILED,
+          message: ValidationRules.ERROR_MESSAGES.FIELDS_INVALID,
+          errors: attachmentError ? { ...result.errors, attachments: attachmentError } : result.errors
+        });
+        return;
+      }
+
+      // Store values in canonical form, e.g. phone numbers as E.164
+      const fields = ValidationRules.normalizeData(submittedFields, fieldRules);
+
+      const rejection = await verifyChallenge(data.challengeToken, checkOptions) ||
+        await checkLead(fields, leadStore, checkOptions);
+
+      if (rejection) {
+        sendRejection(response, json, rejection);
+        return;
+      }
+
+      // Leads from outside the area are kept, but flagged for follow-up
+      const serviceArea = ServiceArea.checkZip(fields.zipCode);
+
+      const lead = await leadStore.save(fields, {
+        userAgent: request.headers['user-agent'] || null,
+        serviceArea: serviceArea && { status: serviceArea.status, distanceKm: serviceArea.distanceKm }
+      }, attachments);
+
+      console.info(`Server: Lead ${lead.id} accepted${serviceArea && serviceArea.status === 'out-of-area' ? ' (outside the service area)' : ''}`);
+
+      sendAccepted(response, json, lead.id, lead.reference);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendRejection(response, json, error);
+        return;
+      }
+
+      console.error('Server: Failed to handle submission', error);
+
+      sendRejection(response, json, {
+        status: 500,
+        code: 'server_error',
+        message: ValidationRules.ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  };
+}
+
+/**
+ * Load the opening hours and the service area from the JSON-LD of the site's
+ * home page, so leads are checked against what the page publishes
+ * @param {string} rootDir - Site root directory
+ */
+function loadStructuredData(rootDir) {
+  let html;
+
+  try {
+    html = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+  } catch (error) {
+    console.warn('Server: No index.html to read the structured data from');
+    return;
+  }
+
+  const blocks = [];
+  const scriptPattern = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+
+  while ((match = scriptPattern.exec(html)) !== null) {
+    try {
+      blocks.push(JSON.parse(match[1]));
+    } catch (error) {
+      console.warn('Server: Structured data could not be read:', error.message);
+    }
+  }
+
+  BusinessHours.setOpeningHours(BusinessHours.findOpeningHours(blocks));
+  ServiceArea.setServiceArea(ServiceArea.findServiceArea(blocks));
+}
+
+/**
+ * Read a tag's attributes into an object that answers like a form field, enough
+ * for ValidationRules.getAttributeRules
+ * @param {string} text - Attributes of the tag, as written in the markup
+ * @returns {Object} `{ name, dataset, hasAttribute, getAttribute }`
+ */
+function createMarkupField(text) {
+  const attributes = new Map();
+  const dataset = {};
+  const attributePattern = /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+
+  while ((match = attributePattern.exec(text)) !== null) {
+    const name = match[1].toLowerCase();
+    const value = (match[2] || match[3] || match[4] || '')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, '\'')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+
+    if (!attributes.has(name)) {
+      attributes.set(name, value);
+    }
+    if (name.startsWith('data-')) {
+      dataset[name.slice(5).replace(/-([a-z])/g, (dash, letter) => letter.toUpperCase())] = value;
+    }
+  }
+
+  return {
+    name: attributes.get('name') || '',
+    dataset,
+    hasAttribute: name => attributes.has(name),
+    getAttribute: name => (attributes.has(name) ? attributes.get(name) : null)
+  };
+}
+
+/**
+ * Load the rules the contact form declares in the markup of the site's home
+ * page, so fields added there are checked by the server as in the browser
+ * @param {string} rootDir - Site root directory
+ * @returns {Object} Rules keyed by field name
+ */
+function loadMarkupRules(rootDir) {
+  let html;
+
+  try {
+    html = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+  } catch (error) {
+    console.warn('Server: No index.html to read the form rules from');
+    return {};
+  }
+
+  const form = /<form\b[^>]*\bid=["']contact-form["'][^>]*>([\s\S]*?)<\/form>/i.exec(html);
+  const rules = {};
+
+  if (!form) {
+    console.warn('Server: index.html has no contact form to read the rules from');
+    return rules;
+  }
+
+  const fieldPattern = /<(?:input|select|textarea)\b([^>]*)>/gi;
+  let match;
+
+  while ((match = fieldPattern.exec(form[1])) !== null) {
+    const field = createMarkupField(match[1]);
+
+    if (field.name && !(field.name in rules) && !SERVER_CONFIG.uncheckedInputTypes.includes(field.getAttribute('type'))) {
+      const fieldRules = ValidationRules.getAttributeRules(field);
+
+      if (fieldRules) {
+        rules[field.name] = fieldRules;
+      }
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Resolve a URL path to a file inside the site root
+ * @param {string} rootDir - Site root directory
+ * @param {string} pathname - Decoded URL path
+ * @returns {string|null} Absolute file path, or null if the path may not be served
+ */
+function resolveStaticPath(rootDir, pathname) {
+  const relativePath = path.normalize(pathname).replace(/^([/\\])+/, '');
+  const segments = relativePath.split(/[/\\]/).filter(Boolean);
+
+  if (segments.some(segment => segment.startsWith('.') || segment === '..')) {
+    return null;
+  }
+
+  if (segments.length > 0 && SERVER_CONFIG.blockedDirectories.includes(segments[0])) {
+    return null;
+  }
+
+  const filePath = path.join(rootDir, relativePath);
+
+  return filePath.startsWith(rootDir) ? filePath : null;
+}
+
+/**
+ * Serve a static file from the site root
+ * @param {string} rootDir - Site root directory
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {http.ServerResponse} response - Server response
+ * @param {string} pathname - URL path
+ */
+async function serveStatic(rootDir, request, response, pathname) {
+  let decodedPath;
+
+  try {
+    decodedPath = decodeURIComponent(pathname);
+  } catch (error) {
+    decodedPath = null;
+  }
+
+  let filePath = decodedPath ? resolveStaticPath(rootDir, decodedPath) : null;
+
+  try {
+    if (filePath && (await fs.promises.stat(filePath)).isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+    }
+  } catch (error) {
+    filePath = null;
+  }
+
+  const contentType = filePath && MIME_TYPES[path.extname(filePath).toLowerCase()];
+
+  if (!contentType) {
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Not Found');
+    return;
+  }
+
+  fs.promises.readFile(filePath)
+    .then(contents => {
+      response.writeHead(200, {
+        'Content-Type': contentType,
+        'Content-Length': contents.length
+      });
+      response.end(request.method === 'HEAD' ? undefined : contents);
+    })
+    .catch(() => {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not Found');
+    });
+}
+
+/**
+ * Create the HTTP server
+ * @param {Object} [options] - Server options
+ * @param {string} [options.rootDir] - Directory served as the site root
+ * @param {string} [options.leadsFile] - JSON-lines file for accepted leads
+ * @param {Object} [options.checks] - Overrides for the lead checks configuration
+ * @param {string} [options.catalogFile] - Services catalog the submitted service must be from
+ * @returns {http.Server} Configured server (not yet listening)
+ */
+function createServer(options = {}) {
+  const rootDir = options.rootDir || SERVER_CONFIG.rootDir;
+  const leadStore = createLeadStore(options.leadsFile || SERVER_CONFIG.leadsFile);
+  const fieldRules = buildFieldRules(ServicesCatalog.loadCatalog(options.catalogFile), loadMarkupRules(rootDir));
+  const handleSubmitContact = createSubmitContactHandler(leadStore, options.checks, fieldRules);
+
+  loadStructuredData(rootDir);
+
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (pathname === '/submit-contact') {
+      if (request.method !== 'POST') {
+        response.writeHead(405, { 'Allow': 'POST', 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Method Not Allowed');
+        return;
+      }
+
+      handleSubmitContact(request, response);
+      return;
+    }
+
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { 'Allow': 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Method Not Allowed');
+      return;
+    }
+
+    serveStatic(rootDir, request, response, pathname);
+  });
+
+  server.leadStore = leadStore;
+
+  return server;
+}
+
+if (require.main === module) {
+  createServer().listen(SERVER_CONFIG.port, SERVER_CONFIG.host, () => {
+    console.info(`Server: ThermoCool running at http://${SERVER_CONFIG.host}:${SERVER_CONFIG.port}`);
+  });
+}
+
+module.exports = {
+  createServer,
+  HttpError,
+  config: SERVER_CONFIG
+};
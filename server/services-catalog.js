@@ -0,0 +1,253 @@
+/**
+ * Services Catalog
+ *
+ * Generates everything on the page that lists our services from one catalog,
+ * data/services.json, so they can't drift apart:
+ * - the service cards of the services section
+ * - the detail dialogs the cards open (js/service-details.js)
+ * - the options of the contact form's service select, plus `other`
+ * - the JSON-LD offer catalog of the business
+ *
+ * Each generated region of index.html sits between `<!-- services:NAME -->`
+ * and `<!-- /services:NAME -->` markers. Run `node server/services-catalog.js`
+ * after editing the catalog to regenerate them.
+ *
+ * @module server/services-catalog
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { escapeHtml } = require('./pages.js');
+
+const CATALOG_FILE = path.join(__dirname, '..', 'data', 'services.json');
+const PAGE_FILE = path.join(__dirname, '..', 'index.html');
+
+// JSON-LD node of the business in index.html, which the offer catalog is attached to
+const BUSINESS_ID = 'https://thermocool.example.com/#business';
+
+// Service ids are used as select values, i18n keys and URL fragments
+const SERVICE_ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// Last option of the service select, for requests outside the catalog
+const OTHER_SERVICE = Object.freeze({ id: 'other', name: 'Other' });
+
+/**
+ * Read and check the services catalog
+ * @param {string} [file] - Catalog file
+ * @returns {Object} The catalog: `{ name, services }`, each service having an id, a name,
+ *   a description and optionally its details: `duration`, `included`, `faq` and `photos`
+ * @throws {Error} If a service has no name or a missing, malformed, repeated or reserved id
+ */
+function loadCatalog(file = CATALOG_FILE) {
+  const catalog = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const ids = new Set();
+
+  catalog.services.forEach(function(service) {
+    if (!SERVICE_ID_PATTERN.test(service.id || '') || ids.has(service.id) || service.id === OTHER_SERVICE.id) {
+      throw new Error(`Services catalog: invalid or repeated id "${service.id}"`);
+    }
+    if (!service.name) {
+      throw new Error(`Services catalog: service "${service.id}" has no name`);
+    }
+    ids.add(service.id);
+  });
+
+  return catalog;
+}
+
+/**
+ * List the values the service select offers
+ * @param {Object} catalog - The services catalog
+ * @returns {string[]} The id of every service, then `other`
+ */
+function getServiceIds(catalog) {
+  return catalog.services.map(service => service.id).concat(OTHER_SERVICE.id);
+}
+
+/**
+ * Render the service cards
+ * @param {Object} catalog - The services catalog
+ * @param {string} indent - Indentation of the cards
+ * @returns {string[]} Lines of HTML
+ */
+function renderServiceCards(catalog, indent) {
+  return catalog.services.flatMap(function(service, index) {
+    const lines = [
+      `${indent}<article class="service-card" data-service="${service.id}">`,
+      `${indent}  <h3><a href="#services/${service.id}" data-i18n="services.${service.id}.title">${escapeHtml(service.name)}</a></h3>`,
+      `${indent}  <p data-i18n="services.${service.id}.text">${escapeHtml(service.description)}</p>`,
+      `${indent}</article>`
+    ];
+
+    return index === 0 ? lines : [indent].concat(lines);
+  });
+}
+
+/**
+ * Render the detail dialog of each service
+ * @param {Object} catalog - The services catalog
+ * @param {string} indent - Indentation of the dialogs
+ * @returns {string[]} Lines of HTML
+ */
+function renderServiceDialogs(catalog, indent) {
+  return catalog.services.flatMap(function(service, index) {
+    const key = `services.${service.id}`;
+    const titleId = `service-dialog-${service.id}-title`;
+    const lines = [
+      `<dialog class="service-dialog" id="service-dialog-${service.id}" data-service="${service.id}" aria-labelledby="${titleId}">`,
+      '  <div class="service-dialog-header">',
+      `    <h3 id="${titleId}" data-i18n="${key}.title">${escapeHtml(service.name)}</h3>`,
+      '    <button type="button" class="service-dialog-close" aria-label="Close" data-i18n-attr="aria-label:services.dialog.close">&times;</button>',
+      '  </div>'
+    ];
+
+    if (service.photos && service.photos.length) {
+      lines.push('  <div class="service-dialog-photos">');
+      service.photos.forEach(function(photo, photoIndex) {
+        lines.push(`    <img src="${escapeHtml(photo.src)}" alt="${escapeHtml(photo.alt)}" loading="lazy" data-i18n-attr="alt:${key}.photo.${photoIndex + 1}">`);
+      });
+      lines.push('  </div>');
+    }
+
+    lines.push(`  <p data-i18n="${key}.text">${escapeHtml(service.description)}</p>`);
+
+    if (service.included && service.included.length) {
+      lines.push('  <h4 data-i18n="services.dialog.included">What\'s included</h4>', '  <ul>');
+      service.included.forEach(function(item, itemIndex) {
+        lines.push(`    <li data-i18n="${key}.included.${itemIndex + 1}">${escapeHtml(item)}</li>`);
+      });
+      lines.push('  </ul>');
+    }
+
+    if (service.duration) {
+      lines.push(
+        '  <h4 data-i18n="services.dialog.duration">Typical duration</h4>',
+        `  <p data-i18n="${key}.duration">${escapeHtml(service.duration)}</p>`
+      );
+    }
+
+    if (service.faq && service.faq.length) {
+      lines.push('  <h4 data-i18n="services.dialog.faq">Frequently asked questions</h4>', '  <dl class="service-dialog-faq">');
+      service.faq.forEach(function(entry, entryIndex) {
+        lines.push(
+          `    <dt data-i18n="${key}.faq.${entryIndex + 1}.question">${escapeHtml(entry.question)}</dt>`,
+          `    <dd data-i18n="${key}.faq.${entryIndex + 1}.answer">${escapeHtml(entry.answer)}</dd>`
+        );
+      });
+      lines.push('  </dl>');
+    }
+
+    lines.push(
+      '  <button type="button" class="service-dialog-request" data-i18n="services.dialog.request">Request this service</button>',
+      '</dialog>'
+    );
+
+    return (index === 0 ? [] : ['']).concat(lines).map(line => indent + line);
+  });
+}
+
+/**
+ * Render the options of the service select, ending with `other`
+ * @param {Object} catalog - The services catalog
+ * @param {string} indent - Indentation of the options
+ * @returns {string[]} Lines of HTML
+ */
+function renderServiceOptions(catalog, indent) {
+  return catalog.services.concat(OTHER_SERVICE).map(service =>
+    `${indent}<option value="${service.id}" data-i18n="form.service.${service.id}">${escapeHtml(service.name)}</option>`);
+}
+
+/**
+ * Build the schema.org offer catalog of the business
+ * @param {Object} catalog - The services catalog
+ * @returns {Object} JSON-LD node adding `hasOfferCatalog` to the business
+ */
+function buildOfferCatalog(catalog) {
+  return {
+    '@context': 'https://schema.org',
+    '@id': BUSINESS_ID,
+    hasOfferCatalog: {
+      '@type': 'OfferCatalog',
+      name: catalog.name,
+      itemListElement: catalog.services.map(service => ({
+        '@type': 'Offer',
+        itemOffered: {
+          '@type': 'Service',
+          name: service.name,
+          description: service.description
+        }
+      }))
+    }
+  };
+}
+
+/**
+ * Render the JSON-LD script of the offer catalog
+ * @param {Object} catalog - The services catalog
+ * @param {string} indent - Indentation of the script
+ * @returns {string[]} Lines of HTML
+ */
+function renderOfferCatalog(catalog, indent) {
+  // A closing script tag inside a string would end the block early
+  const json = JSON.stringify(buildOfferCatalog(catalog), null, 2).replace(/<\//g, '<\\/');
+
+  return [`${indent}<script type="application/ld+json">`]
+    .concat(json.split('\n').map(line => indent + line))
+    .concat(`${indent}</script>`);
+}
+
+const REGIONS = Object.freeze({
+  'cards': renderServiceCards,
+  'dialogs': renderServiceDialogs,
+  'options': renderServiceOptions,
+  'offer-catalog': renderOfferCatalog
+});
+
+/**
+ * Regenerate the services regions of a page
+ * @param {string} html - Page HTML
+ * @param {Object} catalog - The services catalog
+ * @returns {string} The page with every region rendered from the catalog
+ * @throws {Error} If the page is missing a region
+ */
+function renderPage(html, catalog) {
+  return Object.keys(REGIONS).reduce(function(page, name) {
+    const pattern = new RegExp(`^([ \\t]*)<!-- services:${name} -->\\n[\\s\\S]*?^[ \\t]*<!-- /services:${name} -->`, 'm');
+
+    if (!pattern.test(page)) {
+      throw new Error(`Services catalog: the page has no "services:${name}" region`);
+    }
+
+    return page.replace(pattern, function(region, indent) {
+      return [`${indent}<!-- services:${name} -->`]
+        .concat(REGIONS[name](catalog, indent))
+        .concat(`${indent}<!-- /services:${name} -->`)
+        .join('\n');
+    });
+  }, html);
+}
+
+if (require.main === module) {
+  const pageFile = process.argv[2] || PAGE_FILE;
+  const html = fs.readFileSync(pageFile, 'utf8');
+  const rendered = renderPage(html, loadCatalog());
+
+  if (rendered === html) {
+    console.log(`${pageFile} is up to date`);
+  } else {
+    fs.writeFileSync(pageFile, rendered);
+    console.log(`Updated the services in ${pageFile}`);
+  }
+}
+
+module.exports = {
+  CATALOG_FILE,
+  loadCatalog,
+  getServiceIds,
+  buildOfferCatalog,
+  renderPage
+};
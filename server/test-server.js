@@ -0,0 +1,474 @@
+/**
+ * Test Suite for the Local Development Server
+ *
+ * @tests: server/server.js
+ * @framework: Jest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BusinessHours = require('../js/business-hours.js');
+const { createLeadStore } = require('./lead-store.js');
+const { createServer } = require('./server.js');
+const ServicesCatalog = require('./services-catalog.js');
+
+describe('🖥️ Local Development Server', () => {
+  const validLead = {
+    name: 'John Doe',
+    email: 'john@example.com',
+    phone: '(201) 555-0123',
+    service: 'repair',
+    message: 'My furnace is making a rattling noise.'
+  };
+
+  let server;
+  let baseUrl;
+  let leadsFile;
+
+  beforeEach(done => {
+    leadsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'thermocool-')), 'leads.jsonl');
+    server = createServer({ leadsFile, checks: { blockedEmailDomains: ['blocked.example'] } });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach(done => {
+    server.close(done);
+  });
+
+  describe('📨 POST /submit-contact', () => {
+    test('should accept a valid JSON submission and persist the lead', async () => {
+      const response = await fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(validLead)
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(body.success).toBe(true);
+
+      expect(body.reference).toMatch(/^TC-\d{8}-[0-9A-F]{6}$/);
+
+      const leads = await server.leadStore.readAll();
+      expect(leads).toHaveLength(1);
+      expect(leads[0].id).toBe(body.id);
+      expect(leads[0].reference).toBe(body.reference);
+      expect(leads[0].fields).toEqual({
+        ...validLead,
+        phone: '+12015550123',
+        phoneCountry: 'US',
+        serviceDescription: '',
+        zipCode: '',
+        homeSize: '',
+        systemAge: '',
+        fuelType: '',
+        appointmentSlot: ''
+      });
+    });
+
+    test('should store extra fields added to the form markup', async () => {
+      await fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...validLead, referral: ' Neighbor ', challengeToken: 'local-stub' })
+      });
+
+      const [lead] = await server.leadStore.readAll();
+
+      expect(lead.fields.referral).toBe('Neighbor');
+      expect(lead.fields.challengeToken).toBeUndefined();
+    });
+
+    test('should return per-field errors from the shared rules', async () => {
+      const response = await fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ ...validLead, email: 'invalid', phone: '123' })
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(body.success).toBe(false);
+      expect(body.errors).toEqual({
+        email: 'Please enter a valid email address',
+        phone: 'United States phone numbers have 10 digits'
+      });
+      expect(await server.leadStore.readAll()).toHaveLength(0);
+    });
+
+    test('should follow the error contract for validation failures', async () => {
+      const response = await fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...validLead, name: '' })
+      });
+      const body = await response.json();
+
+      expect(body).toEqual({
+        success: false,
+        code: 'validation_failed',
+        message: 'Please correct the highlighted fields.',
+        errors: { name: 'This field is required' }
+      });
+    });
+
+    test('should apply the conditional rules of the shared validation', async () => {
+      const send = lead => fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(lead)
+      });
+
+      const emergency = await send({ ...validLead, service: 'emergency', message: '', email: '', preferredContact: 'phone' });
+      const other = await send({ ...validLead, service: 'other' });
+
+      expect(emergency.status).toBe(201);
+      expect(other.status).toBe(422);
+      expect((await other.json()).errors).toEqual({ serviceDescription: 'Please describe the service you need' });
+    });
+
+    test('should apply the rules declared in the contact form markup', async () => {
+      const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thermocool-'));
+      fs.writeFileSync(path.join(rootDir, 'index.html'), `
+        <form id="contact-form">
+          <input type="text" name="referralCode" required pattern="[A-Z]{4}" data-error-pattern="Use the 4-letter code">
+          <input type="file" name="attachments" required>
+          <input type="text" name="name" maxlength="5">
+        </form>`);
+      const markupServer = createServer({ rootDir, leadsFile: path.join(rootDir, 'leads.jsonl') });
+      await new Promise(resolve => markupServer.listen(0, '127.0.0.1', resolve));
+
+      const send = lead => fetch(`http://127.0.0.1:${markupServer.address().port}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(lead)
+      });
+
+      const missing = await send(validLead);
+      const malformed = await send({ ...validLead, referralCode: 'abcd' });
+      const valid = await send({ ...validLead, referralCode: 'ABCD' });
+
+      await new Promise(resolve => markupServer.close(resolve));
+
+      expect(missing.status).toBe(422);
+      expect((await missing.json()).errors).toEqual({ referralCode: 'This field is required' });
+      expect((await malformed.json()).errors).toEqual({ referralCode: 'Use the 4-letter code' });
+      expect(valid.status).toBe(201);
+      expect((await markupServer.leadStore.readAll())[0].fields.referralCode).toBe('ABCD');
+    });
+
+    test('should only accept services the service select offers', async () => {
+      const response = await fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ ...validLead, service: 'pool-cleaning' })
+      });
+
+      expect(response.status).toBe(422);
+      expect((await response.json()).errors).toEqual({ service: 'Please choose one of the listed options' });
+      expect(await server.leadStore.readAll()).toHaveLength(0);
+    });
+
+    test('should validate phone numbers for their country and store them as E.164', async () => {
+      const send = lead => fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(lead)
+      });
+
+      const invalid = await send({ ...validLead, phone: '1111111111', phoneCountry: 'US' });
+      const withoutCountry = await send({ ...validLead, phone: '1111111111' });
+      const valid = await send({ ...validLead, phone: '(201) 555-0123', phoneCountry: 'US' });
+
+      expect(invalid.status).toBe(422);
+      expect((await invalid.json()).errors).toEqual({ phone: 'Please enter a valid United States phone number' });
+      expect(withoutCountry.status).toBe(422);
+      expect((await withoutCountry.json()).errors).toEqual({ phone: 'Please enter a valid United States phone number' });
+      expect(valid.status).toBe(201);
+
+      const [lead] = await server.leadStore.readAll();
+
+      expect(lead.fields.phone).toBe('+12015550123');
+      expect(lead.fields.phoneCountry).toBe('US');
+    });
+
+    test('should reject blocked email domains on the email field', async () => {
+      const response = await fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...validLead, email: 'john@blocked.example' })
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(body.code).toBe('blocked_email_domain');
+      expect(Object.keys(body.errors)).toEqual(['email']);
+    });
+
+    test('should reject disposable email addresses on the email field', async () => {
+      const response = await fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...validLead, email: 'john@mailinator.com' })
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(body.errors).toEqual({ email: 'Please use a permanent email address so we can reach you' });
+    });
+
+    test('should accept appointment windows within the opening hours of the page', async () => {
+      const send = appointmentSlot => fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...validLead, appointmentSlot })
+      });
+
+      // The landing page's JSON-LD opens 08:00-18:00 on weekdays and is closed on Sundays
+      const [slot] = BusinessHours.getAppointmentSlots();
+      const sunday = new Date();
+      sunday.setDate(sunday.getDate() + 7 - sunday.getDay());
+      const closed = `${sunday.getFullYear()}-${String(sunday.getMonth() + 1).padStart(2, '0')}-${String(sunday.getDate()).padStart(2, '0')}T10:00`;
+
+      const accepted = await send(slot.value);
+      const rejected = await send(closed);
+
+      expect(accepted.status).toBe(201);
+      expect(rejected.status).toBe(422);
+      expect((await rejected.json()).errors).toEqual({ appointmentSlot: 'Please choose one of the listed options' });
+    });
+
+    test('should flag leads from outside the service area', async () => {
+      const send = zipCode => fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...validLead, email: `john+${zipCode}@example.com`, zipCode })
+      });
+
+      expect((await send('10001')).status).toBe(201);
+      expect((await send('19103')).status).toBe(201);
+
+      const [inArea, outOfArea] = await server.leadStore.readAll();
+
+      expect(inArea.serviceArea).toEqual({ status: 'in-area', distanceKm: 4.3 });
+      expect(outOfArea.serviceArea).toEqual({ status: 'out-of-area', distanceKm: 130.2 });
+      expect(outOfArea.fields.zipCode).toBe('19103');
+    });
+
+    test('should reject a duplicate lead with a form-level error', async () => {
+      const send = () => fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(validLead)
+      });
+
+      expect((await send()).status).toBe(201);
+
+      const response = await send();
+      const body = await response.json();
+
+      expect(response.status).toBe(409);
+      expect(body.code).toBe('duplicate_lead');
+      expect(body.errors).toEqual({});
+      expect(await server.leadStore.readAll()).toHaveLength(1);
+    });
+
+    test('should skip unreadable lines of the leads file', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      fs.writeFileSync(leadsFile, '{"id":"partly-written","fields":{"name":"Ja\n');
+
+      const response = await fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(validLead)
+      });
+
+      expect(response.status).toBe(201);
+      expect(await server.leadStore.readAll()).toHaveLength(1);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('line 1'), expect.any(String));
+
+      warn.mockRestore();
+    });
+
+    test('should answer honeypot submissions with a fake success', async () => {
+      const response = await fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...validLead, company_website: 'https://spam.example' })
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(body.success).toBe(true);
+      expect(await server.leadStore.readAll()).toHaveLength(0);
+    });
+
+    test('should render an HTML page for plain form posts', async () => {
+      const response = await fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'text/html,application/xhtml+xml'
+        },
+        body: new URLSearchParams({ ...validLead, name: '' }).toString()
+      });
+      const html = await response.text();
+
+      expect(response.status).toBe(422);
+      expect(response.headers.get('content-type')).toContain('text/html');
+      expect(html).toContain('Name: This field is required');
+    });
+
+    test('should store photos sent as multipart form data', async () => {
+      const body = new FormData();
+      Object.keys(validLead).forEach(name => body.append(name, validLead[name]));
+      body.append('attachments', new Blob([Buffer.from([0xFF, 0xD8, 0xFF, 0xD9])], { type: 'image/jpeg' }), 'my furnace.jpg');
+
+      const response = await fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json' },
+        body
+      });
+
+      expect(response.status).toBe(201);
+
+      const [lead] = await server.leadStore.readAll();
+
+      expect(lead.fields.name).toBe('John Doe');
+      expect(lead.attachments).toEqual([{
+        filename: 'my furnace.jpg',
+        contentType: 'image/jpeg',
+        size: 4,
+        path: path.join('attachments', lead.id, '1-my_furnace.jpg')
+      }]);
+      expect(fs.readFileSync(path.join(path.dirname(leadsFile), lead.attachments[0].path))).toEqual(Buffer.from([0xFF, 0xD8, 0xFF, 0xD9]));
+    });
+
+    test('should check attachments by their contents and store them with the matching extension', async () => {
+      const send = (contents, filename) => {
+        const body = new FormData();
+        Object.keys(validLead).forEach(name => body.append(name, validLead[name]));
+        body.append('attachments', new Blob([contents], { type: 'image/jpeg' }), filename);
+
+        return fetch(`${baseUrl}/submit-contact`, { method: 'POST', headers: { 'Accept': 'application/json' }, body });
+      };
+
+      const disguised = await send('<script>alert(1)</script>', 'photo.jpg');
+      const renamed = await send(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), 'evil.html');
+
+      expect(disguised.status).toBe(422);
+      expect((await disguised.json()).errors).toEqual({
+        attachments: 'photo.jpg is not a photo or video we can accept (JPEG, PNG, WebP, HEIC, MP4, MOV or WebM)'
+      });
+      expect(renamed.status).toBe(201);
+
+      const [lead] = await server.leadStore.readAll();
+
+      expect(lead.attachments[0].contentType).toBe('image/png');
+      expect(lead.attachments[0].path).toBe(path.join('attachments', lead.id, '1-evil.png'));
+    });
+
+    test('should remove the attachments of a lead that could not be stored', async () => {
+      // A directory in place of the leads file makes appending the lead fail
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'thermocool-'));
+      const leadStore = createLeadStore(path.join(directory, 'leads.jsonl'));
+      fs.mkdirSync(leadStore.filePath);
+
+      await expect(leadStore.save({ name: 'John Doe' }, {}, [
+        { filename: 'furnace.jpg', contentType: 'image/jpeg', data: Buffer.from([0xFF, 0xD8, 0xFF, 0xD9]) }
+      ])).rejects.toThrow();
+      expect(fs.readdirSync(path.join(directory, 'attachments'))).toEqual([]);
+    });
+
+    test('should reject attachments outside the shared limits', async () => {
+      const body = new FormData();
+      Object.keys(validLead).forEach(name => body.append(name, validLead[name]));
+      body.append('attachments', new Blob(['%PDF-1.7'], { type: 'application/pdf' }), 'invoice.pdf');
+
+      const response = await fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json' },
+        body
+      });
+
+      expect(response.status).toBe(422);
+      expect((await response.json()).errors).toEqual({
+        attachments: 'invoice.pdf is not a photo or video we can accept (JPEG, PNG, WebP, HEIC, MP4, MOV or WebM)'
+      });
+      expect(await server.leadStore.readAll()).toHaveLength(0);
+    });
+
+    test('should reject malformed JSON', async () => {
+      const response = await fetch(`${baseUrl}/submit-contact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{'
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('📁 Static files', () => {
+    test('should serve the landing page', async () => {
+      const response = await fetch(`${baseUrl}/`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toContain('text/html');
+    });
+
+    test('should not serve server sources', async () => {
+      const response = await fetch(`${baseUrl}/server/server.js`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
+
+describe('🗂️ Services Catalog', () => {
+  const pageFile = path.join(__dirname, '..', 'index.html');
+
+  test('should keep index.html in sync with the catalog', () => {
+    const html = fs.readFileSync(pageFile, 'utf8');
+
+    // Run `node server/services-catalog.js` if this fails
+    expect(ServicesCatalog.renderPage(html, ServicesCatalog.loadCatalog())).toBe(html);
+  });
+
+  test('should list every service in the cards, the select and the offer catalog', () => {
+    const catalog = ServicesCatalog.loadCatalog();
+    const ids = catalog.services.map(service => service.id);
+    const html = ServicesCatalog.renderPage(
+      '<!-- services:cards -->\n<!-- /services:cards -->\n' +
+      '<!-- services:dialogs -->\n<!-- /services:dialogs -->\n' +
+      '<!-- services:options -->\n<!-- /services:options -->\n' +
+      '<!-- services:offer-catalog -->\n<!-- /services:offer-catalog -->\n',
+      catalog
+    );
+
+    expect(Array.from(html.matchAll(/<article class="service-card" data-service="([^"]+)"/g), match => match[1])).toEqual(ids);
+    expect(Array.from(html.matchAll(/<dialog [^>]*data-service="([^"]+)"/g), match => match[1])).toEqual(ids);
+    expect(Array.from(html.matchAll(/<option value="([^"]+)"/g), match => match[1])).toEqual(ids.concat('other'));
+    expect(ServicesCatalog.getServiceIds(catalog)).toEqual(ids.concat('other'));
+    expect(ServicesCatalog.buildOfferCatalog(catalog).hasOfferCatalog.itemListElement.map(offer => offer.itemOffered.name))
+      .toEqual(catalog.services.map(service => service.name));
+  });
+
+  test('should reject repeated service ids and missing regions', () => {
+    const catalogFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'thermocool-')), 'services.json');
+    fs.writeFileSync(catalogFile, JSON.stringify({
+      name: 'HVAC Services',
+      services: [{ id: 'repair', name: 'Repair' }, { id: 'repair', name: 'Repair again' }]
+    }));
+
+    expect(() => ServicesCatalog.loadCatalog(catalogFile)).toThrow('invalid or repeated id "repair"');
+    expect(() => ServicesCatalog.renderPage('<main></main>', { name: 'HVAC Services', services: [] }))
+      .toThrow('the page has no "services:cards" region');
+  });
+});